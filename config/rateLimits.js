@@ -0,0 +1,59 @@
+// Rate limit groups applied in server.js (see middleware/rateLimit.js).
+// Each group is a token bucket: `limit` requests can be made at once, and the bucket
+// refills at `limit` tokens per `windowSeconds`. Limits can be tuned per group with
+// RATE_LIMIT_<GROUP>_LIMIT and RATE_LIMIT_<GROUP>_WINDOW_SECONDS; RATE_LIMIT_ENABLED=false
+// turns rate limiting off (e.g. for load tests).
+
+// Helper function to read a positive integer from the environment
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+// Helper function to read a comma-separated list from the environment
+const envList = (name) => (process.env[name] || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+module.exports = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  // Every API request, per signed-in user (or per IP when anonymous)
+  api: {
+    name: 'api',
+    paths: ['/api'],
+    limit: envInt('RATE_LIMIT_API_LIMIT', 300),
+    windowSeconds: envInt('RATE_LIMIT_API_WINDOW_SECONDS', 60),
+    keyBy: 'user'
+  },
+
+  // Unauthenticated account endpoints that attract credential stuffing and spam, per IP
+  auth: {
+    name: 'auth',
+    paths: [
+      '/api/users/register',
+      '/api/users/login',
+      '/api/users/refresh',
+      '/api/users/forgot-password',
+      '/api/users/reset-password',
+      '/api/users/verify-email',
+      '/api/doctors/register',
+      '/api/doctors/login'
+    ],
+    limit: envInt('RATE_LIMIT_AUTH_LIMIT', 10),
+    windowSeconds: envInt('RATE_LIMIT_AUTH_WINDOW_SECONDS', 60),
+    keyBy: 'ip'
+  },
+
+  // Payment provider callbacks, per IP. Sources in PAYMENT_WEBHOOK_ALLOWED_IPS (IPs or
+  // IPv4 CIDR ranges) are never limited and, once the list is set, are the only ones accepted.
+  webhooks: {
+    name: 'webhooks',
+    paths: ['/api/payments/webhook'],
+    limit: envInt('RATE_LIMIT_WEBHOOKS_LIMIT', 60),
+    windowSeconds: envInt('RATE_LIMIT_WEBHOOKS_WINDOW_SECONDS', 60),
+    keyBy: 'ip',
+    allowList: envList('PAYMENT_WEBHOOK_ALLOWED_IPS')
+  }
+};
@@ -1,4 +1,12 @@
 const { supabase } = require('../config/supabase');
+const scheduleService = require('../services/scheduleService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const appointmentRescheduleService = require('../services/appointmentRescheduleService');
+const doctorProfileService = require('../services/doctorProfileService');
+const { STATUSES } = require('../services/appointmentStatusService');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, getZonedParts } = require('../lib/timezone');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
 
 // Helper function to enrich appointments with user data
 const enrichAppointmentsWithUsers = async (appointments) => {
@@ -29,43 +37,240 @@ const enrichAppointmentsWithUsers = async (appointments) => {
   return appointments;
 };
 
-const appointmentController = {
-  // Get all appointments (admin only)
-  getAll: async (req, res, next) => {
-    try {
-      const { status, upcoming } = req.query;
+// Helper function to pick the time zone appointment times are rendered in:
+// ?tz= override, then the authenticated user's saved zone, then the default
+const resolveRequesterTimeZone = async (req) => {
+  if (req.query.tz && isValidTimeZone(req.query.tz)) {
+    return req.query.tz;
+  }
 
-      let query = supabase
-        .from('appointments')
-        .select('*')
-        .order('appointment_date', { ascending: false })
-        .order('appointment_time', { ascending: false });
+  if (req.user?.id) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('time_zone')
+      .eq('id', req.user.id)
+      .single();
 
-      // Apply status filter
-      if (status) {
-        query = query.eq('status', status);
-      }
+    if (user && isValidTimeZone(user.time_zone)) {
+      return user.time_zone;
+    }
+  }
 
-      // Filter for upcoming appointments
-      if (upcoming === 'true') {
-        const today = new Date().toISOString().split('T')[0];
-        query = query.gte('appointment_date', today);
-      }
+  return DEFAULT_TIME_ZONE;
+};
 
-      const { data: appointments, error } = await query;
+// Helper function to add the requester's local date/time to appointments
+const localizeAppointments = (appointments, timeZone) => {
+  (appointments || []).forEach(apt => {
+    if (!apt.starts_at) return;
+    const start = getZonedParts(apt.starts_at, timeZone);
+    const end = apt.ends_at ? getZonedParts(apt.ends_at, timeZone) : null;
+    apt.local_date = start.date;
+    apt.local_time = start.time;
+    apt.local_end_date = end ? end.date : null;
+    apt.local_end_time = end ? end.time : null;
+    apt.display_time_zone = timeZone;
+  });
 
-      if (error) {
-        error.status = 500;
-        throw error;
+  return appointments;
+};
+
+// Columns appointment listings can be sorted by (?sort=)
+const SORT_COLUMNS = {
+  date: ['appointment_date', 'appointment_time'],
+  created_at: ['created_at'],
+  updated_at: ['updated_at'],
+  status: ['status'],
+  appointment_type: ['appointment_type'],
+  duration: ['duration_minutes']
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Helper function to split a comma-separated query value into a list
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Helper function to read and validate the shared listing options:
+// status, appointment_type, start_date, end_date, upcoming, q, sort, order, limit, offset
+const parseListOptions = (query, defaultOrder = 'asc') => {
+  const options = {
+    statuses: query.status ? parseList(query.status).map(status => status.toLowerCase()) : null,
+    types: query.appointment_type ? parseList(query.appointment_type) : null,
+    startDate: query.start_date || null,
+    endDate: query.end_date || null,
+    upcoming: query.upcoming === 'true',
+    q: query.q ? String(query.q).trim() : null,
+    sort: query.sort || 'date',
+    order: query.order || defaultOrder,
+    limit: query.limit !== undefined ? Number(query.limit) : DEFAULT_PAGE_SIZE,
+    offset: query.offset !== undefined ? Number(query.offset) : 0
+  };
+
+  const invalidStatus = (options.statuses || []).find(status => !STATUSES.includes(status));
+  if (invalidStatus) {
+    return { error: `Unknown status '${invalidStatus}'. Valid statuses: ${STATUSES.join(', ')}` };
+  }
+
+  for (const [field, value] of [['start_date', options.startDate], ['end_date', options.endDate]]) {
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+
+  if (options.startDate && options.endDate && options.startDate > options.endDate) {
+    return { error: 'start_date must be on or before end_date' };
+  }
+
+  if (!SORT_COLUMNS[options.sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(options.order)) {
+    return { error: "order must be 'asc' or 'desc'" };
+  }
+
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  if (!Number.isInteger(options.offset) || options.offset < 0) {
+    return { error: 'offset must be a non-negative whole number' };
+  }
+
+  return { options };
+};
+
+// Users embedded only for the name search, by the appointment column they are joined on
+const SEARCH_EMBEDS = {
+  user_id: { alias: 'search_patient', foreignKey: 'appointments_user_id_fkey' },
+  doctor_id: { alias: 'search_doctor', foreignKey: 'appointments_doctor_id_users_fkey' }
+};
+
+// Helper function to fetch one page of appointments with the listing options applied.
+// filters are exact column matches (e.g. { user_id }); the name search (q) matches users
+// in the searchIn columns, so a patient's list searches doctor names and vice versa.
+// The search joins through the appointment's own participants, so it never has to load
+// every matching user first. Returns { appointments, total }.
+const fetchAppointmentPage = async (options, { filters = {}, searchIn = ['user_id', 'doctor_id'] } = {}) => {
+  const embeds = options.q ? searchIn.map(column => SEARCH_EMBEDS[column]) : [];
+
+  // With one searched column the embed is an inner join; with several, each embed is
+  // filtered on its own and an appointment matches when any of them survived the filter
+  const innerJoin = embeds.length === 1 ? '!inner' : '';
+  const select = ['*', ...embeds.map(embed => `${embed.alias}:users!${embed.foreignKey}${innerJoin}(id)`)].join(', ');
+
+  let query = supabase
+    .from('appointments')
+    .select(select, { count: 'exact' });
+
+  if (options.q) {
+    const pattern = `%${options.q.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    embeds.forEach(embed => {
+      query = query.ilike(`${embed.alias}.full_name`, pattern);
+    });
+    if (embeds.length > 1) {
+      query = query.or(embeds.map(embed => `${embed.alias}.not.is.null`).join(','));
+    }
+  }
+
+  Object.entries(filters).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  if (options.statuses) {
+    query = query.in('status', options.statuses);
+  }
+  if (options.types) {
+    query = query.in('appointment_type', options.types);
+  }
+  if (options.startDate) {
+    query = query.gte('appointment_date', options.startDate);
+  }
+  if (options.endDate) {
+    query = query.lte('appointment_date', options.endDate);
+  }
+
+  // Filter for upcoming appointments
+  if (options.upcoming) {
+    query = query.gte('ends_at', new Date().toISOString());
+  }
+
+  // Order by the chosen columns, then by id so pages stay stable
+  SORT_COLUMNS[options.sort].forEach(column => {
+    query = query.order(column, { ascending: options.order === 'asc' });
+  });
+  query = query
+    .order('id', { ascending: true })
+    .range(options.offset, options.offset + options.limit - 1);
+
+  const { data: appointments, count, error } = await query;
+
+  if (error) {
+    error.status = 500;
+    throw error;
+  }
+
+  // The search embeds are not part of the appointment
+  (appointments || []).forEach(appointment => {
+    embeds.forEach(embed => delete appointment[embed.alias]);
+  });
+
+  return { appointments: appointments || [], total: count || 0 };
+};
+
+// Helper function to build the pagination block of a listing response
+const buildPagination = (options, total) => ({
+  total,
+  limit: options.limit,
+  offset: options.offset,
+  has_more: total > options.offset + options.limit
+});
+
+// Helper function to tell the patient their appointment was accepted
+const notifyAppointmentConfirmed = async (appointment) => {
+  try {
+    const notificationService = require('../services/notificationService');
+    const { data: doctor } = await supabase
+      .from('users')
+      .select('full_name')
+      .eq('id', appointment.doctor_id)
+      .single();
+
+    if (doctor) {
+      await notificationService.notifyAppointmentAccepted(appointment.id, doctor.full_name);
+    }
+  } catch (error) {
+    console.error('Error sending appointment acceptance notification:', error);
+    // Don't fail the request if notification fails
+  }
+};
+
+const appointmentController = {
+  // Get all appointments (admin only)
+  getAll: async (req, res, next) => {
+    try {
+      const { options, error: optionsError } = parseListOptions(req.query, 'desc');
+      if (optionsError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: optionsError
+        });
       }
 
-      // Enrich appointments with user data
+      const { appointments, total } = await fetchAppointmentPage(options);
+
+      // Enrich appointments with user data and render times in the requester's zone
       await enrichAppointmentsWithUsers(appointments);
+      const timeZone = await resolveRequesterTimeZone(req);
+      localizeAppointments(appointments, timeZone);
 
       res.json({
         message: 'Appointments retrieved successfully',
-        count: appointments?.length || 0,
-        data: appointments || []
+        count: appointments.length,
+        time_zone: timeZone,
+        data: appointments,
+        pagination: buildPagination(options, total)
       });
     } catch (error) {
       next(error);
@@ -76,41 +281,31 @@ const appointmentController = {
   getByUserId: async (req, res, next) => {
     try {
       const { userId } = req.params;
-      const { status, upcoming } = req.query;
-
-      // Fetch appointments first
-      let query = supabase
-        .from('appointments')
-        .select('*')
-        .eq('user_id', userId)
-        .order('appointment_date', { ascending: true })
-        .order('appointment_time', { ascending: true });
-
-      // Apply status filter
-      if (status) {
-        query = query.eq('status', status);
-      }
-
-      // Filter for upcoming appointments
-      if (upcoming === 'true') {
-        const today = new Date().toISOString().split('T')[0];
-        query = query.gte('appointment_date', today);
+      const { options, error: optionsError } = parseListOptions(req.query);
+      if (optionsError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: optionsError
+        });
       }
 
-      const { data: appointments, error } = await query;
-
-      if (error) {
-        error.status = 500;
-        throw error;
-      }
+      // Name search matches the patient's doctors
+      const { appointments, total } = await fetchAppointmentPage(options, {
+        filters: { user_id: userId },
+        searchIn: ['doctor_id']
+      });
 
-      // Enrich appointments with user data
+      // Enrich appointments with user data and render times in the requester's zone
       await enrichAppointmentsWithUsers(appointments);
+      const timeZone = await resolveRequesterTimeZone(req);
+      localizeAppointments(appointments, timeZone);
 
       res.json({
         message: 'Appointments retrieved successfully',
-        count: appointments?.length || 0,
-        data: appointments || []
+        count: appointments.length,
+        time_zone: timeZone,
+        data: appointments,
+        pagination: buildPagination(options, total)
       });
     } catch (error) {
       next(error);
@@ -121,40 +316,31 @@ const appointmentController = {
   getByDoctorId: async (req, res, next) => {
     try {
       const { doctorId } = req.params;
-      const { status, upcoming } = req.query;
-
-      let query = supabase
-        .from('appointments')
-        .select('*')
-        .eq('doctor_id', doctorId)
-        .order('appointment_date', { ascending: true })
-        .order('appointment_time', { ascending: true });
-
-      // Apply status filter
-      if (status) {
-        query = query.eq('status', status);
-      }
-
-      // Filter for upcoming appointments
-      if (upcoming === 'true') {
-        const today = new Date().toISOString().split('T')[0];
-        query = query.gte('appointment_date', today);
+      const { options, error: optionsError } = parseListOptions(req.query);
+      if (optionsError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: optionsError
+        });
       }
 
-      const { data: appointments, error } = await query;
-
-      if (error) {
-        error.status = 500;
-        throw error;
-      }
+      // Name search matches the doctor's patients
+      const { appointments, total } = await fetchAppointmentPage(options, {
+        filters: { doctor_id: doctorId },
+        searchIn: ['user_id']
+      });
 
-      // Enrich appointments with user data
+      // Enrich appointments with user data and render times in the requester's zone
       await enrichAppointmentsWithUsers(appointments);
+      const timeZone = await resolveRequesterTimeZone(req);
+      localizeAppointments(appointments, timeZone);
 
       res.json({
         message: 'Appointments retrieved successfully',
-        count: appointments?.length || 0,
-        data: appointments || []
+        count: appointments.length,
+        time_zone: timeZone,
+        data: appointments,
+        pagination: buildPagination(options, total)
       });
     } catch (error) {
       next(error);
@@ -165,18 +351,13 @@ const appointmentController = {
   getByDoctorUserId: async (req, res, next) => {
     try {
       const { userId } = req.params;
-      const { status, upcoming } = req.query;
-      const authenticatedUserId = req.user?.id;
-
-      console.log(`[getByDoctorUserId] Request received:`);
-      console.log(`  - Route userId: ${userId}`);
-      console.log(`  - Authenticated userId: ${authenticatedUserId}`);
-      console.log(`  - Filters: status=${status}, upcoming=${upcoming}`);
 
-      // Security check: Ensure authenticated user matches the requested userId
-      if (authenticatedUserId && authenticatedUserId !== userId) {
-        console.warn(`[getByDoctorUserId] Security warning: Authenticated user ${authenticatedUserId} requested appointments for different user ${userId}`);
-        // Allow it for now, but log it
+      const { options, error: optionsError } = parseListOptions(req.query);
+      if (optionsError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: optionsError
+        });
       }
 
       // First verify the user is a doctor
@@ -194,8 +375,6 @@ const appointmentController = {
         });
       }
 
-      console.log(`[getByDoctorUserId] User found:`, { id: user.id, role: user.role, name: user.full_name });
-
       if (user.role !== 'doctor') {
         console.warn(`[getByDoctorUserId] User ${userId} is not a doctor (role: ${user.role})`);
         return res.status(403).json({
@@ -205,56 +384,23 @@ const appointmentController = {
       }
 
       // Get appointments where doctor_id matches the user_id from users table
-      console.log(`[getByDoctorUserId] Querying appointments with doctor_id = ${userId}`);
-      
-      let query = supabase
-        .from('appointments')
-        .select('*')
-        .eq('doctor_id', userId)
-        .order('appointment_date', { ascending: true })
-        .order('appointment_time', { ascending: true });
-
-      // Apply status filter
-      if (status) {
-        query = query.eq('status', status);
-        console.log(`[getByDoctorUserId] Applied status filter: ${status}`);
-      }
-
-      // Filter for upcoming appointments
-      if (upcoming === 'true') {
-        const today = new Date().toISOString().split('T')[0];
-        query = query.gte('appointment_date', today);
-        console.log(`[getByDoctorUserId] Applied upcoming filter: >= ${today}`);
-      }
-
-      const { data: appointments, error } = await query;
-
-      if (error) {
-        console.error(`[getByDoctorUserId] Error fetching appointments:`, error);
-        error.status = 500;
-        throw error;
-      }
-
-      console.log(`[getByDoctorUserId] Raw query result:`, {
-        count: appointments?.length || 0,
-        appointments: appointments?.map(a => ({
-          id: a.id,
-          doctor_id: a.doctor_id,
-          appointment_date: a.appointment_date,
-          appointment_time: a.appointment_time,
-          status: a.status
-        }))
+      // Name search matches the doctor's patients
+      const { appointments, total } = await fetchAppointmentPage(options, {
+        filters: { doctor_id: userId },
+        searchIn: ['user_id']
       });
 
-      // Enrich appointments with user data
+      // Enrich appointments with user data and render times in the requester's zone
       await enrichAppointmentsWithUsers(appointments);
-
-      console.log(`[getByDoctorUserId] Returning ${appointments?.length || 0} appointments`);
+      const timeZone = await resolveRequesterTimeZone(req);
+      localizeAppointments(appointments, timeZone);
 
       res.json({
         message: 'Appointments retrieved successfully',
-        count: appointments?.length || 0,
-        data: appointments || []
+        count: appointments.length,
+        time_zone: timeZone,
+        data: appointments,
+        pagination: buildPagination(options, total)
       });
     } catch (error) {
       console.error(`[getByDoctorUserId] Exception:`, error);
@@ -265,27 +411,12 @@ const appointmentController = {
   // Get appointment by ID
   getById: async (req, res, next) => {
     try {
-      const { id } = req.params;
+      // Loaded and access-checked by loadAccessibleAppointment
+      const appointment = req.appointment;
 
-      const { data: appointment, error } = await supabase
-        .from('appointments')
-        .select('*')
-        .eq('id', id)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({
-            error: 'Appointment not found',
-            message: `No appointment found with ID: ${id}`
-          });
-        }
-        error.status = 500;
-        throw error;
-      }
-
-      // Enrich appointment with user data
+      // Enrich appointment with user data and render times in the requester's zone
       await enrichAppointmentsWithUsers([appointment]);
+      localizeAppointments([appointment], await resolveRequesterTimeZone(req));
 
       res.json({
         message: 'Appointment retrieved successfully',
@@ -304,9 +435,9 @@ const appointmentController = {
         doctor_id,
         appointment_date,
         appointment_time,
+        starts_at, // optional absolute instant (ISO 8601) instead of appointment_date/appointment_time
         duration_minutes,
         appointment_type,
-        status,
         notes,
         meeting_room_id
       } = req.body;
@@ -333,14 +464,21 @@ const appointmentController = {
       }
 
       // Validate required fields
-      if (!doctor_id || !appointment_date || !appointment_time) {
+      if (!doctor_id || (!starts_at && (!appointment_date || !appointment_time))) {
         return res.status(400).json({
           error: 'Validation Error',
-          message: 'doctor_id, appointment_date, and appointment_time are required',
+          message: 'doctor_id and either starts_at or appointment_date and appointment_time are required',
           required_fields: ['doctor_id', 'appointment_date', 'appointment_time']
         });
       }
 
+      if (starts_at && isNaN(new Date(starts_at).getTime())) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'starts_at must be a valid ISO 8601 date-time (e.g., 2025-01-15T02:00:00Z)'
+        });
+      }
+
       // Verify patient exists and is NOT a doctor (patients book appointments, doctors receive them)
       const { data: patient, error: patientError } = await supabase
         .from('users')
@@ -366,7 +504,7 @@ const appointmentController = {
       // Verify doctor exists in users table (since doctor_id now references users table)
       const { data: doctor, error: doctorError } = await supabase
         .from('users')
-        .select('id, full_name, role')
+        .select('id, full_name, role, time_zone')
         .eq('id', doctor_id)
         .single();
 
@@ -385,6 +523,14 @@ const appointmentController = {
         });
       }
 
+      // Only doctors whose credentials an admin approved can be booked
+      if (doctor.role === 'doctor' && !(await doctorProfileService.isVerified(doctor_id))) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'This doctor has not been verified yet and cannot be booked.'
+        });
+      }
+
       // CRITICAL: Ensure patient and doctor are different people
       if (patientUserId === doctor_id) {
         return res.status(400).json({
@@ -393,6 +539,38 @@ const appointmentController = {
         });
       }
 
+      // appointment_date/appointment_time are wall-clock values in the doctor's time zone;
+      // an absolute starts_at is converted into that zone
+      const timeZone = isValidTimeZone(doctor.time_zone) ? doctor.time_zone : DEFAULT_TIME_ZONE;
+      let appointmentDate = appointment_date;
+      let appointmentTime = appointment_time;
+      if (starts_at) {
+        const local = getZonedParts(starts_at, timeZone);
+        appointmentDate = local.date;
+        appointmentTime = local.time;
+      }
+
+      // Validate the slot against the doctor's weekly schedule and existing bookings
+      const slotViolation = await scheduleService.validateSlot({
+        doctorId: doctor_id,
+        date: appointmentDate,
+        time: appointmentTime,
+        durationMinutes: duration_minutes || 60,
+        timeZone,
+        patientId: patientUserId
+      });
+
+      if (slotViolation) {
+        return res.status(slotViolation.status).json({
+          error: slotViolation.error,
+          rule: slotViolation.rule,
+          message: slotViolation.message,
+          details: slotViolation.details,
+          // A taken slot is not a dead end: point the patient at the waitlist
+          waitlist: slotViolation.status === 409 ? { join_url: '/api/waitlist', doctor_id } : undefined
+        });
+      }
+
       // Generate meeting room ID if not provided (for video calls)
       const roomId = meeting_room_id || `room-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
@@ -404,11 +582,12 @@ const appointmentController = {
           user_id: patientUserId, // Always use authenticated user's ID as patient
           doctor_id,
           // doctor_name is no longer needed - we can get it from doctor_id via users table
-          appointment_date,
-          appointment_time,
+          appointment_date: appointmentDate,
+          appointment_time: appointmentTime,
+          time_zone: timeZone, // starts_at/ends_at are derived by a database trigger
           duration_minutes: duration_minutes || 60,
           appointment_type: appointment_type || 'Video Call',
-          status: status || 'scheduled',
+          status: 'scheduled', // every appointment starts as scheduled; later changes go through the state machine
           notes,
           meeting_room_id: roomId,
           session_link: appointment_type === 'Video Call' ? `/appointments/video-call?id=${roomId}` : null
@@ -427,8 +606,11 @@ const appointmentController = {
         throw error;
       }
 
-      // Enrich appointment with user data
+      await appointmentStatusService.recordHistory([{ ...data, status: null }], 'scheduled', req.user);
+
+      // Enrich appointment with user data and render times in the requester's zone
       await enrichAppointmentsWithUsers([data]);
+      localizeAppointments([data], await resolveRequesterTimeZone(req));
 
       res.status(201).json({
         success: true,
@@ -450,66 +632,132 @@ const appointmentController = {
         duration_minutes,
         appointment_type,
         status,
+        status_reason,
         notes,
         session_link,
         meeting_room_id
       } = req.body;
 
       const updateData = {};
-      if (appointment_date !== undefined) updateData.appointment_date = appointment_date;
-      if (appointment_time !== undefined) updateData.appointment_time = appointment_time;
       if (duration_minutes !== undefined) updateData.duration_minutes = duration_minutes;
       if (appointment_type !== undefined) updateData.appointment_type = appointment_type;
-      if (status !== undefined) updateData.status = status;
       if (notes !== undefined) updateData.notes = notes;
       if (session_link !== undefined) updateData.session_link = session_link;
       if (meeting_room_id !== undefined) updateData.meeting_room_id = meeting_room_id;
 
-      if (Object.keys(updateData).length === 0) {
+      // Moving an appointment to another slot must go through the reschedule endpoint,
+      // which validates the new slot and keeps the original record
+      if (appointment_date !== undefined || appointment_time !== undefined) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `appointment_date and appointment_time cannot be edited directly. Use POST /api/appointments/${id}/reschedule instead.`
+        });
+      }
+
+      if (Object.keys(updateData).length === 0 && status === undefined) {
         return res.status(400).json({
           error: 'Validation Error',
           message: 'No fields to update'
         });
       }
 
-      const { data: appointment, error } = await supabase
+      const { data: existing, error: fetchError } = await supabase
         .from('appointments')
-        .update(updateData)
-        .eq('id', id)
         .select('*')
-        .single();
+        .eq('id', id)
+        .maybeSingle();
 
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({
-            error: 'Appointment not found',
-            message: `No appointment found with ID: ${id}`
+      if (fetchError) {
+        fetchError.status = 500;
+        throw fetchError;
+      }
+
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Appointment not found',
+          message: `No appointment found with ID: ${id}`
+        });
+      }
+
+      if (!can(req.user, 'appointment.update', existing)) {
+        return forbid(req, res, {
+          action: 'appointment.update',
+          resourceType: 'appointment',
+          resourceId: id,
+          message: 'You do not have permission to modify this appointment'
+        });
+      }
+
+      if (duration_minutes !== undefined && duration_minutes !== existing.duration_minutes) {
+        const slotViolation = await scheduleService.validateSlot({
+          doctorId: existing.doctor_id,
+          date: existing.appointment_date,
+          time: existing.appointment_time,
+          durationMinutes: duration_minutes,
+          timeZone: existing.time_zone,
+          excludeAppointmentId: existing.id,
+          patientId: existing.user_id
+        });
+
+        if (slotViolation) {
+          return res.status(slotViolation.status).json({
+            error: slotViolation.error,
+            rule: slotViolation.rule,
+            message: slotViolation.message,
+            details: slotViolation.details
           });
         }
-        error.status = 500;
-        throw error;
+      }
+
+      let appointment;
+      const statusChanged = status !== undefined &&
+        appointmentStatusService.normalize(status) !== appointmentStatusService.normalize(existing.status);
+
+      if (statusChanged) {
+        if (appointmentStatusService.normalize(status) === 'rescheduled') {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `Use POST /api/appointments/${id}/reschedule to reschedule an appointment`
+          });
+        }
+
+        // Status changes go through the state machine so they are validated and recorded
+        const violation = appointmentStatusService.checkTransition(existing, status, req.user);
+        if (violation) {
+          return res.status(violation.status).json({
+            error: violation.error,
+            message: violation.message,
+            details: violation.details
+          });
+        }
+
+        appointment = await appointmentStatusService.applyTransition(existing, status, req.user, {
+          reason: status_reason || null,
+          changes: updateData
+        });
+      } else if (Object.keys(updateData).length > 0) {
+        const { data, error } = await supabase
+          .from('appointments')
+          .update(updateData)
+          .eq('id', id)
+          .select('*')
+          .single();
+
+        if (error) {
+          error.status = 500;
+          throw error;
+        }
+        appointment = data;
+      } else {
+        appointment = existing;
       }
 
       // Enrich appointment with user data
       await enrichAppointmentsWithUsers([appointment]);
 
       // Notify patient if doctor accepts appointment
-      if (status && status.toLowerCase() === 'confirmed' && appointment.status?.toLowerCase() !== 'confirmed') {
-        try {
-          const notificationService = require('../services/notificationService');
-          const { data: doctor } = await supabase
-            .from('users')
-            .select('full_name')
-            .eq('id', appointment.doctor_id)
-            .single();
-          
-          if (doctor) {
-            await notificationService.notifyAppointmentAccepted(appointment.id, doctor.full_name);
-          }
-        } catch (error) {
-          console.error('Error sending appointment acceptance notification:', error);
-          // Don't fail the request if notification fails
-        }
+      if (statusChanged && appointment.status === 'confirmed') {
+        await notifyAppointmentConfirmed(appointment);
       }
 
       res.json({
@@ -521,31 +769,224 @@ const appointmentController = {
     }
   },
 
+  // Reschedule appointment to a new slot (books a replacement and keeps the original as history)
+  reschedule: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { appointment_date, appointment_time, starts_at, duration_minutes, reason } = req.body;
+
+      if (!starts_at && (!appointment_date || !appointment_time)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Either starts_at or appointment_date and appointment_time are required',
+          required_fields: ['appointment_date', 'appointment_time']
+        });
+      }
+
+      if (starts_at && isNaN(new Date(starts_at).getTime())) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'starts_at must be a valid ISO 8601 date-time (e.g., 2025-01-15T02:00:00Z)'
+        });
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (fetchError) {
+        fetchError.status = 500;
+        throw fetchError;
+      }
+
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Appointment not found',
+          message: `No appointment found with ID: ${id}`
+        });
+      }
+
+      // New date/time are wall-clock values in the appointment's (doctor's) time zone
+      const timeZone = isValidTimeZone(existing.time_zone) ? existing.time_zone : DEFAULT_TIME_ZONE;
+      let appointmentDate = appointment_date;
+      let appointmentTime = appointment_time;
+      if (starts_at) {
+        const local = getZonedParts(starts_at, timeZone);
+        appointmentDate = local.date;
+        appointmentTime = local.time;
+      }
+
+      const { appointment, previous, violation } = await appointmentRescheduleService.reschedule(
+        { ...existing, time_zone: timeZone },
+        {
+          date: appointmentDate,
+          time: appointmentTime,
+          durationMinutes: duration_minutes,
+          reason: reason || null
+        },
+        req.user
+      );
+
+      if (violation) {
+        return res.status(violation.status).json({
+          error: violation.error,
+          rule: violation.rule,
+          message: violation.message,
+          details: violation.details
+        });
+      }
+
+      await enrichAppointmentsWithUsers([appointment]);
+      localizeAppointments([appointment, previous], await resolveRequesterTimeZone(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Appointment rescheduled successfully',
+        data: appointment,
+        previous_appointment: previous
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change appointment status (confirm, start, complete, cancel, no-show)
+  updateStatus: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status, reason, no_show_party } = req.body;
+
+      if (!status) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'status is required',
+          allowed_statuses: STATUSES
+        });
+      }
+
+      if (appointmentStatusService.normalize(status) === 'rescheduled') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Use POST /api/appointments/${id}/reschedule to reschedule an appointment`
+        });
+      }
+
+      const { data: existing, error: fetchError } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (fetchError) {
+        fetchError.status = 500;
+        throw fetchError;
+      }
+
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Appointment not found',
+          message: `No appointment found with ID: ${id}`
+        });
+      }
+
+      const violation = appointmentStatusService.checkTransition(existing, status, req.user);
+      if (violation) {
+        return res.status(violation.status).json({
+          error: violation.error,
+          message: violation.message,
+          details: violation.details
+        });
+      }
+
+      const isNoShow = appointmentStatusService.normalize(status) === 'no_show';
+      const noShowParty = no_show_party || 'patient';
+      if (isNoShow && !['patient', 'doctor', 'both'].includes(noShowParty)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'no_show_party must be one of: patient, doctor, both'
+        });
+      }
+
+      const appointment = await appointmentStatusService.applyTransition(existing, status, req.user, {
+        reason: reason || null,
+        changes: isNoShow ? { no_show_party: noShowParty } : {},
+        noShowParty
+      });
+
+      await enrichAppointmentsWithUsers([appointment]);
+
+      if (appointment.status === 'confirmed') {
+        await notifyAppointmentConfirmed(appointment);
+      }
+
+      res.json({
+        message: `Appointment status changed to ${appointment.status}`,
+        data: appointment,
+        allowed_transitions: appointmentStatusService.getAllowedTransitions(appointment, req.user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get appointment status history
+  getHistory: async (req, res, next) => {
+    try {
+      // Loaded and access-checked by loadAccessibleAppointment
+      const appointment = req.appointment;
+
+      const history = await appointmentStatusService.getHistory(appointment.id);
+
+      res.json({
+        message: 'Appointment history retrieved successfully',
+        current_status: appointment.status,
+        allowed_transitions: appointmentStatusService.getAllowedTransitions(appointment, req.user),
+        count: history.length,
+        data: history
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   // Delete/Cancel appointment
   delete: async (req, res, next) => {
     try {
       const { id } = req.params;
+      const reason = req.body?.reason || req.query.reason || null;
 
-      // Instead of deleting, update status to cancelled
-      const { data, error } = await supabase
+      const { data: existing, error } = await supabase
         .from('appointments')
-        .update({ status: 'cancelled' })
+        .select('*')
         .eq('id', id)
-        .select()
-        .single();
+        .maybeSingle();
 
       if (error) {
         error.status = 500;
         throw error;
       }
 
-      if (!data) {
+      if (!existing) {
         return res.status(404).json({
           error: 'Appointment not found',
           message: `No appointment found with ID: ${id}`
         });
       }
 
+      // Instead of deleting, move the appointment to cancelled (rejected for completed sessions etc.)
+      const violation = appointmentStatusService.checkTransition(existing, 'cancelled', req.user);
+      if (violation) {
+        return res.status(violation.status).json({
+          error: violation.error,
+          message: violation.message,
+          details: violation.details
+        });
+      }
+
+      const data = await appointmentStatusService.applyTransition(existing, 'cancelled', req.user, { reason });
+
       res.json({
         message: 'Appointment cancelled successfully',
         data: data
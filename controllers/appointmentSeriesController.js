@@ -0,0 +1,313 @@
+const { supabase } = require('../config/supabase');
+const appointmentSeriesService = require('../services/appointmentSeriesService');
+const { SCOPES } = require('../services/appointmentSeriesService');
+const doctorProfileService = require('../services/doctorProfileService');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../lib/timezone');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Helper function to load a series occurrence and check the requester may change it.
+// Appointments outside a series are changed through the regular appointment routes.
+const loadManagedAppointment = async (req, res) => {
+  const { id } = req.params;
+
+  const { data: appointment, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    error.status = 500;
+    throw error;
+  }
+
+  if (!appointment) {
+    res.status(404).json({
+      error: 'Appointment not found',
+      message: `No appointment found with ID: ${id}`
+    });
+    return null;
+  }
+
+  if (!can(req.user, 'appointment.update', appointment)) {
+    await forbid(req, res, {
+      action: 'appointment.update',
+      resourceType: 'appointment',
+      resourceId: id,
+      message: 'You do not have permission to modify this appointment'
+    });
+    return null;
+  }
+
+  if (!appointment.series_id) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'This appointment is not part of a series. Use the appointment routes to change it.'
+    });
+    return null;
+  }
+
+  return appointment;
+};
+
+// Helper function to answer 409 when a single occurrence has started or is no longer active
+const rejectUneditableOccurrence = (res, appointment) => res.status(409).json({
+  error: 'Conflict',
+  message: 'Only upcoming scheduled or confirmed occurrences can be changed',
+  details: { status: appointment.status, appointment_date: appointment.appointment_date, appointment_time: appointment.appointment_time }
+});
+
+const appointmentSeriesController = {
+  // Book a recurring appointment series
+  create: async (req, res, next) => {
+    try {
+      const {
+        doctor_id,
+        start_date,
+        appointment_time,
+        duration_minutes,
+        appointment_type,
+        notes,
+        recurrence,
+        allow_partial
+      } = req.body;
+      const patientUserId = req.user.id;
+
+      if (!doctor_id || !start_date || !appointment_time || !recurrence) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'doctor_id, start_date, appointment_time, and recurrence are required',
+          required_fields: ['doctor_id', 'start_date', 'appointment_time', 'recurrence']
+        });
+      }
+
+      if (typeof start_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(start_date) || isNaN(new Date(start_date).getTime())) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'start_date must be a date in YYYY-MM-DD format'
+        });
+      }
+
+      const { rule, error: recurrenceError } = appointmentSeriesService.parseRecurrence(
+        typeof recurrence === 'string' ? { rrule: recurrence } : recurrence
+      );
+
+      if (recurrenceError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: recurrenceError
+        });
+      }
+
+      // Verify patient exists and is not a doctor
+      const { data: patient, error: patientError } = await supabase
+        .from('users')
+        .select('id, role')
+        .eq('id', patientUserId)
+        .single();
+
+      if (patientError || !patient || patient.role === 'doctor') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Only patients can book appointment series.'
+        });
+      }
+
+      // Verify doctor exists in users table
+      const { data: doctor, error: doctorError } = await supabase
+        .from('users')
+        .select('id, role, time_zone')
+        .eq('id', doctor_id)
+        .single();
+
+      if (doctorError || !doctor || (doctor.role !== 'doctor' && doctor.role !== 'admin')) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid doctor_id. Doctor not found.'
+        });
+      }
+
+      if (doctor.role === 'doctor' && !(await doctorProfileService.isVerified(doctor_id))) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'This doctor has not been verified yet and cannot be booked.'
+        });
+      }
+
+      if (patientUserId === doctor_id) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Cannot create appointment: patient and doctor cannot be the same person.'
+        });
+      }
+
+      const result = await appointmentSeriesService.createSeries({
+        patientId: patientUserId,
+        doctorId: doctor_id,
+        startDate: start_date,
+        time: appointment_time,
+        durationMinutes: duration_minutes || 60,
+        appointmentType: appointment_type || 'Video Call',
+        notes,
+        timeZone: isValidTimeZone(doctor.time_zone) ? doctor.time_zone : DEFAULT_TIME_ZONE,
+        rule,
+        allowPartial: allow_partial === true
+      });
+
+      // Nothing booked: report every occurrence that failed
+      if (!result.series) {
+        const status = result.failed.some(failure => failure.status === 409) ? 409 : 422;
+        return res.status(status).json({
+          error: 'Series Not Booked',
+          message: `${result.failed.length} of ${result.occurrences} occurrences could not be booked. No appointments were created.`,
+          failed_occurrences: result.failed
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.failed.length > 0
+          ? `Appointment series created with ${result.appointments.length} of ${result.occurrences} occurrences booked`
+          : 'Appointment series created successfully',
+        data: {
+          series: result.series,
+          appointments: result.appointments
+        },
+        failed_occurrences: result.failed
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a series with its occurrences
+  getById: async (req, res, next) => {
+    try {
+      const { seriesId } = req.params;
+
+      const series = await appointmentSeriesService.getSeries(seriesId);
+
+      if (!series) {
+        return res.status(404).json({
+          error: 'Series not found',
+          message: `No appointment series found with ID: ${seriesId}`
+        });
+      }
+
+      if (!can(req.user, 'appointment.read', series)) {
+        return forbid(req, res, {
+          action: 'appointment.read',
+          resourceType: 'appointment_series',
+          resourceId: seriesId,
+          message: 'You do not have permission to view this appointment series'
+        });
+      }
+
+      res.json({
+        message: 'Appointment series retrieved successfully',
+        data: series
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Edit this occurrence, this and following occurrences, or the whole series
+  update: async (req, res, next) => {
+    try {
+      const { scope = 'this', appointment_time, duration_minutes, appointment_type, notes } = req.body;
+
+      if (!SCOPES.includes(scope)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `scope must be one of: ${SCOPES.join(', ')}`
+        });
+      }
+
+      const changes = {};
+      if (appointment_time !== undefined) changes.appointment_time = appointment_time;
+      if (duration_minutes !== undefined) changes.duration_minutes = duration_minutes;
+      if (appointment_type !== undefined) changes.appointment_type = appointment_type;
+      if (notes !== undefined) changes.notes = notes;
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'No fields to update'
+        });
+      }
+
+      const appointment = await loadManagedAppointment(req, res);
+      if (!appointment) return;
+
+      if (scope === 'this' && !appointmentSeriesService.isEditableOccurrence(appointment)) {
+        return rejectUneditableOccurrence(res, appointment);
+      }
+
+      const { appointments, failed } = await appointmentSeriesService.updateOccurrences(appointment, scope, changes);
+
+      if (failed.length > 0) {
+        const status = failed.some(failure => failure.status === 409) ? 409 : 422;
+        return res.status(status).json({
+          error: 'Series Not Updated',
+          message: `${failed.length} occurrence(s) cannot be moved to the new time. No appointments were changed.`,
+          failed_occurrences: failed
+        });
+      }
+
+      res.json({
+        message: 'Appointments updated successfully',
+        scope,
+        count: appointments.length,
+        data: appointments
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Cancel this occurrence, this and following occurrences, or the whole series
+  cancel: async (req, res, next) => {
+    try {
+      const scope = req.query.scope || req.body?.scope || 'this';
+
+      if (!SCOPES.includes(scope)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `scope must be one of: ${SCOPES.join(', ')}`
+        });
+      }
+
+      const appointment = await loadManagedAppointment(req, res);
+      if (!appointment) return;
+
+      if (scope === 'this' && !appointmentSeriesService.isEditableOccurrence(appointment)) {
+        return rejectUneditableOccurrence(res, appointment);
+      }
+
+      const reason = req.body?.reason || req.query.reason || null;
+      const { cancelled, failed } = await appointmentSeriesService.cancelOccurrences(appointment, scope, req.user, reason);
+
+      if (cancelled.length === 0 && failed.length > 0) {
+        return res.status(failed[0].status).json({
+          error: 'Appointments Not Cancelled',
+          message: failed[0].message,
+          failed_occurrences: failed
+        });
+      }
+
+      res.json({
+        message: 'Appointments cancelled successfully',
+        scope,
+        count: cancelled.length,
+        data: cancelled,
+        failed_occurrences: failed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = appointmentSeriesController;
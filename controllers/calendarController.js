@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { buildCalendar, appointmentUid } = require('../lib/ics');
+const { zonedTimeToDate } = require('../lib/timezone');
+
+// How far back the feed reaches, so recent cancellations and changes still reach subscribers
+const FEED_LOOKBACK_DAYS = 7;
+
+// iCalendar STATUS for each appointment status
+const EVENT_STATUS = {
+  scheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  in_progress: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  rescheduled: 'CANCELLED', // replaced by a new appointment with its own event
+  no_show: 'CANCELLED'
+};
+
+// Helper function to hash a feed token (only the hash is stored)
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper function to turn a relative session link into an absolute URL
+const absoluteLink = (link) => {
+  if (!link) return null;
+  if (/^https?:\/\//i.test(link)) return link;
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${baseUrl}${link.startsWith('/') ? '' : '/'}${link}`;
+};
+
+// Helper function to convert an appointment into an iCalendar event for the viewer
+const toCalendarEvent = (appointment, viewerId, usersById) => {
+  const start = appointment.starts_at
+    ? new Date(appointment.starts_at)
+    : zonedTimeToDate(appointment.appointment_date, appointment.appointment_time, appointment.time_zone || undefined);
+  const end = appointment.ends_at
+    ? new Date(appointment.ends_at)
+    : new Date(start.getTime() + (appointment.duration_minutes || 60) * 60000);
+
+  const doctor = usersById.get(appointment.doctor_id);
+  const patient = usersById.get(appointment.user_id);
+  const isDoctorView = viewerId === appointment.doctor_id;
+  const sessionLink = absoluteLink(appointment.session_link);
+  const status = String(appointment.status || 'scheduled').toLowerCase();
+
+  const description = [
+    `${appointment.appointment_type || 'Appointment'} (${appointment.duration_minutes || 60} minutes)`,
+    `Status: ${status.replace(/_/g, ' ')}`,
+    sessionLink ? `Join: ${sessionLink}` : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: appointmentUid(appointment.id),
+    start,
+    end,
+    summary: isDoctorView
+      ? `Session with ${patient?.full_name || 'patient'}`
+      : `Appointment with Dr. ${doctor?.full_name || 'your doctor'}`,
+    description,
+    location: sessionLink,
+    url: sessionLink,
+    status: EVENT_STATUS[status] || 'CONFIRMED',
+    sequence: appointment.ics_sequence || 0,
+    updatedAt: appointment.updated_at || appointment.created_at,
+    organizer: doctor?.email_address ? { name: `Dr. ${doctor.full_name}`, email: doctor.email_address } : null
+  };
+};
+
+// Helper function to load the doctor and patient users for a set of appointments
+const loadParticipants = async (appointments) => {
+  const ids = [...new Set(appointments.flatMap(apt => [apt.user_id, apt.doctor_id]))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, full_name, email_address')
+    .in('id', ids);
+
+  if (error) {
+    error.status = 500;
+    throw error;
+  }
+
+  return new Map((users || []).map(user => [user.id, user]));
+};
+
+const calendarController = {
+  // Download a single appointment as an .ics file
+  getAppointmentIcs: async (req, res, next) => {
+    try {
+      // Loaded and access-checked by loadAccessibleAppointment
+      const appointment = req.appointment;
+
+      const usersById = await loadParticipants([appointment]);
+      const calendar = buildCalendar([toCalendarEvent(appointment, req.user.id, usersById)]);
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="appointment-${appointment.id}.ics"`);
+      res.send(calendar);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Create (or rotate) the current user's calendar feed URL
+  createFeed: async (req, res, next) => {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      const { error } = await supabase
+        .from('users')
+        .update({ calendar_feed_token_hash: hashFeedToken(token) })
+        .eq('id', req.user.id);
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      const feedUrl = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+      res.status(201).json({
+        message: 'Calendar feed created. Any previous feed URL no longer works.',
+        data: {
+          feed_url: feedUrl,
+          webcal_url: feedUrl.replace(/^https?:/, 'webcal:')
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Revoke the current user's calendar feed
+  revokeFeed: async (req, res, next) => {
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update({ calendar_feed_token_hash: null })
+        .eq('id', req.user.id);
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      res.json({
+        message: 'Calendar feed revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Serve a calendar feed by its secret token (no login; calendar apps poll this URL)
+  getFeed: async (req, res, next) => {
+    try {
+      const token = String(req.params.token || '').replace(/\.ics$/i, '');
+
+      if (!/^[0-9a-f]{64}$/.test(token)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Calendar feed not found'
+        });
+      }
+
+      const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, full_name, role')
+        .eq('calendar_feed_token_hash', hashFeedToken(token))
+        .maybeSingle();
+
+      if (userError) {
+        userError.status = 500;
+        throw userError;
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Calendar feed not found'
+        });
+      }
+
+      const since = new Date(Date.now() - FEED_LOOKBACK_DAYS * 86400000).toISOString();
+      const { data: appointments, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .or(`user_id.eq.${user.id},doctor_id.eq.${user.id}`)
+        .gte('ends_at', since)
+        .order('starts_at', { ascending: true });
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      const usersById = await loadParticipants(appointments || []);
+      const calendar = buildCalendar(
+        (appointments || []).map(appointment => toCalendarEvent(appointment, user.id, usersById)),
+        { name: `Appointments - ${user.full_name}` }
+      );
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.send(calendar);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = calendarController;
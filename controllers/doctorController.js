@@ -1,32 +1,41 @@
 const { supabase } = require('../config/supabase');
 const bcrypt = require('bcrypt');
-const { generateToken } = require('../middleware/auth');
+const { issueSessionTokens, buildTwoFactorChallenge } = require('../middleware/auth');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { sendLoginBlocked } = require('../middleware/loginProtection');
+const doctorProfileService = require('../services/doctorProfileService');
+const settingsService = require('../services/settingsService');
+const mailService = require('../services/mailService');
+const userTokenService = require('../services/userTokenService');
+const { PURPOSES } = require('../services/userTokenService');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Helper function to validate mental_health_specialties (must be an array when given)
+const invalidSpecialties = (res, mental_health_specialties) => {
+  if (mental_health_specialties !== undefined && !Array.isArray(mental_health_specialties)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'mental_health_specialties must be an array (e.g., ["Anxiety", "Depression"])'
+    });
+  }
+  return null;
+};
 
 const doctorController = {
-  // Get all doctors
+  // Get all verified doctors (unverified doctors are reviewed through /verification/requests)
   getAll: async (req, res, next) => {
     try {
-      const { specialization, is_active, is_verified, mental_health_specialty } = req.query;
-
-      let query = supabase
-        .from('doctors')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (specialization) query = query.ilike('specialization', `%${specialization}%`);
-      if (is_active !== undefined) query = query.eq('is_active', is_active === 'true');
-      if (is_verified !== undefined) query = query.eq('is_verified', is_verified === 'true');
-      
-      // Filter by mental health specialty (searches within the JSONB array)
-      if (mental_health_specialty) {
-        query = query.contains('mental_health_specialties', [mental_health_specialty]);
-      }
-
-      const { data, error } = await query;
+      const { specialization, is_active, mental_health_specialty } = req.query;
 
-      if (error) throw error;
-
-      const doctors = (data || []).map(({ password_hash, ...doctor }) => doctor);
+      const doctors = await doctorProfileService.listDoctors({
+        specialization,
+        mentalHealthSpecialty: mental_health_specialty,
+        isActive: is_active !== undefined ? is_active === 'true' : undefined,
+        isVerified: true,
+        orderBy: 'created_at'
+      });
 
       res.json({ message: 'Doctors retrieved successfully', count: doctors.length, data: doctors });
     } catch (error) {
@@ -39,25 +48,12 @@ const doctorController = {
     try {
       const { specialization, mental_health_specialty } = req.query;
 
-      let query = supabase
-        .from('doctors')
-        .select('*')
-        .eq('is_active', true)
-        .eq('is_verified', true)
-        .order('full_name', { ascending: true });
-
-      if (specialization) query = query.ilike('specialization', `%${specialization}%`);
-      
-      // Filter by mental health specialty (searches within the JSONB array)
-      if (mental_health_specialty) {
-        query = query.contains('mental_health_specialties', [mental_health_specialty]);
-      }
-
-      const { data, error } = await query;
-
-      if (error) throw error;
-
-      const doctors = (data || []).map(({ password_hash, ...doctor }) => doctor);
+      const doctors = await doctorProfileService.listDoctors({
+        specialization,
+        mentalHealthSpecialty: mental_health_specialty,
+        isActive: true,
+        isVerified: true
+      });
 
       res.json({ message: 'Available doctors retrieved successfully', count: doctors.length, data: doctors });
     } catch (error) {
@@ -65,22 +61,21 @@ const doctorController = {
     }
   },
 
-  // Get doctor by ID
+  // Get doctor by ID (the doctor's user ID; IDs from the old doctors table still work)
   getById: async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { data, error } = await supabase.from('doctors').select('*').eq('id', id).single();
+      const doctor = await doctorProfileService.getDoctor(id);
 
-      if (error) return res.status(404).json({ error: 'Doctor not found', message: `No doctor found with ID: ${id}` });
+      if (!doctor) return res.status(404).json({ error: 'Doctor not found', message: `No doctor found with ID: ${id}` });
 
-      const { password_hash, ...doctor } = data;
       res.json({ message: 'Doctor retrieved successfully', data: doctor });
     } catch (error) {
       next(error);
     }
   },
 
-  // Register doctor
+  // Register doctor: creates a user account with role='doctor' and its doctor profile
   register: async (req, res, next) => {
     try {
       const {
@@ -99,41 +94,47 @@ const doctorController = {
 
       if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
 
-      // Validate mental_health_specialties if provided (should be an array)
-      if (mental_health_specialties !== undefined && !Array.isArray(mental_health_specialties)) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'mental_health_specialties must be an array (e.g., ["Anxiety", "Depression"])'
-        });
-      }
+      if (invalidSpecialties(res, mental_health_specialties)) return;
 
-      const { data: existingDoctor } = await supabase.from('doctors').select('email_address').eq('email_address', email_address).single();
-      if (existingDoctor) return res.status(409).json({ error: 'A doctor with this email already exists' });
+      const { data: existingUser } = await supabase.from('users').select('id').eq('email_address', email_address).maybeSingle();
+      if (existingUser) return res.status(409).json({ error: 'A doctor with this email already exists' });
 
-      const { data: existingLicense } = await supabase.from('doctors').select('license_number').eq('license_number', license_number).single();
-      if (existingLicense) return res.status(409).json({ error: 'A doctor with this license number already exists' });
+      if (await doctorProfileService.isLicenseTaken(license_number)) {
+        return res.status(409).json({ error: 'A doctor with this license number already exists' });
+      }
 
       const password_hash = await bcrypt.hash(password, 10);
 
-      // Prepare insert data
-      const insertData = {
-        full_name, email_address, password_hash, phone_number,
-        specialization, license_number, qualifications, bio,
-        years_of_experience, consultation_fee, profile_image_url,
-        is_active: true, is_verified: false
-      };
+      const { data: user, error } = await supabase
+        .from('users')
+        .insert({ full_name, email_address, password_hash, contact_number: phone_number, role: 'doctor', is_active: true })
+        .select('id, full_name, email_address')
+        .single();
 
-      // Add mental_health_specialties if provided (defaults to empty array from migration)
-      if (mental_health_specialties !== undefined) {
-        insertData.mental_health_specialties = mental_health_specialties;
-      }
+      if (error) throw error;
 
-      const { data, error } = await supabase.from('doctors').insert(insertData).select().single();
+      try {
+        await doctorProfileService.createProfile(user.id, {
+          specialization, license_number, qualifications, bio,
+          years_of_experience, consultation_fee, profile_image_url,
+          mental_health_specialties: mental_health_specialties || [],
+          is_verified: false
+        });
+      } catch (profileError) {
+        // Do not leave a doctor account without a profile behind
+        await supabase.from('users').delete().eq('id', user.id);
+        throw profileError;
+      }
 
-      if (error) throw error;
+      try {
+        const { token, expiresInMinutes } = await userTokenService.issue(user.id, PURPOSES.EMAIL_VERIFICATION);
+        await mailService.sendEmailVerification(user, token, expiresInMinutes);
+      } catch (sendError) {
+        console.error(`Error sending verification email to user ${user.id}:`, sendError);
+      }
 
-      const { password_hash: _, ...doctorData } = data;
-      res.status(201).json({ success: true, message: 'Doctor registered successfully', data: doctorData });
+      const doctor = await doctorProfileService.getDoctor(user.id);
+      res.status(201).json({ success: true, message: 'Doctor registered successfully', data: doctor });
     } catch (error) {
       next(error);
     }
@@ -145,32 +146,51 @@ const doctorController = {
       const { email_address, password } = req.body;
       if (!email_address || !password) return res.status(400).json({ error: 'Email and password required' });
 
-      const { data: doctor, error } = await supabase.from('doctors').select('*').eq('email_address', email_address).single();
-      if (error || !doctor) return res.status(401).json({ error: 'Invalid email or password' });
+      // Doctors sign in with their user account (role='doctor')
+      const { data: doctorUser, error } = await supabase
+        .from('users')
+        .select('id, full_name, email_address, role, is_active, password_hash, email_verified_at, two_factor_secret, two_factor_enabled_at')
+        .eq('email_address', email_address)
+        .eq('role', 'doctor')
+        .maybeSingle();
+
+      const isPasswordValid = !error && !!doctorUser && await bcrypt.compare(password, doctorUser.password_hash || '');
+      if (!isPasswordValid) {
+        // Failed attempts count toward the same lockout as /api/users/login
+        const block = await loginProtectionService.recordFailure({ email: email_address, ip: req.ip, user: doctorUser });
+        if (block) return sendLoginBlocked(res, block);
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      if (doctorUser.is_active === false) return res.status(403).json({ error: 'Account inactive' });
 
-      const isPasswordValid = await bcrypt.compare(password, doctor.password_hash || '');
-      if (!isPasswordValid) return res.status(401).json({ error: 'Invalid email or password' });
-      if (!doctor.is_active) return res.status(403).json({ error: 'Account inactive' });
+      const requireVerification = await settingsService.getGlobalSetting('security', 'require_email_verification', false);
+      if (!doctorUser.email_verified_at && requireVerification === true) {
+        return res.status(403).json({
+          error: 'Email Not Verified',
+          message: 'Please verify your email address before logging in. You can request a new verification link.'
+        });
+      }
 
-      const { password_hash: _, ...doctorData } = doctor;
+      // The two-factor step is finished through /api/users/login/2fa (or its setup routes)
+      const twoFactorStep = await twoFactorService.pendingLoginStep(doctorUser);
+      if (twoFactorStep) {
+        return res.json(buildTwoFactorChallenge(doctorUser, twoFactorStep));
+      }
 
-      // Generate JWT token (using same auth middleware) - include doctor role
-      const { generateToken } = require('../middleware/auth');
-      const token = generateToken({
-        ...doctor,
-        role: 'doctor' // Set role as doctor
-      });
+      // Start a session (using same auth middleware) - include doctor role
+      const tokens = await issueSessionTokens({ ...doctorUser, role: 'doctor' }, req);
+      await loginProtectionService.recordSuccess({ email: email_address });
 
       // Include role in response data
       const responseData = {
-        ...doctorData,
+        ...(await doctorProfileService.getDoctor(doctorUser.id)),
         role: 'doctor'
       };
 
       res.json({
         success: true,
         message: 'Login successful',
-        token: token,
+        ...tokens,
         data: responseData
       });
     } catch (error) {
@@ -178,7 +198,7 @@ const doctorController = {
     }
   },
 
-  // Update doctor
+  // Update doctor (the doctor themselves or an admin; is_active admin only, is_verified only through credential review)
   update: async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -192,48 +212,71 @@ const doctorController = {
         consultation_fee,
         profile_image_url,
         is_active,
-        is_verified,
         mental_health_specialties
       } = req.body;
 
-      // Validate mental_health_specialties if provided (should be an array)
-      if (mental_health_specialties !== undefined && !Array.isArray(mental_health_specialties)) {
+      if (invalidSpecialties(res, mental_health_specialties)) return;
+
+      if (req.body.is_verified !== undefined || req.body.license_number !== undefined) {
         return res.status(400).json({
           error: 'Validation Error',
-          message: 'mental_health_specialties must be an array (e.g., ["Anxiety", "Depression"])'
+          message: 'is_verified and license_number change only through credential review: submit them to POST /api/doctors/:id/verification'
+        });
+      }
+
+      const doctor = await doctorProfileService.getDoctor(id);
+      if (!doctor) return res.status(404).json({ error: 'Doctor not found' });
+
+      if (!can(req.user, 'doctor.update_profile', doctor)) {
+        return forbid(req, res, {
+          action: 'doctor.update_profile',
+          resourceType: 'doctor',
+          resourceId: doctor.id,
+          message: 'You can only update your own doctor profile'
+        });
+      }
+
+      if (is_active !== undefined && !can(req.user, 'doctor.manage', doctor)) {
+        return forbid(req, res, {
+          action: 'doctor.manage',
+          resourceType: 'doctor',
+          resourceId: doctor.id,
+          message: 'Only admins can change is_active'
         });
       }
 
-      const updateData = {};
-      if (full_name !== undefined) updateData.full_name = full_name;
-      if (phone_number !== undefined) updateData.phone_number = phone_number;
-      if (specialization !== undefined) updateData.specialization = specialization;
-      if (qualifications !== undefined) updateData.qualifications = qualifications;
-      if (bio !== undefined) updateData.bio = bio;
-      if (years_of_experience !== undefined) updateData.years_of_experience = years_of_experience;
-      if (consultation_fee !== undefined) updateData.consultation_fee = consultation_fee;
-      if (profile_image_url !== undefined) updateData.profile_image_url = profile_image_url;
-      if (is_active !== undefined) updateData.is_active = is_active;
-      if (is_verified !== undefined) updateData.is_verified = is_verified;
-      if (mental_health_specialties !== undefined) updateData.mental_health_specialties = mental_health_specialties;
-
-      const { data, error } = await supabase.from('doctors').update(updateData).eq('id', id).select().single();
-      if (error) return res.status(404).json({ error: 'Doctor not found' });
-
-      const { password_hash, ...doctor } = data;
-      res.json({ message: 'Doctor updated successfully', data: doctor });
+      const updated = await doctorProfileService.updateDoctor(doctor.id, {
+        full_name, phone_number, specialization, qualifications, bio,
+        years_of_experience, consultation_fee, profile_image_url,
+        is_active, mental_health_specialties
+      });
+
+      res.json({ message: 'Doctor updated successfully', data: updated });
     } catch (error) {
       next(error);
     }
   },
 
-  // Delete doctor
+  // Delete doctor (admin only): removes the doctor's user account and profile
   delete: async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { data, error } = await supabase.from('doctors').delete().eq('id', id).select().single();
+
+      const doctor = await doctorProfileService.getDoctor(id);
+      if (!doctor) return res.status(404).json({ error: 'Doctor not found' });
+
+      if (!can(req.user, 'doctor.manage', doctor)) {
+        return forbid(req, res, {
+          action: 'doctor.manage',
+          resourceType: 'doctor',
+          resourceId: doctor.id,
+          message: 'Only admins can delete doctors'
+        });
+      }
+
+      const { error } = await supabase.from('users').delete().eq('id', doctor.id);
       if (error) return res.status(500).json({ error: 'Failed to delete doctor' });
-      res.json({ message: 'Doctor deleted successfully', data });
+      res.json({ message: 'Doctor deleted successfully', data: doctor });
     } catch (error) {
       next(error);
     }
@@ -247,8 +290,9 @@ const doctorController = {
         return res.status(400).json({ message: "Missing required fields" });
       }
 
-      const { data: doctor, error: doctorError } = await supabase.from('doctors').select('id, full_name').eq('full_name', doctorName).single();
+      const { data: doctor, error: doctorError } = await supabase.from('users').select('id, full_name').eq('role', 'doctor').eq('full_name', doctorName).single();
       if (doctorError || !doctor) return res.status(404).json({ message: "Doctor not found" });
+      if (!(await doctorProfileService.isVerified(doctor.id))) return res.status(400).json({ message: "This doctor has not been verified yet and cannot be booked" });
 
       const { data, error } = await supabase.rpc("book_appointment", {
         p_user_id: userId,
@@ -0,0 +1,248 @@
+const doctorProfileService = require('../services/doctorProfileService');
+const doctorVerificationService = require('../services/doctorVerificationService');
+const { REQUEST_STATUSES } = require('../services/doctorVerificationService');
+const scheduleService = require('../services/scheduleService');
+const auditService = require('../services/auditService');
+const { DEFAULT_TIME_ZONE, todayInZone } = require('../lib/timezone');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+const MAX_DOCUMENTS = 10;
+
+// Helper function to check a YYYY-MM-DD date
+const isDate = (value) => typeof value === 'string' && scheduleService.getDayOfWeek(value) !== null;
+
+// Helper function to validate a verification submission from the request body
+const validateSubmission = (body) => {
+  const { license_number, prc_profession, prc_registration_date, prc_expiry_date, documents } = body || {};
+
+  if (!license_number || !prc_profession || !prc_expiry_date) {
+    return 'Required: license_number, prc_profession, prc_expiry_date, documents';
+  }
+
+  if (typeof license_number !== 'string' || typeof prc_profession !== 'string') {
+    return 'license_number and prc_profession must be strings';
+  }
+
+  if (!isDate(prc_expiry_date) || (prc_registration_date !== undefined && prc_registration_date !== null && !isDate(prc_registration_date))) {
+    return 'prc_registration_date and prc_expiry_date must be dates in YYYY-MM-DD format';
+  }
+
+  if (prc_registration_date && prc_registration_date > prc_expiry_date) {
+    return 'prc_registration_date must be on or before prc_expiry_date';
+  }
+
+  if (prc_expiry_date <= todayInZone(DEFAULT_TIME_ZONE)) {
+    return 'The PRC license has expired; renew it before requesting verification';
+  }
+
+  if (!Array.isArray(documents) || documents.length === 0 || documents.length > MAX_DOCUMENTS) {
+    return `documents must be an array of 1 to ${MAX_DOCUMENTS} document references (e.g., [{ "type": "prc_id", "reference": "..." }])`;
+  }
+
+  if (documents.some(doc => !doc || typeof doc.type !== 'string' || !doc.type || typeof doc.reference !== 'string' || !doc.reference)) {
+    return 'Each document needs a type and a reference';
+  }
+
+  return null;
+};
+
+// Helper function to load the doctor in req.params.id and check the action, sending 404/403 itself
+const loadDoctor = async (req, res, action) => {
+  const { id } = req.params;
+  const doctor = await doctorProfileService.getDoctor(id);
+
+  if (!doctor) {
+    res.status(404).json({
+      error: 'Doctor not found',
+      message: `No doctor found with ID: ${id}`
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, doctor)) {
+    await forbid(req, res, {
+      action,
+      resourceType: 'doctor',
+      resourceId: doctor.id,
+      message: action === 'doctor.submit_verification'
+        ? 'Only the doctor can submit their own credentials for verification'
+        : 'You can only view your own verification status'
+    });
+    return null;
+  }
+
+  return doctor;
+};
+
+// Helper function to apply an admin decision ('approve' or 'reject') to a request
+const reviewRequest = async (req, res, next, decision) => {
+  try {
+    const { requestId } = req.params;
+    const comments = typeof req.body?.comments === 'string' ? req.body.comments.trim() : '';
+
+    if (decision === 'reject' && !comments) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'comments are required when rejecting a verification request'
+      });
+    }
+
+    const request = await doctorVerificationService.review(requestId, req.user, {
+      decision,
+      comments: comments || null
+    });
+
+    await auditService.record({
+      userId: req.user.id,
+      role: req.user.role,
+      action: decision === 'approve' ? 'doctor.verification_approved' : 'doctor.verification_rejected',
+      resourceType: 'doctor',
+      resourceId: request.doctor_id,
+      outcome: 'allowed',
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      metadata: { verification_request_id: request.id, comments: request.review_comments }
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Doctor verified successfully' : 'Verification request rejected',
+      data: request
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Verification request not found' : 'Conflict',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+const doctorVerificationController = {
+  // Get a doctor's verification status with their requests and status history
+  getStatus: async (req, res, next) => {
+    try {
+      const doctor = await loadDoctor(req, res, 'doctor.read_verification');
+      if (!doctor) return;
+
+      const [requests, history] = await Promise.all([
+        doctorVerificationService.listRequests({ doctorId: doctor.id }),
+        doctorVerificationService.getHistory(doctor.id)
+      ]);
+
+      res.json({
+        message: 'Verification status retrieved successfully',
+        data: {
+          doctor_id: doctor.id,
+          verification_status: doctor.verification_status || (doctor.is_verified ? 'verified' : 'unverified'),
+          is_verified: doctor.is_verified,
+          verified_at: doctor.verified_at,
+          prc_license_expires_on: doctor.prc_license_expires_on,
+          requests,
+          history
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Submit credentials (license number, PRC details, document references) for admin review
+  submit: async (req, res, next) => {
+    try {
+      const validationError = validateSubmission(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      const doctor = await loadDoctor(req, res, 'doctor.submit_verification');
+      if (!doctor) return;
+
+      const { license_number, prc_profession, prc_registration_date, prc_expiry_date, documents } = req.body;
+
+      const request = await doctorVerificationService.submit(doctor, {
+        license_number: license_number.trim(),
+        prc_profession: prc_profession.trim(),
+        prc_registration_date,
+        prc_expiry_date,
+        documents: documents.map(({ type, reference, name }) => ({ type, reference, ...(name ? { name } : {}) }))
+      }, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Verification request submitted. An admin will review your credentials.',
+        data: request
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: 'Conflict', message: error.message });
+      }
+      next(error);
+    }
+  },
+
+  // List verification requests for review (admin); ?status=pending|approved|rejected
+  listRequests: async (req, res, next) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `status must be one of: ${REQUEST_STATUSES.join(', ')}`
+        });
+      }
+
+      const requests = await doctorVerificationService.listRequests({ status });
+
+      res.json({
+        message: 'Verification requests retrieved successfully',
+        count: requests.length,
+        data: requests
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get one verification request (admin)
+  getRequest: async (req, res, next) => {
+    try {
+      const { requestId } = req.params;
+      const request = await doctorVerificationService.getRequest(requestId);
+
+      if (!request) {
+        return res.status(404).json({
+          error: 'Verification request not found',
+          message: `No verification request found with ID: ${requestId}`
+        });
+      }
+
+      const history = await doctorVerificationService.getHistory(request.doctor_id);
+      res.json({
+        message: 'Verification request retrieved successfully',
+        data: { ...request, history }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Approve a verification request (admin); optional comments
+  approve: async (req, res, next) => {
+    await reviewRequest(req, res, next, 'approve');
+  },
+
+  // Reject a verification request (admin); comments are required so the doctor knows what to fix
+  reject: async (req, res, next) => {
+    await reviewRequest(req, res, next, 'reject');
+  }
+};
+
+module.exports = doctorVerificationController;
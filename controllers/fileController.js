@@ -0,0 +1,279 @@
+const { supabase } = require('../config/supabase');
+const fileService = require('../services/fileService');
+const { PURPOSES } = require('../services/fileService');
+const auditService = require('../services/auditService');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Error titles for upload check failures
+const UPLOAD_ERRORS = {
+  400: 'Validation Error',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Upload Rejected',
+  503: 'Service Unavailable'
+};
+
+// Helper function to find the participants of an appointment
+const findAppointment = async (appointmentId) => {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id, user_id, doctor_id')
+    .eq('id', appointmentId)
+    .maybeSingle();
+
+  if (error) {
+    error.status = 500;
+    throw error;
+  }
+
+  return data;
+};
+
+// Helper function to turn an API path into an absolute URL on this server
+const absoluteUrl = (req, pathname) => `${req.protocol}://${req.get('host')}${pathname}`;
+
+// Helper function to add a fresh signed download URL to a file
+const withDownloadUrl = (req, file) => {
+  const { path: downloadPath, expires_at } = fileService.createDownloadPath(file.id);
+  return { ...file, download_url: absoluteUrl(req, downloadPath), download_url_expires_at: expires_at };
+};
+
+// Helper function to load the file in req.params.id and check the action, sending 404/403 itself
+const loadFile = async (req, res, action) => {
+  const { id } = req.params;
+  const file = await fileService.getFile(id);
+
+  if (!file) {
+    res.status(404).json({
+      error: 'File not found',
+      message: `No file found with ID: ${id}`
+    });
+    return null;
+  }
+
+  const appointment = file.appointment_id ? await findAppointment(file.appointment_id) : null;
+
+  if (!can(req.user, action, { ...file, appointment })) {
+    await forbid(req, res, {
+      action,
+      resourceType: 'file',
+      resourceId: file.id,
+      message: action === 'file.delete' ? 'You can only delete your own files' : 'You do not have access to this file'
+    });
+    return null;
+  }
+
+  return file;
+};
+
+const fileController = {
+  // Upload a file (multipart/form-data: file, purpose, optional appointment_id)
+  upload: async (req, res, next) => {
+    try {
+      const { purpose, appointment_id } = req.body || {};
+
+      const violation = fileService.checkUpload(req.file, purpose, appointment_id);
+      if (violation) {
+        return res.status(violation.status).json({
+          error: UPLOAD_ERRORS[violation.status],
+          message: violation.message
+        });
+      }
+
+      if (appointment_id) {
+        const appointment = await findAppointment(appointment_id);
+        if (!appointment) {
+          return res.status(404).json({
+            error: 'Appointment not found',
+            message: `No appointment found with ID: ${appointment_id}`
+          });
+        }
+
+        if (!can(req.user, 'file.attach', appointment)) {
+          return forbid(req, res, {
+            action: 'file.attach',
+            resourceType: 'appointment',
+            resourceId: appointment.id,
+            message: 'You can only attach files to your own appointments'
+          });
+        }
+      }
+
+      let scan;
+      try {
+        scan = await fileService.scan(req.file);
+      } catch (scanError) {
+        if (!scanError.status) throw scanError;
+
+        if (scanError.status === 422) {
+          await auditService.record({
+            userId: req.user.id,
+            role: req.user.role,
+            action: 'file.upload_rejected',
+            resourceType: 'file',
+            outcome: 'denied',
+            reason: 'Virus scanner rejected the file',
+            ipAddress: req.ip || null,
+            userAgent: req.get('user-agent') || null,
+            metadata: { purpose, original_name: req.file.originalname, details: scanError.details }
+          });
+        }
+
+        return res.status(scanError.status).json({
+          error: UPLOAD_ERRORS[scanError.status],
+          message: scanError.message
+        });
+      }
+
+      const file = await fileService.create(req.user.id, req.file, {
+        purpose,
+        appointmentId: appointment_id || null,
+        scanStatus: scan.scanStatus,
+        scanDetails: scan.details
+      });
+
+      // A doctor's avatar becomes their public profile image
+      if (purpose === 'avatar' && req.user.role === 'doctor') {
+        const { error } = await supabase
+          .from('doctor_profiles')
+          .update({ profile_image_url: absoluteUrl(req, `/api/files/${file.id}/download`) })
+          .eq('user_id', req.user.id);
+
+        if (error) {
+          console.error(`Error setting profile image of doctor ${req.user.id}:`, error);
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: withDownloadUrl(req, file)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // List the current user's files, or every file of an appointment they take part in
+  getAll: async (req, res, next) => {
+    try {
+      const { purpose, appointment_id } = req.query;
+
+      if (purpose && !PURPOSES[purpose]) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `purpose must be one of: ${Object.keys(PURPOSES).join(', ')}`
+        });
+      }
+
+      let filters = { ownerId: req.user.id, purpose };
+
+      if (appointment_id) {
+        const appointment = await findAppointment(appointment_id);
+        if (!appointment) {
+          return res.status(404).json({
+            error: 'Appointment not found',
+            message: `No appointment found with ID: ${appointment_id}`
+          });
+        }
+
+        if (!can(req.user, 'appointment.read', appointment)) {
+          return forbid(req, res, {
+            action: 'appointment.read',
+            resourceType: 'appointment',
+            resourceId: appointment.id,
+            message: 'You can only view files of your own appointments'
+          });
+        }
+
+        filters = { appointmentId: appointment.id, purpose };
+      }
+
+      const files = await fileService.listFiles(filters);
+
+      res.json({
+        message: 'Files retrieved successfully',
+        count: files.length,
+        data: files
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a file's details with a signed, time-limited download URL
+  getById: async (req, res, next) => {
+    try {
+      const file = await loadFile(req, res, 'file.read');
+      if (!file) return;
+
+      res.json({
+        message: 'File retrieved successfully',
+        data: withDownloadUrl(req, file)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Download a file's contents. Needs a valid signed URL (from getById or upload),
+  // except for public files such as avatars.
+  download: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { expires, signature } = req.query;
+
+      const file = await fileService.getFile(id, { includeStorage: true });
+      const allowed = !!file && (fileService.isPublic(file) || fileService.verifyDownloadSignature(id, expires, signature));
+
+      if (!allowed) {
+        // Unknown files and bad links look the same, so IDs cannot be probed
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This download link is invalid or has expired'
+        });
+      }
+
+      const contents = await fileService.readContents(file);
+      if (!contents) {
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'The contents of this file are no longer available'
+        });
+      }
+
+      const disposition = file.mime_type.startsWith('image/') ? 'inline' : 'attachment';
+      res.set({
+        'Content-Type': file.mime_type,
+        'Content-Length': String(contents.length),
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(file.original_name)}`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': fileService.isPublic(file) ? 'public, max-age=86400' : 'private, no-store'
+      });
+
+      res.send(contents);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Delete a file (the owner, or an admin)
+  delete: async (req, res, next) => {
+    try {
+      const file = await loadFile(req, res, 'file.delete');
+      if (!file) return;
+
+      await fileService.deleteFile(file.id);
+
+      res.json({
+        message: 'File deleted successfully',
+        data: { id: file.id }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = fileController;
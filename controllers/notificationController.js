@@ -1,5 +1,33 @@
 const { supabase } = require('../config/supabase');
 const notificationService = require('../services/notificationService');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Helper function to load the notification in req.params.id and check the action, sending 404/403 itself
+const loadNotification = async (req, res, action) => {
+  const { id } = req.params;
+  const notification = await notificationService.getNotification(id);
+
+  if (!notification) {
+    res.status(404).json({
+      error: 'Notification not found',
+      message: `No notification found with ID: ${id}`
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, notification)) {
+    await forbid(req, res, {
+      action,
+      resourceType: 'notification',
+      resourceId: notification.id,
+      message: 'You can only manage your own notifications'
+    });
+    return null;
+  }
+
+  return notification;
+};
 
 const notificationController = {
   // Get user notifications
@@ -42,14 +70,14 @@ const notificationController = {
   // Mark notification as read
   markAsRead: async (req, res, next) => {
     try {
-      const { id } = req.params;
-      const userId = req.user.id;
+      const notification = await loadNotification(req, res, 'notification.update');
+      if (!notification) return;
 
-      const notification = await notificationService.markAsRead(id, userId);
+      const updated = await notificationService.markAsRead(notification.id, notification.user_id);
 
       res.json({
         message: 'Notification marked as read',
-        data: notification
+        data: updated
       });
     } catch (error) {
       next(error);
@@ -74,10 +102,10 @@ const notificationController = {
   // Delete notification
   deleteNotification: async (req, res, next) => {
     try {
-      const { id } = req.params;
-      const userId = req.user.id;
+      const notification = await loadNotification(req, res, 'notification.delete');
+      if (!notification) return;
 
-      await notificationService.deleteNotification(id, userId);
+      await notificationService.deleteNotification(notification.id, notification.user_id);
 
       res.json({
         message: 'Notification deleted successfully'
@@ -101,9 +129,11 @@ const notificationController = {
 
       // Only allow if user is creating for themselves or is admin
       const targetUserId = user_id || req.user.id;
-      if (targetUserId !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Unauthorized',
+      if (!can(req.user, 'notification.create', { user_id: targetUserId })) {
+        return forbid(req, res, {
+          action: 'notification.create',
+          resourceType: 'user',
+          resourceId: targetUserId,
           message: 'You can only create notifications for yourself'
         });
       }
@@ -1,6 +1,55 @@
 const { supabase } = require('../config/supabase');
 const paymentService = require('../services/paymentService');
 const paymentProgressService = require('../services/paymentProgressService');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+const doctorProfileService = require('../services/doctorProfileService');
+
+// Helper function to lift the embedded doctor profile fields onto the payment's doctor
+const flattenDoctor = (payment) => {
+  if (!payment || !payment.doctor) return payment;
+
+  const { doctor_profile, ...doctor } = payment.doctor;
+  const profile = (Array.isArray(doctor_profile) ? doctor_profile[0] : doctor_profile) || {};
+  return { ...payment, doctor: { ...doctor, ...profile } };
+};
+
+// Helper function to load the payment in req.params.paymentId and check the action, sending 404/403 itself
+const loadPayment = async (req, res, action) => {
+  const { paymentId } = req.params;
+
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .maybeSingle();
+
+  // 22P02: the ID is not a valid UUID, so no payment has it
+  if (error && error.code !== '22P02') {
+    error.status = 500;
+    throw error;
+  }
+
+  if (!payment) {
+    res.status(404).json({
+      error: 'Payment not found',
+      message: `No payment found with ID: ${paymentId}`
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, payment)) {
+    await forbid(req, res, {
+      action,
+      resourceType: 'payment',
+      resourceId: payment.id,
+      message: 'You do not have access to this payment'
+    });
+    return null;
+  }
+
+  return payment;
+};
 
 const paymentController = {
   // ========== PATIENT-SIDE PAYMENT METHODS ==========
@@ -16,7 +65,7 @@ const paymentController = {
         .select(`
           *,
           appointment:appointments(*),
-          doctor:users!payments_doctor_id_fkey(id, full_name, email_address, specialization)
+          doctor:users!payments_doctor_id_fkey(id, full_name, email_address, doctor_profile:doctor_profiles(specialization))
         `)
         .eq('patient_id', patientId)
         .order('created_at', { ascending: false })
@@ -43,7 +92,7 @@ const paymentController = {
       res.json({
         message: 'Payments retrieved successfully',
         count: data?.length || 0,
-        data: data || []
+        data: (data || []).map(flattenDoctor)
       });
     } catch (error) {
       next(error);
@@ -59,7 +108,7 @@ const paymentController = {
       // Build base query
       let query = supabase
         .from('payments')
-        .select('amount, payment_status, created_at')
+        .select('amount, payment_status, refund_amount, created_at')
         .eq('patient_id', patientId);
 
       if (start_date) {
@@ -106,13 +155,16 @@ const paymentController = {
           if (paymentDate >= startOfYear) {
             stats.this_year_paid += amount;
           }
+        } else if (payment.payment_status === 'partially_refunded') {
+          // Only the retained cancellation fee counts as paid
+          stats.total_paid += amount - (parseFloat(payment.refund_amount) || 0);
         } else if (payment.payment_status === 'pending' || payment.payment_status === 'processing') {
           stats.pending_payments += 1;
         } else if (payment.payment_status === 'failed' || payment.payment_status === 'cancelled') {
           stats.failed_payments += 1;
         }
 
-        if (payment.payment_status === 'refunded' && payment.refund_amount) {
+        if ((payment.payment_status === 'refunded' || payment.payment_status === 'partially_refunded') && payment.refund_amount) {
           stats.refunded_amount += parseFloat(payment.refund_amount) || 0;
         }
       });
@@ -130,17 +182,15 @@ const paymentController = {
   getPaymentByAppointmentId: async (req, res, next) => {
     try {
       const { appointmentId } = req.params;
-      const patientId = req.user.id;
 
       const { data: payment, error } = await supabase
         .from('payments')
         .select(`
           *,
           appointment:appointments(*),
-          doctor:users!payments_doctor_id_fkey(id, full_name, email_address, specialization, consultation_fee)
+          doctor:users!payments_doctor_id_fkey(id, full_name, email_address, doctor_profile:doctor_profiles(specialization, consultation_fee))
         `)
         .eq('appointment_id', appointmentId)
-        .eq('patient_id', patientId)
         .single();
 
       if (error) {
@@ -154,9 +204,18 @@ const paymentController = {
         throw error;
       }
 
+      if (!can(req.user, 'payment.read', payment)) {
+        return forbid(req, res, {
+          action: 'payment.read',
+          resourceType: 'payment',
+          resourceId: payment.id,
+          message: 'You do not have access to this payment'
+        });
+      }
+
       res.json({
         message: 'Payment retrieved successfully',
-        data: payment
+        data: flattenDoctor(payment)
       });
     } catch (error) {
       next(error);
@@ -205,9 +264,11 @@ const paymentController = {
       }
 
       // Verify the patient owns this appointment
-      if (appointment.user_id !== patientId) {
-        return res.status(403).json({
-          error: 'Unauthorized',
+      if (!can(req.user, 'payment.create', appointment)) {
+        return forbid(req, res, {
+          action: 'payment.create',
+          resourceType: 'appointment',
+          resourceId: appointment_id,
           message: 'You can only create payments for your own appointments'
         });
       }
@@ -243,13 +304,9 @@ const paymentController = {
       }
 
       // Get doctor's consultation fee
-      const { data: doctor } = await supabase
-        .from('users')
-        .select('consultation_fee')
-        .eq('id', appointment.doctor_id)
-        .single();
+      const consultationFee = await doctorProfileService.getConsultationFee(appointment.doctor_id);
 
-      if (!doctor || !doctor.consultation_fee) {
+      if (!consultationFee) {
         return res.status(400).json({
           error: 'Consultation fee not set',
           message: 'Doctor consultation fee is not available'
@@ -290,7 +347,7 @@ const paymentController = {
         appointment_id,
         doctor_id: appointment.doctor_id,
         patient_id: patientId,
-        amount: doctor.consultation_fee,
+        amount: consultationFee,
         currency: 'PHP', // PHP currency only
         payment_method,
         cp_number: cp_number ? cp_number.replace(/[\s\-\(\)]/g, '') : null
@@ -309,22 +366,8 @@ const paymentController = {
   verifyPayment: async (req, res, next) => {
     try {
       const { paymentId } = req.params;
-      const patientId = req.user.id;
-
-      // Get payment and verify ownership
-      const { data: payment, error } = await supabase
-        .from('payments')
-        .select('*')
-        .eq('id', paymentId)
-        .eq('patient_id', patientId)
-        .single();
-
-      if (error || !payment) {
-        return res.status(404).json({
-          error: 'Payment not found',
-          message: 'Payment not found or you do not have access to it'
-        });
-      }
+      const payment = await loadPayment(req, res, 'payment.read');
+      if (!payment) return;
 
       // Verify payment with gateway
       const verifiedPayment = await paymentService.verifyPayment(
@@ -364,22 +407,8 @@ const paymentController = {
     try {
       const { paymentId } = req.params;
       const { reason } = req.body;
-      const patientId = req.user.id;
-
-      // Verify payment ownership
-      const { data: payment, error } = await supabase
-        .from('payments')
-        .select('*')
-        .eq('id', paymentId)
-        .eq('patient_id', patientId)
-        .single();
-
-      if (error || !payment) {
-        return res.status(404).json({
-          error: 'Payment not found',
-          message: 'Payment not found or you do not have access to it'
-        });
-      }
+      const payment = await loadPayment(req, res, 'payment.cancel');
+      if (!payment) return;
 
       // Cancel payment
       const cancelledPayment = await paymentService.cancelPayment(paymentId, reason);
@@ -397,22 +426,8 @@ const paymentController = {
   getPaymentStatus: async (req, res, next) => {
     try {
       const { paymentId } = req.params;
-      const patientId = req.user.id;
-
-      // Get payment and verify ownership
-      const { data: payment, error } = await supabase
-        .from('payments')
-        .select('*')
-        .eq('id', paymentId)
-        .eq('patient_id', patientId)
-        .single();
-
-      if (error || !payment) {
-        return res.status(404).json({
-          error: 'Payment not found',
-          message: 'Payment not found or you do not have access to it'
-        });
-      }
+      const payment = await loadPayment(req, res, 'payment.read');
+      if (!payment) return;
 
       const status = await paymentService.getPaymentStatus(paymentId);
 
@@ -429,22 +444,8 @@ const paymentController = {
   getPaymentProgress: async (req, res, next) => {
     try {
       const { paymentId } = req.params;
-      const patientId = req.user.id;
-
-      // Verify payment ownership
-      const { data: payment, error } = await supabase
-        .from('payments')
-        .select('id')
-        .eq('id', paymentId)
-        .eq('patient_id', patientId)
-        .single();
-
-      if (error || !payment) {
-        return res.status(404).json({
-          error: 'Payment not found',
-          message: 'Payment not found or you do not have access to it'
-        });
-      }
+      const payment = await loadPayment(req, res, 'payment.read');
+      if (!payment) return;
 
       const progress = await paymentProgressService.getPaymentProgress(paymentId);
 
@@ -461,22 +462,8 @@ const paymentController = {
   getPaymentTimeline: async (req, res, next) => {
     try {
       const { paymentId } = req.params;
-      const patientId = req.user.id;
-
-      // Verify payment ownership
-      const { data: payment, error } = await supabase
-        .from('payments')
-        .select('id')
-        .eq('id', paymentId)
-        .eq('patient_id', patientId)
-        .single();
-
-      if (error || !payment) {
-        return res.status(404).json({
-          error: 'Payment not found',
-          message: 'Payment not found or you do not have access to it'
-        });
-      }
+      const payment = await loadPayment(req, res, 'payment.read');
+      if (!payment) return;
 
       const timeline = await paymentProgressService.getPaymentTimeline(paymentId);
 
@@ -566,9 +553,11 @@ const paymentController = {
       }
 
       // Verify the patient owns this appointment
-      if (appointment.user_id !== patientId) {
-        return res.status(403).json({
-          error: 'Unauthorized',
+      if (!can(req.user, 'payment.create', appointment)) {
+        return forbid(req, res, {
+          action: 'payment.create',
+          resourceType: 'appointment',
+          resourceId: appointment_id,
           message: 'You can only create payments for your own appointments'
         });
       }
@@ -648,7 +637,7 @@ const paymentController = {
         .select(`
           *,
           appointment:appointments(id, appointment_date, appointment_time, appointment_type, status),
-          doctor:users!payments_doctor_id_fkey(id, full_name, email_address, specialization)
+          doctor:users!payments_doctor_id_fkey(id, full_name, email_address, doctor_profile:doctor_profiles(specialization))
         `)
         .eq('patient_id', patientId)
         .order(sort_by, { ascending: sort_order === 'asc' })
@@ -690,7 +679,7 @@ const paymentController = {
 
       res.json({
         message: 'Payment history retrieved successfully',
-        data: payments || [],
+        data: (payments || []).map(flattenDoctor),
         pagination: {
           total: count || 0,
           limit: parseInt(limit),
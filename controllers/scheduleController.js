@@ -0,0 +1,621 @@
+const { supabase } = require('../config/supabase');
+const scheduleService = require('../services/scheduleService');
+const notificationService = require('../services/notificationService');
+const { DEFAULT_TIME_ZONE, todayInZone } = require('../lib/timezone');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Maximum number of days a single slot query may span
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Helper function to verify the id belongs to a doctor user
+const findDoctorUser = async (doctorId) => {
+  const { data: doctor, error } = await supabase
+    .from('users')
+    .select('id, full_name, role, time_zone')
+    .eq('id', doctorId)
+    .single();
+
+  if (error || !doctor || doctor.role !== 'doctor') {
+    return null;
+  }
+
+  return doctor;
+};
+
+// Helper function to check that the requester may change a doctor's schedule
+const canManageSchedule = (user, doctorId) => can(user, 'schedule.manage', { doctor_id: doctorId });
+
+// Helper function to validate a single schedule block from the request body
+const validateScheduleBlock = (block) => {
+  if (!block || typeof block !== 'object') {
+    return 'Each schedule block must be an object';
+  }
+
+  const dayOfWeek = Number(block.day_of_week);
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    return 'day_of_week must be an integer between 0 (Sunday) and 6 (Saturday)';
+  }
+
+  const start = scheduleService.timeToMinutes(block.start_time);
+  const end = scheduleService.timeToMinutes(block.end_time);
+  if (start === null || end === null) {
+    return 'start_time and end_time must be in HH:MM format';
+  }
+
+  // Mirrors the valid_time_range constraint on doctor_schedules
+  if (end <= start) {
+    return 'end_time must be after start_time';
+  }
+
+  if (block.is_available !== undefined && typeof block.is_available !== 'boolean') {
+    return 'is_available must be a boolean';
+  }
+
+  return null;
+};
+
+// Helper function to find the first pair of overlapping blocks on the same day
+const findOverlap = (blocks) => {
+  for (let i = 0; i < blocks.length; i++) {
+    for (let j = i + 1; j < blocks.length; j++) {
+      const a = blocks[i];
+      const b = blocks[j];
+      if (Number(a.day_of_week) !== Number(b.day_of_week)) continue;
+
+      const aStart = scheduleService.timeToMinutes(a.start_time);
+      const aEnd = scheduleService.timeToMinutes(a.end_time);
+      const bStart = scheduleService.timeToMinutes(b.start_time);
+      const bEnd = scheduleService.timeToMinutes(b.end_time);
+      if (aStart < bEnd && bStart < aEnd) {
+        return [a, b];
+      }
+    }
+  }
+  return null;
+};
+
+// Helper function to build the row inserted into doctor_schedules
+const toScheduleRow = (doctorId, block) => ({
+  doctor_id: doctorId,
+  day_of_week: Number(block.day_of_week),
+  start_time: block.start_time,
+  end_time: block.end_time,
+  is_available: block.is_available !== undefined ? block.is_available : true
+});
+
+// Helper function to validate a schedule exception from the request body
+const validateException = (body) => {
+  const { start_date, end_date, start_time, end_time } = body || {};
+  const endDate = end_date || start_date;
+
+  if (scheduleService.getDayOfWeek(start_date) === null || scheduleService.getDayOfWeek(endDate) === null) {
+    return 'start_date and end_date must be dates in YYYY-MM-DD format';
+  }
+
+  if (endDate < start_date) {
+    return 'end_date must be on or after start_date';
+  }
+
+  // Partial-day exceptions need both times; full-day exceptions need neither
+  if ((start_time && !end_time) || (!start_time && end_time)) {
+    return 'Provide both start_time and end_time for a partial-day exception, or neither for full days';
+  }
+
+  if (start_time) {
+    const start = scheduleService.timeToMinutes(start_time);
+    const end = scheduleService.timeToMinutes(end_time);
+    if (start === null || end === null) {
+      return 'start_time and end_time must be in HH:MM format';
+    }
+    if (end <= start) {
+      return 'end_time must be after start_time';
+    }
+  }
+
+  return null;
+};
+
+const scheduleController = {
+  // Get bookable slots for a doctor grouped by date
+  getSlots: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const duration = req.query.duration !== undefined ? parseInt(req.query.duration, 10) : 60;
+
+      const doctor = await findDoctorUser(id);
+      if (!doctor) {
+        return res.status(404).json({
+          error: 'Doctor not found',
+          message: `No doctor found with ID: ${id}`
+        });
+      }
+
+      // Dates are interpreted in the doctor's time zone, where their schedule applies
+      const timeZone = doctor.time_zone || DEFAULT_TIME_ZONE;
+      const from = req.query.from || todayInZone(timeZone);
+      const to = req.query.to || scheduleService.addDays(from, 6);
+
+      if (scheduleService.getDayOfWeek(from) === null || scheduleService.getDayOfWeek(to) === null) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'from and to must be dates in YYYY-MM-DD format'
+        });
+      }
+
+      if (to < from) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'to must be on or after from'
+        });
+      }
+
+      if (scheduleService.addDays(from, MAX_SLOT_RANGE_DAYS - 1) < to) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`
+        });
+      }
+
+      if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'duration must be a whole number of minutes between 15 and 480'
+        });
+      }
+
+      const days = await scheduleService.computeSlots({
+        doctorId: id,
+        from,
+        to,
+        durationMinutes: duration,
+        timeZone
+      });
+
+      res.json({
+        message: 'Available slots retrieved successfully',
+        data: {
+          doctor_id: id,
+          from,
+          to,
+          duration_minutes: duration,
+          time_zone: timeZone,
+          days
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a doctor's weekly schedule blocks
+  getSchedules: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const doctor = await findDoctorUser(id);
+      if (!doctor) {
+        return res.status(404).json({
+          error: 'Doctor not found',
+          message: `No doctor found with ID: ${id}`
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('doctor_schedules')
+        .select('*')
+        .eq('doctor_id', id)
+        .order('day_of_week', { ascending: true })
+        .order('start_time', { ascending: true });
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      res.json({
+        message: 'Schedules retrieved successfully',
+        count: data?.length || 0,
+        data: data || []
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Create a weekly schedule block
+  createSchedule: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      if (!canManageSchedule(req.user, id)) {
+        return forbid(req, res, {
+          action: 'schedule.manage',
+          resourceType: 'doctor',
+          resourceId: id,
+          message: 'You can only manage your own schedule'
+        });
+      }
+
+      const validationError = validateScheduleBlock(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      const doctor = await findDoctorUser(id);
+      if (!doctor) {
+        return res.status(404).json({
+          error: 'Doctor not found',
+          message: `No doctor found with ID: ${id}`
+        });
+      }
+
+      // Check the new block against the doctor's existing blocks on the same day
+      const { data: existing, error: existingError } = await supabase
+        .from('doctor_schedules')
+        .select('*')
+        .eq('doctor_id', id)
+        .eq('day_of_week', Number(req.body.day_of_week));
+
+      if (existingError) {
+        existingError.status = 500;
+        throw existingError;
+      }
+
+      const newBlock = toScheduleRow(id, req.body);
+      const conflict = (existing || []).find(block => findOverlap([block, newBlock]));
+      if (conflict) {
+        return res.status(409).json({
+          error: 'Schedule Conflict',
+          message: 'This block overlaps an existing schedule block on the same day',
+          conflicting_schedule: conflict
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('doctor_schedules')
+        .insert(newBlock)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23514') {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: 'end_time must be after start_time'
+          });
+        }
+        error.status = 500;
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Schedule created successfully',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Replace all weekly schedule blocks for a doctor
+  replaceSchedules: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { schedules } = req.body;
+
+      if (!canManageSchedule(req.user, id)) {
+        return forbid(req, res, {
+          action: 'schedule.manage',
+          resourceType: 'doctor',
+          resourceId: id,
+          message: 'You can only manage your own schedule'
+        });
+      }
+
+      if (!Array.isArray(schedules)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'schedules must be an array of schedule blocks'
+        });
+      }
+
+      for (let i = 0; i < schedules.length; i++) {
+        const validationError = validateScheduleBlock(schedules[i]);
+        if (validationError) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `schedules[${i}]: ${validationError}`
+          });
+        }
+      }
+
+      const overlap = findOverlap(schedules);
+      if (overlap) {
+        return res.status(409).json({
+          error: 'Schedule Conflict',
+          message: 'Schedule blocks on the same day cannot overlap',
+          conflicting_schedules: overlap
+        });
+      }
+
+      const doctor = await findDoctorUser(id);
+      if (!doctor) {
+        return res.status(404).json({
+          error: 'Doctor not found',
+          message: `No doctor found with ID: ${id}`
+        });
+      }
+
+      const { data: previous, error: previousError } = await supabase
+        .from('doctor_schedules')
+        .select('id')
+        .eq('doctor_id', id);
+
+      if (previousError) {
+        previousError.status = 500;
+        throw previousError;
+      }
+
+      // Insert the new blocks before removing the old ones so a failed insert
+      // leaves the existing schedule untouched
+      let inserted = [];
+      if (schedules.length > 0) {
+        const { data, error } = await supabase
+          .from('doctor_schedules')
+          .insert(schedules.map(block => toScheduleRow(id, block)))
+          .select();
+
+        if (error) {
+          error.status = 500;
+          throw error;
+        }
+        inserted = data || [];
+      }
+
+      const previousIds = (previous || []).map(block => block.id);
+      if (previousIds.length > 0) {
+        const { error: deleteError } = await supabase
+          .from('doctor_schedules')
+          .delete()
+          .in('id', previousIds);
+
+        if (deleteError) {
+          deleteError.status = 500;
+          throw deleteError;
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Schedules replaced successfully',
+        count: inserted.length,
+        data: inserted
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Delete a weekly schedule block
+  deleteSchedule: async (req, res, next) => {
+    try {
+      const { id, scheduleId } = req.params;
+
+      if (!canManageSchedule(req.user, id)) {
+        return forbid(req, res, {
+          action: 'schedule.manage',
+          resourceType: 'doctor',
+          resourceId: id,
+          message: 'You can only manage your own schedule'
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('doctor_schedules')
+        .delete()
+        .eq('id', scheduleId)
+        .eq('doctor_id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!data) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          message: `No schedule found with ID: ${scheduleId}`
+        });
+      }
+
+      res.json({
+        message: 'Schedule deleted successfully',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a doctor's schedule exceptions (time off, sick days). Only the doctor and admins
+  // see them, as reasons can be personal; others see availability through the slots.
+  getExceptions: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      if (!canManageSchedule(req.user, id)) {
+        return forbid(req, res, {
+          action: 'schedule.manage',
+          resourceType: 'doctor',
+          resourceId: id,
+          message: 'You can only view your own schedule exceptions'
+        });
+      }
+
+      const doctor = await findDoctorUser(id);
+      if (!doctor) {
+        return res.status(404).json({
+          error: 'Doctor not found',
+          message: `No doctor found with ID: ${id}`
+        });
+      }
+
+      let query = supabase
+        .from('doctor_schedule_exceptions')
+        .select('*')
+        .eq('doctor_id', id)
+        .order('start_date', { ascending: true });
+
+      if (from) query = query.gte('end_date', from);
+      if (to) query = query.lte('start_date', to);
+
+      const { data, error } = await query;
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      res.json({
+        message: 'Schedule exceptions retrieved successfully',
+        count: data?.length || 0,
+        data: data || []
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Create a schedule exception and flag appointments that fall inside it
+  createException: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { start_date, end_date, start_time, end_time, reason } = req.body;
+
+      if (!canManageSchedule(req.user, id)) {
+        return forbid(req, res, {
+          action: 'schedule.manage',
+          resourceType: 'doctor',
+          resourceId: id,
+          message: 'You can only manage your own schedule'
+        });
+      }
+
+      const validationError = validateException(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: validationError
+        });
+      }
+
+      const doctor = await findDoctorUser(id);
+      if (!doctor) {
+        return res.status(404).json({
+          error: 'Doctor not found',
+          message: `No doctor found with ID: ${id}`
+        });
+      }
+
+      const { data: exception, error } = await supabase
+        .from('doctor_schedule_exceptions')
+        .insert({
+          doctor_id: id,
+          start_date,
+          end_date: end_date || start_date,
+          start_time: start_time || null,
+          end_time: end_time || null,
+          reason: reason || null,
+          created_by: req.user.id
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23514') {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid exception date or time range'
+          });
+        }
+        error.status = 500;
+        throw error;
+      }
+
+      // Flag already-booked appointments inside the new exception
+      const flagReason = reason ? `Doctor unavailable: ${reason}` : 'Doctor unavailable';
+      const flagged = await scheduleService.flagAffectedAppointments({
+        doctorId: id,
+        start_date: exception.start_date,
+        end_date: exception.end_date,
+        start_time: exception.start_time,
+        end_time: exception.end_time,
+        reason: flagReason
+      });
+
+      await notificationService.notifyRescheduleRequired(id, flagged, flagReason);
+
+      res.status(201).json({
+        success: true,
+        message: 'Schedule exception created successfully',
+        data: exception,
+        affected_appointments: flagged
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Delete a schedule exception
+  deleteException: async (req, res, next) => {
+    try {
+      const { id, exceptionId } = req.params;
+
+      if (!canManageSchedule(req.user, id)) {
+        return forbid(req, res, {
+          action: 'schedule.manage',
+          resourceType: 'doctor',
+          resourceId: id,
+          message: 'You can only manage your own schedule'
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('doctor_schedule_exceptions')
+        .delete()
+        .eq('id', exceptionId)
+        .eq('doctor_id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!data) {
+        return res.status(404).json({
+          error: 'Schedule exception not found',
+          message: `No schedule exception found with ID: ${exceptionId}`
+        });
+      }
+
+      res.json({
+        message: 'Schedule exception deleted successfully',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = scheduleController;
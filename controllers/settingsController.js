@@ -1,4 +1,52 @@
 const { supabase } = require('../config/supabase');
+const settingsService = require('../services/settingsService');
+const scheduleService = require('../services/scheduleService');
+const notificationService = require('../services/notificationService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const reminderService = require('../services/reminderService');
+
+// Setting categories users and admins may write
+const VALID_CATEGORIES = ['clinic_info', 'appointment_booking', 'patient_records', 'environment_support', 'notifications'];
+
+// Categories that only exist as global (clinic-wide) settings
+const GLOBAL_CATEGORIES = [...VALID_CATEGORIES, 'security'];
+
+// Helper function to validate a user's notification preference; returns an error message or null
+const validateNotificationSetting = (key, value) => {
+  if (key === 'appointment_reminders' && typeof value !== 'boolean') {
+    return 'appointment_reminders must be true or false';
+  }
+  if (key === 'reminder_offsets_minutes') {
+    return reminderService.validateOffsets(value);
+  }
+  return null;
+};
+
+// Helper function to flag appointments inside clinic holidays that were just added
+const flagAppointmentsForNewHolidays = async (previousHolidays, holidays) => {
+  const previousKeys = new Set(
+    (Array.isArray(previousHolidays) ? previousHolidays : [])
+      .map(holiday => JSON.stringify(scheduleService.normalizeHoliday(holiday)))
+  );
+
+  const added = holidays
+    .map(holiday => scheduleService.normalizeHoliday(holiday))
+    .filter(holiday => holiday && !previousKeys.has(JSON.stringify(holiday)));
+
+  for (const holiday of added) {
+    const reason = `Clinic holiday: ${holiday.reason}`;
+    const flagged = await scheduleService.flagAffectedAppointments({ ...holiday, doctorId: null, reason });
+
+    // Notify each affected doctor once per holiday
+    const byDoctor = new Map();
+    flagged.forEach(apt => {
+      byDoctor.set(apt.doctor_id, [...(byDoctor.get(apt.doctor_id) || []), apt]);
+    });
+    for (const [doctorId, appointments] of byDoctor) {
+      await notificationService.notifyRescheduleRequired(doctorId, appointments, reason);
+    }
+  }
+};
 
 const settingsController = {
   // Get user settings
@@ -55,11 +103,18 @@ const settingsController = {
       }
 
       // Validate category
-      const validCategories = ['clinic_info', 'appointment_booking', 'patient_records', 'environment_support'];
-      if (!validCategories.includes(category)) {
+      if (!VALID_CATEGORIES.includes(category)) {
         return res.status(400).json({
           error: 'Invalid category',
-          message: `Category must be one of: ${validCategories.join(', ')}`
+          message: `Category must be one of: ${VALID_CATEGORIES.join(', ')}`
+        });
+      }
+
+      const settingError = category === 'notifications' ? validateNotificationSetting(key, value) : null;
+      if (settingError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: settingError
         });
       }
 
@@ -105,11 +160,20 @@ const settingsController = {
         });
       }
 
-      const validCategories = ['clinic_info', 'appointment_booking', 'patient_records', 'environment_support'];
-      if (!validCategories.includes(category)) {
+      if (!VALID_CATEGORIES.includes(category)) {
         return res.status(400).json({
           error: 'Invalid category',
-          message: `Category must be one of: ${validCategories.join(', ')}`
+          message: `Category must be one of: ${VALID_CATEGORIES.join(', ')}`
+        });
+      }
+
+      const settingError = category === 'notifications'
+        ? Object.entries(settings).map(([key, value]) => validateNotificationSetting(key, value)).find(Boolean)
+        : null;
+      if (settingError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: settingError
         });
       }
 
@@ -167,8 +231,114 @@ const settingsController = {
     } catch (error) {
       next(error);
     }
+  },
+
+  // Get global (clinic-wide) settings
+  getGlobalSettings: async (req, res, next) => {
+    try {
+      const { category } = req.query;
+      const settings = await settingsService.getGlobalSettings(category);
+
+      res.json({
+        message: 'Global settings retrieved successfully',
+        data: settings
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Update or create a global setting (admin only)
+  updateGlobalSetting: async (req, res, next) => {
+    try {
+      const { category, key, value } = req.body;
+
+      if (!category || !key || value === undefined) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'category, key, and value are required'
+        });
+      }
+
+      if (!GLOBAL_CATEGORIES.includes(category)) {
+        return res.status(400).json({
+          error: 'Invalid category',
+          message: `Category must be one of: ${GLOBAL_CATEGORIES.join(', ')}`
+        });
+      }
+
+      if (category === 'security' && ['require_email_verification', 'require_two_factor'].includes(key) && typeof value !== 'boolean') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `${key} must be true or false`
+        });
+      }
+
+      const isHolidays = category === 'appointment_booking' && key === 'clinic_holidays';
+      if (isHolidays) {
+        const invalid = !Array.isArray(value) || value.some(holiday => !scheduleService.normalizeHoliday(holiday));
+        if (invalid) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: 'clinic_holidays must be an array of { date, name } or { start_date, end_date, start_time?, end_time?, name } entries'
+          });
+        }
+      }
+
+      if (category === 'appointment_booking' && key === 'cancellation_policy') {
+        const policyError = cancellationPolicyService.validatePolicy(value);
+        if (policyError) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: policyError
+          });
+        }
+      }
+
+      if (category === 'appointment_booking' && key === 'no_show_grace_minutes' &&
+        (!Number.isInteger(value) || value < 0 || value > 1440)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'no_show_grace_minutes must be an integer between 0 and 1440'
+        });
+      }
+
+      if (category === 'appointment_booking' && key === 'waitlist_hold_minutes' &&
+        (!Number.isInteger(value) || value < 1 || value > 1440)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'waitlist_hold_minutes must be an integer between 1 and 1440'
+        });
+      }
+
+      if (category === 'appointment_booking' && key === 'reminder_offsets_minutes') {
+        const offsetsError = reminderService.validateOffsets(value);
+        if (offsetsError) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: offsetsError
+          });
+        }
+      }
+
+      const previousValue = isHolidays
+        ? await settingsService.getGlobalSetting(category, key, [])
+        : null;
+
+      const data = await settingsService.setGlobalSetting(category, key, value);
+
+      if (isHolidays) {
+        await flagAppointmentsForNewHolidays(previousValue, value);
+      }
+
+      res.json({
+        message: 'Global setting updated successfully',
+        data: data
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
 module.exports = settingsController;
-
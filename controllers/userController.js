@@ -1,6 +1,39 @@
 const { supabase } = require('../config/supabase');
 const bcrypt = require('bcrypt');
-const { generateToken } = require('../middleware/auth');
+const { issueSessionTokens, buildTokenResponse, buildTwoFactorChallenge, verifyChallengeToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { CHALLENGES: TWO_FACTOR_CHALLENGES } = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+const loginProtectionService = require('../services/loginProtectionService');
+const doctorProfileService = require('../services/doctorProfileService');
+const { sendLoginBlocked } = require('../middleware/loginProtection');
+const settingsService = require('../services/settingsService');
+const mailService = require('../services/mailService');
+const userTokenService = require('../services/userTokenService');
+const { PURPOSES } = require('../services/userTokenService');
+const { isValidTimeZone } = require('../lib/timezone');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Columns that must never leave the API
+const PRIVATE_USER_FIELDS = [
+  'password_hash',
+  'calendar_feed_token_hash',
+  'two_factor_secret',
+  'two_factor_pending_secret',
+  'two_factor_last_counter'
+];
+
+const VALID_ROLES = ['user', 'doctor', 'admin'];
+
+// Helper function to strip secrets (password hash, feed token hash, two-factor secrets) from a user row
+const sanitizeUser = (user) => {
+  if (!user) return user;
+  const safe = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => delete safe[field]);
+  return safe;
+};
 
 // Helper function to calculate age from date of birth
 const calculateAge = (dateOfBirth) => {
@@ -25,6 +58,85 @@ const calculateAge = (dateOfBirth) => {
   return age;
 };
 
+// Helper function to email a verification link; failures are logged so the calling request still succeeds
+const sendVerificationEmail = async (user) => {
+  try {
+    const { token, expiresInMinutes } = await userTokenService.issue(user.id, PURPOSES.EMAIL_VERIFICATION);
+    await mailService.sendEmailVerification(user, token, expiresInMinutes);
+  } catch (error) {
+    console.error(`Error sending verification email to user ${user.id}:`, error);
+  }
+};
+
+// Helper function to check whether unverified accounts are blocked from logging in
+const isEmailVerificationRequired = async () => {
+  const required = await settingsService.getGlobalSetting('security', 'require_email_verification', false);
+  return required === true;
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Helper function to send a successful login with its session tokens
+const sendLoginResponse = (res, user, tokens, extra = {}) => {
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    ...tokens,
+    ...extra,
+    data: {
+      id: user.id,
+      user_id: user.id, // Also include as user_id for compatibility
+      full_name: user.full_name,
+      email_address: user.email_address,
+      role: user.role || 'user', // Include role in response
+    }
+  });
+};
+
+// Helper function to count a failed login and answer it (423/429 once it triggers a lock, 401 otherwise)
+const rejectLogin = async (req, res, { email, user = null, message }) => {
+  const block = await loginProtectionService.recordFailure({ email, ip: req.ip, user });
+  if (block) {
+    return sendLoginBlocked(res, block);
+  }
+
+  return res.status(401).json({
+    error: 'Authentication Failed',
+    message
+  });
+};
+
+// Helper function to load the active user behind a two-factor challenge token (null if unusable)
+const loadChallengeUser = async (challengeToken, purpose) => {
+  const userId = verifyChallengeToken(challengeToken, purpose);
+  if (!userId) return null;
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    error.status = 500;
+    throw error;
+  }
+
+  return user && user.is_active !== false ? user : null;
+};
+
+// Helper function to record a two-factor change in the audit log
+const auditTwoFactor = (req, action, targetUserId) => auditService.record({
+  userId: req.user.id,
+  role: req.user.role,
+  action,
+  resourceType: 'user',
+  resourceId: targetUserId,
+  outcome: 'allowed',
+  ipAddress: req.ip || null,
+  userAgent: req.get('user-agent') || null
+});
+
 const userController = {
   // Get all users
   getAll: async (req, res, next) => {
@@ -42,7 +154,7 @@ const userController = {
       res.json({
         message: 'Users retrieved successfully',
         count: data?.length || 0,
-        data: data || []
+        data: (data || []).map(sanitizeUser)
       });
     } catch (error) {
       next(error);
@@ -73,7 +185,7 @@ const userController = {
 
       res.json({
         message: 'User retrieved successfully',
-        data: data
+        data: sanitizeUser(data)
       });
     } catch (error) {
       next(error);
@@ -93,6 +205,7 @@ const userController = {
         contact_number,
         email_address,
         emergency_contact_person_number,
+        time_zone,
         password
       } = req.body;
 
@@ -106,13 +219,21 @@ const userController = {
       }
 
       // Validate password length
-      if (password.length < 8) {
+      if (password.length < MIN_PASSWORD_LENGTH) {
         return res.status(400).json({
           error: 'Validation Error',
           message: 'Password must be at least 8 characters long'
         });
       }
 
+      // Validate time zone if provided (IANA name, e.g. Asia/Manila)
+      if (time_zone !== undefined && !isValidTimeZone(time_zone)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'time_zone must be a valid IANA time zone (e.g., Asia/Manila)'
+        });
+      }
+
       // Check if email already exists
       const { data: existingUser } = await supabase
         .from('users')
@@ -147,6 +268,7 @@ const userController = {
           contact_number,
           email_address,
           emergency_contact_person_number,
+          ...(time_zone !== undefined && { time_zone }),
           password_hash
         })
         .select()
@@ -163,13 +285,12 @@ const userController = {
         throw error;
       }
 
-      // Remove password_hash from response
-      const { password_hash: _, ...userData } = data;
+      await sendVerificationEmail(data);
 
       res.status(201).json({
         success: true,
-        message: 'User registered successfully',
-        data: userData
+        message: 'User registered successfully. Check your email to verify your address.',
+        data: sanitizeUser(data)
       });
     } catch (error) {
       next(error);
@@ -231,7 +352,7 @@ const userController = {
 
       res.status(201).json({
         message: 'User created successfully',
-        data: data
+        data: sanitizeUser(data)
       });
     } catch (error) {
       next(error);
@@ -251,9 +372,43 @@ const userController = {
         address,
         contact_number,
         email_address,
-        emergency_contact_person_number
+        emergency_contact_person_number,
+        time_zone,
+        role,
+        is_active
       } = req.body;
 
+      // Role and account status are managed by admins only
+      if ((role !== undefined || is_active !== undefined) && !can(req.user, 'user.manage_account', { id })) {
+        return forbid(req, res, {
+          action: 'user.manage_account',
+          resourceType: 'user',
+          resourceId: id,
+          message: 'Only admins can change a user\'s role or account status'
+        });
+      }
+
+      if (role !== undefined && !VALID_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `role must be one of: ${VALID_ROLES.join(', ')}`
+        });
+      }
+
+      if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'is_active must be a boolean'
+        });
+      }
+
+      if (time_zone !== undefined && !isValidTimeZone(time_zone)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'time_zone must be a valid IANA time zone (e.g., Asia/Manila)'
+        });
+      }
+
       const updateData = {};
       if (full_name !== undefined) updateData.full_name = full_name;
       if (date_of_birth !== undefined) {
@@ -268,6 +423,9 @@ const userController = {
       if (contact_number !== undefined) updateData.contact_number = contact_number;
       if (email_address !== undefined) updateData.email_address = email_address;
       if (emergency_contact_person_number !== undefined) updateData.emergency_contact_person_number = emergency_contact_person_number;
+      if (time_zone !== undefined) updateData.time_zone = time_zone;
+      if (role !== undefined) updateData.role = role;
+      if (is_active !== undefined) updateData.is_active = is_active;
 
       if (Object.keys(updateData).length === 0) {
         return res.status(400).json({
@@ -276,6 +434,21 @@ const userController = {
         });
       }
 
+      // A new email address has to be verified again
+      let emailChanged = false;
+      if (email_address !== undefined) {
+        const { data: current } = await supabase
+          .from('users')
+          .select('email_address')
+          .eq('id', id)
+          .maybeSingle();
+
+        emailChanged = !!current && current.email_address !== email_address;
+        if (emailChanged) {
+          updateData.email_verified_at = null;
+        }
+      }
+
       const { data, error } = await supabase
         .from('users')
         .update(updateData)
@@ -283,6 +456,20 @@ const userController = {
         .select()
         .single();
 
+      // A deactivated account is signed out everywhere
+      if (!error && is_active === false) {
+        await sessionService.revokeAllSessions(id, 'account_deactivated');
+      }
+
+      if (!error && emailChanged) {
+        await sendVerificationEmail(data);
+      }
+
+      // Every doctor has a doctor profile, so promoted users show up in doctor listings
+      if (!error && role === 'doctor') {
+        await doctorProfileService.ensureProfile(id);
+      }
+
       if (error) {
         if (error.code === 'PGRST116') {
           return res.status(404).json({
@@ -302,7 +489,7 @@ const userController = {
 
       res.json({
         message: 'User updated successfully',
-        data: data
+        data: sanitizeUser(data)
       });
     } catch (error) {
       next(error);
@@ -335,7 +522,7 @@ const userController = {
 
       res.json({
         message: 'User deleted successfully',
-        data: data
+        data: sanitizeUser(data)
       });
     } catch (error) {
       next(error);
@@ -351,22 +538,33 @@ const userController = {
         .from('users')
         .select('*')
         .eq('email_address', email)
-        .single();
+        .maybeSingle();
 
       if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({
-            error: 'User not found',
-            message: `No user found with email: ${email}`
-          });
-        }
         error.status = 500;
         throw error;
       }
 
+      // Checked before the existence check so the endpoint cannot be used to probe for accounts
+      if (!can(req.user, 'user.read', data)) {
+        return forbid(req, res, {
+          action: 'user.read',
+          resourceType: 'user',
+          resourceId: data ? data.id : null,
+          message: 'You can only view your own profile'
+        });
+      }
+
+      if (!data) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: `No user found with email: ${email}`
+        });
+      }
+
       res.json({
         message: 'User retrieved successfully',
-        data: data
+        data: sanitizeUser(data)
       });
     } catch (error) {
       next(error);
@@ -394,10 +592,7 @@ const userController = {
         .single();
 
       if (fetchError || !user) {
-        return res.status(401).json({
-          error: 'Authentication Failed',
-          message: 'Invalid email or password'
-        });
+        return rejectLogin(req, res, { email: email_address, message: 'Invalid email or password' });
       }
 
       // Check if user has a password (for backwards compatibility with existing users)
@@ -412,148 +607,857 @@ const userController = {
       const isPasswordValid = await bcrypt.compare(password, user.password_hash);
 
       if (!isPasswordValid) {
+        return rejectLogin(req, res, { email: email_address, user, message: 'Invalid email or password' });
+      }
+
+      if (user.is_active === false) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Account is inactive.'
+        });
+      }
+
+      if (!user.email_verified_at && await isEmailVerificationRequired()) {
+        return res.status(403).json({
+          error: 'Email Not Verified',
+          message: 'Please verify your email address before logging in. You can request a new verification link.'
+        });
+      }
+
+      // With two-factor authentication the tokens are only issued after the second step
+      const twoFactorStep = await twoFactorService.pendingLoginStep(user);
+      if (twoFactorStep) {
+        return res.status(200).json(buildTwoFactorChallenge(user, twoFactorStep));
+      }
+
+      // Start a session and issue its access and refresh tokens (role is in the token)
+      const tokens = await issueSessionTokens({ ...user, role: user.role || 'user' }, req);
+      await loginProtectionService.recordSuccess({ email: user.email_address });
+
+      sendLoginResponse(res, user, tokens);
+
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Finish a login with an authenticator code or a recovery code
+  loginTwoFactor: async (req, res, next) => {
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+
+      if (!challenge_token || (!code && !recovery_code)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'challenge_token and either code or recovery_code are required'
+        });
+      }
+
+      const user = await loadChallengeUser(challenge_token, TWO_FACTOR_CHALLENGES.LOGIN);
+      if (!user) {
         return res.status(401).json({
           error: 'Authentication Failed',
-          message: 'Invalid email or password'
+          message: 'Login challenge is invalid or has expired. Please login again.'
         });
       }
 
-      // Remove password_hash from response
-      const { password_hash: _, ...userData } = user;
+      // Wrong codes count as failed logins, so the second step cannot be guessed either
+      const block = await loginProtectionService.check({ email: user.email_address, ip: req.ip });
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
 
-      // Generate JWT token (include role in token)
-      const token = generateToken({
-        ...user,
-        role: user.role || 'user'
-      });
+      const method = await twoFactorService.verifyLogin(user, { code, recoveryCode: recovery_code });
+      if (!method) {
+        return rejectLogin(req, res, { email: user.email_address, user, message: 'Invalid two-factor code' });
+      }
+
+      const tokens = await issueSessionTokens({ ...user, role: user.role || 'user' }, req);
+      await loginProtectionService.recordSuccess({ email: user.email_address });
+
+      const extra = {};
+      if (method === 'recovery_code') {
+        extra.recovery_codes_remaining = await twoFactorService.countRecoveryCodes(user.id);
+      }
+
+      sendLoginResponse(res, user, tokens, extra);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Start two-factor enrollment during a login that requires it
+  loginTwoFactorSetup: async (req, res, next) => {
+    try {
+      const { challenge_token } = req.body;
+
+      const user = await loadChallengeUser(challenge_token, TWO_FACTOR_CHALLENGES.SETUP);
+      if (!user) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Login challenge is invalid or has expired. Please login again.'
+        });
+      }
+
+      if (twoFactorService.isEnabled(user)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Two-factor authentication is already enabled. Please login again.'
+        });
+      }
 
-      res.status(200).json({
+      const enrollment = await twoFactorService.startEnrollment(user);
+
+      res.json({
         success: true,
-        message: "Login successful",
-        token: token,
-        data: {
-          id: user.id,
-          user_id: user.id, // Also include as user_id for compatibility
-          full_name: user.full_name,
-          email_address: user.email_address,
-          role: user.role || 'user', // Include role in response
-        }
+        message: 'Add this key to your authenticator app, then confirm with a code to finish logging in',
+        data: enrollment
       });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Confirm two-factor enrollment during a login and finish the login
+  loginTwoFactorConfirm: async (req, res, next) => {
+    try {
+      const { challenge_token, code } = req.body;
 
+      if (!challenge_token || !code) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'challenge_token and code are required'
+        });
+      }
+
+      const user = await loadChallengeUser(challenge_token, TWO_FACTOR_CHALLENGES.SETUP);
+      if (!user) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Login challenge is invalid or has expired. Please login again.'
+        });
+      }
+
+      if (twoFactorService.isEnabled(user)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Two-factor authentication is already enabled. Please login again.'
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(user.id, code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid code, or two-factor setup was not started'
+        });
+      }
+
+      const tokens = await issueSessionTokens({ ...user, role: user.role || 'user' }, req);
+      await loginProtectionService.recordSuccess({ email: user.email_address });
+
+      // Recovery codes are only ever shown here
+      sendLoginResponse(res, user, tokens, { recovery_codes: recoveryCodes });
     } catch (error) {
       next(error);
     }
   },
 
-  // Get current authenticated user profile
-  getCurrentUser: async (req, res, next) => {
+  // Exchange a refresh token for a new token pair
+  refresh: async (req, res, next) => {
     try {
-      // User info is already attached to req by authenticate middleware
-      const userId = req.user.id;
+      const { refresh_token } = req.body;
 
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
+      if (!refresh_token || typeof refresh_token !== 'string') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'refresh_token is required'
+        });
+      }
 
-      if (error || !user) {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'User profile not found'
+      const rotated = await sessionService.rotateRefreshToken(refresh_token, {
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null
+      });
+
+      if (!rotated) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Refresh token is invalid or has expired. Please login again.'
         });
       }
 
-      // Remove password_hash from response
-      const { password_hash: _, ...userData } = user;
+      const { session, user, refreshToken } = rotated;
 
       res.json({
-        message: 'User profile retrieved successfully',
-        data: userData
+        success: true,
+        message: 'Session refreshed',
+        ...buildTokenResponse({ ...user, role: user.role || 'user' }, session.id, refreshToken)
       });
     } catch (error) {
       next(error);
     }
   },
 
-  // Get all doctors (users with role='doctor')
-  getDoctors: async (req, res, next) => {
+  // Sign out the current session
+  logout: async (req, res, next) => {
     try {
-      const { specialization, is_active } = req.query;
+      await sessionService.revokeSession(req.user.sessionId, 'logout');
 
-      let query = supabase
-        .from('users')
-        .select('*')
-        .eq('role', 'doctor')
-        .order('full_name', { ascending: true });
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      // Apply filters if provided
-      // Note: Users table might not have specialization field, 
-      // but we'll include it in case it's added later
-      if (specialization) {
-        // If specialization is stored in users table, filter by it
-        // Otherwise, this filter won't work
-        query = query.ilike('specialization', `%${specialization}%`);
-      }
+  // Sign out every session of the current user (all devices)
+  logoutAll: async (req, res, next) => {
+    try {
+      const revoked = await sessionService.revokeAllSessions(req.user.id, 'logout_all');
+
+      res.json({
+        success: true,
+        message: 'Logged out from all devices',
+        sessions_revoked: revoked
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
 
-      // Filter by is_active if provided
-      if (is_active !== undefined) {
-        query = query.eq('is_active', is_active === 'true');
+  // Request a password reset link (the response never reveals whether the account exists)
+  forgotPassword: async (req, res, next) => {
+    try {
+      const { email_address } = req.body;
+
+      if (!email_address) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'email_address is required'
+        });
       }
 
-      const { data, error } = await query;
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, full_name, email_address, is_active')
+        .eq('email_address', email_address)
+        .maybeSingle();
 
       if (error) {
         error.status = 500;
         throw error;
       }
 
-      // Remove password_hash from response
-      const doctors = (data || []).map(({ password_hash, ...doctor }) => ({
-        ...doctor,
-        // Ensure is_verified is set (default to true for doctors in users table)
-        is_verified: doctor.is_verified !== undefined ? doctor.is_verified : true
-      }));
+      if (user && user.is_active !== false) {
+        try {
+          const { token, expiresInMinutes } = await userTokenService.issue(user.id, PURPOSES.PASSWORD_RESET);
+          await mailService.sendPasswordReset(user, token, expiresInMinutes);
+        } catch (sendError) {
+          console.error(`Error sending password reset email to user ${user.id}:`, sendError);
+        }
+      }
 
       res.json({
-        message: 'Doctors retrieved successfully',
-        count: doctors.length,
-        data: doctors
+        success: true,
+        message: 'If an account exists for this email address, a password reset link has been sent.'
       });
     } catch (error) {
       next(error);
     }
   },
 
-  // Get available doctors (active doctors with role='doctor')
-  getAvailableDoctors: async (req, res, next) => {
+  // Set a new password with a reset token; signs out every session
+  resetPassword: async (req, res, next) => {
     try {
-      const { specialization } = req.query;
+      const { token, password } = req.body;
 
-      let query = supabase
-        .from('users')
-        .select('*')
-        .eq('role', 'doctor')
-        .order('full_name', { ascending: true });
+      if (!token || !password) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'token and password are required'
+        });
+      }
+
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+        });
+      }
 
-      // Apply specialization filter if provided
-      if (specialization) {
-        query = query.ilike('specialization', `%${specialization}%`);
+      const userId = await userTokenService.consume(token, PURPOSES.PASSWORD_RESET);
+      if (!userId) {
+        return res.status(400).json({
+          error: 'Invalid Token',
+          message: 'This password reset link is invalid or has expired. Please request a new one.'
+        });
       }
 
-      const { data, error } = await query;
+      const password_hash = await bcrypt.hash(password, 10);
+
+      // The reset link was delivered to the inbox, which also proves the address
+      const { data: user, error } = await supabase
+        .from('users')
+        .update({ password_hash, email_verified_at: new Date().toISOString() })
+        .eq('id', userId)
+        .select('id, full_name, email_address, email_verified_at')
+        .single();
 
       if (error) {
         error.status = 500;
         throw error;
       }
 
-      // Remove password_hash from response
-      const doctors = (data || []).map(({ password_hash, ...doctor }) => ({
-        ...doctor,
-        // Ensure is_verified is set (default to true for doctors in users table)
-        is_verified: doctor.is_verified !== undefined ? doctor.is_verified : true
-      }));
+      await sessionService.revokeAllSessions(userId, 'password_reset');
+
+      try {
+        await mailService.sendPasswordChanged(user);
+      } catch (sendError) {
+        console.error(`Error sending password changed email to user ${userId}:`, sendError);
+      }
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please login with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Change the password of the signed-in user; signs out every other session
+  changePassword: async (req, res, next) => {
+    try {
+      const { current_password, new_password } = req.body;
+
+      if (!current_password || !new_password) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'current_password and new_password are required'
+        });
+      }
+
+      if (new_password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+        });
+      }
+
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('id, full_name, email_address, password_hash')
+        .eq('id', req.user.id)
+        .single();
+
+      if (fetchError || !user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'User profile not found'
+        });
+      }
+
+      const isPasswordValid = await bcrypt.compare(current_password, user.password_hash || '');
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Current password is incorrect'
+        });
+      }
+
+      const password_hash = await bcrypt.hash(new_password, 10);
+
+      const { error } = await supabase
+        .from('users')
+        .update({ password_hash })
+        .eq('id', user.id);
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      await sessionService.revokeAllSessions(user.id, 'password_changed', { exceptSessionId: req.user.sessionId });
+
+      try {
+        await mailService.sendPasswordChanged(user);
+      } catch (sendError) {
+        console.error(`Error sending password changed email to user ${user.id}:`, sendError);
+      }
+
+      res.json({
+        success: true,
+        message: 'Password changed. Other devices have been signed out.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Confirm an email address with a verification token
+  verifyEmail: async (req, res, next) => {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'token is required'
+        });
+      }
+
+      const userId = await userTokenService.consume(token, PURPOSES.EMAIL_VERIFICATION);
+      if (!userId) {
+        return res.status(400).json({
+          error: 'Invalid Token',
+          message: 'This verification link is invalid or has expired. Please request a new one.'
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('users')
+        .update({ email_verified_at: new Date().toISOString() })
+        .eq('id', userId)
+        .select('id, email_address, email_verified_at')
+        .single();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        message: 'Email address verified',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Send a new verification link (the response never reveals whether the account exists)
+  resendVerification: async (req, res, next) => {
+    try {
+      const { email_address } = req.body;
+
+      if (!email_address) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'email_address is required'
+        });
+      }
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, full_name, email_address, email_verified_at')
+        .eq('email_address', email_address)
+        .maybeSingle();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (user && !user.email_verified_at) {
+        await sendVerificationEmail(user);
+      }
+
+      res.json({
+        success: true,
+        message: 'If this email address is registered and not yet verified, a new verification link has been sent.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the two-factor status of the signed-in user
+  getTwoFactorStatus: async (req, res, next) => {
+    try {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, role, two_factor_secret, two_factor_enabled_at')
+        .eq('id', req.user.id)
+        .single();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      const enabled = twoFactorService.isEnabled(user);
+
+      res.json({
+        message: 'Two-factor status retrieved successfully',
+        data: {
+          enabled,
+          enabled_at: enabled ? user.two_factor_enabled_at : null,
+          required: await twoFactorService.isRequired(user),
+          recovery_codes_remaining: enabled ? await twoFactorService.countRecoveryCodes(user.id) : 0
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Start two-factor enrollment for the signed-in user
+  startTwoFactorSetup: async (req, res, next) => {
+    try {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, email_address, two_factor_secret, two_factor_enabled_at')
+        .eq('id', req.user.id)
+        .single();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (twoFactorService.isEnabled(user)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const enrollment = await twoFactorService.startEnrollment(user);
+
+      res.json({
+        success: true,
+        message: 'Add this key to your authenticator app, then confirm with a code',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Confirm two-factor enrollment for the signed-in user
+  confirmTwoFactorSetup: async (req, res, next) => {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'code is required'
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid code, or two-factor setup was not started'
+        });
+      }
+
+      await auditTwoFactor(req, 'user.two_factor_enabled', req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+        data: { recovery_codes: recoveryCodes }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Replace the recovery codes of the signed-in user (requires a current authenticator code)
+  regenerateRecoveryCodes: async (req, res, next) => {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'code is required'
+        });
+      }
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', req.user.id)
+        .single();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!twoFactorService.isEnabled(user)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!await twoFactorService.verifyTotp(user, code)) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated; the old ones no longer work',
+        data: { recovery_codes: recoveryCodes }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Turn off two-factor authentication for the signed-in user (password and a code required)
+  disableTwoFactor: async (req, res, next) => {
+    try {
+      const { password, code, recovery_code } = req.body;
+
+      if (!password || (!code && !recovery_code)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'password and either code or recovery_code are required'
+        });
+      }
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', req.user.id)
+        .single();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!twoFactorService.isEnabled(user)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (await twoFactorService.isRequired(user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Two-factor authentication is required for your role and cannot be turned off'
+        });
+      }
+
+      const isPasswordValid = await bcrypt.compare(password, user.password_hash || '');
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Password is incorrect'
+        });
+      }
+
+      if (!await twoFactorService.verifyLogin(user, { code, recoveryCode: recovery_code })) {
+        return res.status(401).json({
+          error: 'Authentication Failed',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      await twoFactorService.disable(user.id);
+      await auditTwoFactor(req, 'user.two_factor_disabled', user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Reset a user's two-factor authentication after a lost device (admin only); signs out their sessions
+  resetTwoFactor: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: `No user found with ID: ${id}`
+        });
+      }
+
+      await twoFactorService.disable(id);
+      await sessionService.revokeAllSessions(id, 'two_factor_reset');
+      await auditTwoFactor(req, 'user.two_factor_reset', id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset. The user will set it up again at their next login if it is required.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the login lock state of a user (admin only)
+  getLockoutStatus: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, email_address')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: `No user found with ID: ${id}`
+        });
+      }
+
+      res.json({
+        message: 'Lockout status retrieved successfully',
+        data: await loginProtectionService.getAccountStatus(user.email_address)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Unlock an account locked by failed logins (admin only)
+  unlockAccount: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('id, email_address')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        error.status = 500;
+        throw error;
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: `No user found with ID: ${id}`
+        });
+      }
+
+      const wasLocked = await loginProtectionService.unlock(user.email_address);
+
+      await auditService.record({
+        userId: req.user.id,
+        role: req.user.role,
+        action: 'auth.account_unlocked',
+        resourceType: 'user',
+        resourceId: user.id,
+        outcome: 'allowed',
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent') || null,
+        metadata: { was_locked: wasLocked }
+      });
+
+      res.json({
+        success: true,
+        message: wasLocked ? 'Account unlocked' : 'Account was not locked; failed login attempts were cleared',
+        data: { was_locked: wasLocked }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get current authenticated user profile
+  getCurrentUser: async (req, res, next) => {
+    try {
+      // User info is already attached to req by authenticate middleware
+      const userId = req.user.id;
+
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', userId)
+        .single();
+
+      if (error || !user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'User profile not found'
+        });
+      }
+
+      res.json({
+        message: 'User profile retrieved successfully',
+        data: sanitizeUser(user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get all verified doctors (users with role='doctor', with their doctor profile)
+  getDoctors: async (req, res, next) => {
+    try {
+      const { specialization, is_active } = req.query;
+
+      // Public listing: doctors awaiting credential review are not shown
+      const doctors = await doctorProfileService.listDoctors({
+        specialization,
+        isActive: is_active !== undefined ? is_active === 'true' : undefined,
+        isVerified: true
+      });
+
+      res.json({
+        message: 'Doctors retrieved successfully',
+        count: doctors.length,
+        data: doctors
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get available doctors (active, verified doctors)
+  getAvailableDoctors: async (req, res, next) => {
+    try {
+      const { specialization } = req.query;
+
+      const doctors = await doctorProfileService.listDoctors({
+        specialization,
+        isActive: true,
+        isVerified: true
+      });
 
       res.json({
         message: 'Available doctors retrieved successfully',
@@ -0,0 +1,305 @@
+const { supabase } = require('../config/supabase');
+const scheduleService = require('../services/scheduleService');
+const waitlistService = require('../services/waitlistService');
+const doctorProfileService = require('../services/doctorProfileService');
+const { can } = require('../lib/policy');
+const { forbid } = require('../middleware/authorize');
+
+// Helper function to validate waitlist preferences from the request body
+const validatePreferences = ({ preferred_days, preferred_start_time, preferred_end_time, earliest_date, latest_date, duration_minutes }) => {
+  if (preferred_days !== undefined && preferred_days !== null) {
+    const valid = Array.isArray(preferred_days) && preferred_days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!valid) {
+      return 'preferred_days must be an array of integers between 0 (Sunday) and 6 (Saturday)';
+    }
+  }
+
+  if (preferred_start_time || preferred_end_time) {
+    const start = scheduleService.timeToMinutes(preferred_start_time);
+    const end = scheduleService.timeToMinutes(preferred_end_time);
+    if (start === null || end === null) {
+      return 'preferred_start_time and preferred_end_time must both be in HH:MM format';
+    }
+    if (end <= start) {
+      return 'preferred_end_time must be after preferred_start_time';
+    }
+  }
+
+  for (const [field, value] of [['earliest_date', earliest_date], ['latest_date', latest_date]]) {
+    if (value && scheduleService.getDayOfWeek(value) === null) {
+      return `${field} must be a date in YYYY-MM-DD format`;
+    }
+  }
+
+  if (earliest_date && latest_date && latest_date < earliest_date) {
+    return 'latest_date must be on or after earliest_date';
+  }
+
+  if (duration_minutes !== undefined) {
+    const duration = parseInt(duration_minutes, 10);
+    if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+      return 'duration_minutes must be an integer between 15 and 480';
+    }
+  }
+
+  return null;
+};
+
+// Helper function to load an offer made to the requesting patient
+const loadOwnOffer = async (req, res) => {
+  const { offerId } = req.params;
+  const offer = await waitlistService.getOffer(offerId);
+
+  if (!offer) {
+    res.status(404).json({
+      error: 'Offer not found',
+      message: `No waitlist offer found with ID: ${offerId}`
+    });
+    return null;
+  }
+
+  if (!can(req.user, 'waitlist.respond_offer', offer)) {
+    await forbid(req, res, {
+      action: 'waitlist.respond_offer',
+      resourceType: 'waitlist_offer',
+      resourceId: offerId,
+      message: 'This waitlist offer was made to another patient'
+    });
+    return null;
+  }
+
+  return offer;
+};
+
+const waitlistController = {
+  // Join a doctor's waitlist
+  join: async (req, res, next) => {
+    try {
+      const {
+        doctor_id,
+        preferred_days,
+        preferred_start_time,
+        preferred_end_time,
+        earliest_date,
+        latest_date,
+        duration_minutes,
+        appointment_type,
+        notes
+      } = req.body;
+
+      if (!doctor_id) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'doctor_id is required'
+        });
+      }
+
+      if (!can(req.user, 'waitlist.join')) {
+        return forbid(req, res, {
+          action: 'waitlist.join',
+          resourceType: 'user',
+          resourceId: doctor_id,
+          message: 'Only patients can join a waitlist.'
+        });
+      }
+
+      const preferenceError = validatePreferences(req.body);
+      if (preferenceError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: preferenceError
+        });
+      }
+
+      const { data: doctor, error: doctorError } = await supabase
+        .from('users')
+        .select('id, role')
+        .eq('id', doctor_id)
+        .single();
+
+      if (doctorError || !doctor || doctor.role !== 'doctor') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid doctor_id. Doctor not found.'
+        });
+      }
+
+      if (!(await doctorProfileService.isVerified(doctor_id))) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'This doctor has not been verified yet and cannot be booked.'
+        });
+      }
+
+      const existing = await waitlistService.findActiveEntry(req.user.id, doctor_id);
+      if (existing) {
+        return res.status(409).json({
+          error: 'Already Waitlisted',
+          message: 'You are already on this doctor\'s waitlist',
+          data: existing
+        });
+      }
+
+      const entry = await waitlistService.createEntry({
+        user_id: req.user.id,
+        doctor_id,
+        preferred_days: preferred_days || null,
+        preferred_start_time: preferred_start_time || null,
+        preferred_end_time: preferred_end_time || null,
+        earliest_date: earliest_date || null,
+        latest_date: latest_date || null,
+        duration_minutes: duration_minutes ? parseInt(duration_minutes, 10) : 60,
+        appointment_type: appointment_type || 'Video Call',
+        notes: notes || null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Added to waitlist successfully',
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get the requesting patient's waitlist entries
+  getMine: async (req, res, next) => {
+    try {
+      const entries = await waitlistService.getEntries({
+        userId: req.user.id,
+        status: req.query.status || null
+      });
+
+      res.json({
+        message: 'Waitlist entries retrieved successfully',
+        count: entries.length,
+        data: entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Get a doctor's waitlist (doctor or admin)
+  getByDoctor: async (req, res, next) => {
+    try {
+      const { doctorId } = req.params;
+
+      if (!can(req.user, 'waitlist.read_doctor', { doctor_id: doctorId })) {
+        return forbid(req, res, {
+          action: 'waitlist.read_doctor',
+          resourceType: 'user',
+          resourceId: doctorId,
+          message: 'You can only view your own waitlist'
+        });
+      }
+
+      const entries = await waitlistService.getEntries({
+        doctorId,
+        status: req.query.status || null
+      });
+
+      res.json({
+        message: 'Waitlist retrieved successfully',
+        count: entries.length,
+        data: entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Leave the waitlist
+  leave: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const entry = await waitlistService.getEntry(id);
+
+      if (!entry) {
+        return res.status(404).json({
+          error: 'Waitlist entry not found',
+          message: `No waitlist entry found with ID: ${id}`
+        });
+      }
+
+      if (!can(req.user, 'waitlist.manage_entry', entry)) {
+        return forbid(req, res, {
+          action: 'waitlist.manage_entry',
+          resourceType: 'waitlist_entry',
+          resourceId: id,
+          message: 'You can only remove your own waitlist entries'
+        });
+      }
+
+      if (!['waiting', 'offered'].includes(entry.status)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `This waitlist entry is already ${entry.status}`
+        });
+      }
+
+      const data = await waitlistService.cancelEntry(entry);
+
+      res.json({
+        message: 'Removed from waitlist successfully',
+        data: data
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Accept an offered slot and book it
+  acceptOffer: async (req, res, next) => {
+    try {
+      const offer = await loadOwnOffer(req, res);
+      if (!offer) return;
+
+      const { appointment, violation } = await waitlistService.acceptOffer(offer, req.user);
+
+      if (violation) {
+        return res.status(violation.status).json({
+          error: violation.error,
+          rule: violation.rule,
+          message: violation.message,
+          details: violation.details
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Waitlist offer accepted and appointment booked',
+        data: appointment
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // Decline an offered slot; the patient stays on the waitlist
+  declineOffer: async (req, res, next) => {
+    try {
+      const offer = await loadOwnOffer(req, res);
+      if (!offer) return;
+
+      if (offer.status !== 'offered') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `This waitlist offer is already ${offer.status}`
+        });
+      }
+
+      const data = await waitlistService.declineOffer(offer);
+
+      res.json({
+        message: 'Waitlist offer declined',
+        data: data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = waitlistController;
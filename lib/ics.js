@@ -0,0 +1,127 @@
+/**
+ * iCalendar (RFC 5545) helpers for exporting appointments to calendar apps
+ * (Google Calendar, Outlook, Apple Calendar)
+ */
+
+const PRODUCT_ID = '-//Mind You Healthcare//Appointments//EN';
+
+// Domain used to make event UIDs globally unique
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'mindyou.health';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quote a parameter value (RFC 5545 section 3.1). Parameter values are not TEXT, so
+ * backslash escapes do not apply; a quoted value may contain anything except double
+ * quotes and control characters, which are dropped.
+ */
+const quoteParam = (value) => `"${String(value === null || value === undefined ? '' : value)
+  .replace(/["\x00-\x08\x0a-\x1f\x7f]/g, '')}"`;
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 section 3.1),
+ * never splitting a multi-byte character
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, leaving 74 octets for content
+  let limit = 75;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME (e.g. 20250115T020000Z)
+ */
+const formatDateTime = (instant) => new Date(instant).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Build the lines of a VEVENT.
+ * event: { uid, start, end, summary, description, location, url, status, sequence, updatedAt, organizer }
+ * status is one of TENTATIVE, CONFIRMED or CANCELLED.
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || Date.now())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  if (event.organizer) {
+    lines.push(`ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document from events, with CRLF line endings
+ * options: { name } sets the calendar's display name
+ */
+const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Globally unique event UID for an appointment
+ */
+const appointmentUid = (appointmentId) => `${appointmentId}@${UID_DOMAIN}`;
+
+module.exports = {
+  escapeText,
+  quoteParam,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar,
+  appointmentUid
+};
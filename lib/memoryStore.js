@@ -0,0 +1,53 @@
+/**
+ * In-memory key-value store with per-entry expiry, the default backend for the login
+ * protection and rate limiting state. Every store used for that state has the same shape:
+ * async get(key), set(key, value, ttlMs) and delete(key), holding JSON-serializable values.
+ * Memory is per process; deployments running several instances plug in a shared store
+ * (e.g. Redis) with the same methods.
+ */
+
+const STORE_METHODS = ['get', 'set', 'delete'];
+
+/**
+ * Check that an object can be used as a store
+ */
+const isStore = (store) => !!store && STORE_METHODS.every(method => typeof store[method] === 'function');
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  let writes = 0;
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt <= now;
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      // Drop expired entries now and then so one-off keys (IPs, emails) do not pile up
+      if (++writes % 1000 === 0) {
+        const now = Date.now();
+        entries.forEach((entry, entryKey) => {
+          if (isExpired(entry, now)) entries.delete(entryKey);
+        });
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  isStore
+};
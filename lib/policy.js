@@ -0,0 +1,129 @@
+/**
+ * Authorization policy: declarative rules deciding whether a user may perform an
+ * action on a resource. Every access decision in controllers, middleware and socket
+ * handlers should go through can() so the rules live in one place.
+ *
+ * Users are { id, role } (role is 'user' for patients, 'doctor' or 'admin').
+ * Resources are plain rows (or partial rows) of the table the action is about.
+ */
+
+const isAdmin = (user) => user.role === 'admin';
+const isDoctor = (user) => user.role === 'doctor';
+
+// The patient or the assigned doctor of an appointment (or series)
+const isParticipant = (user, appointment) => !!appointment &&
+  (appointment.user_id === user.id || appointment.doctor_id === user.id);
+
+// The doctor assigned to an appointment
+const isAssignedDoctor = (user, appointment) => !!appointment && appointment.doctor_id === user.id;
+
+/**
+ * Rules keyed by '<resource>.<action>'. Each rule gets (user, resource) and returns
+ * true to allow. Admins are allowed everything unless a rule sets adminOverride: false.
+ */
+const RULES = {
+  // Appointments (resource: appointment row; for lists { owner_id })
+  'appointment.read': (user, appointment) => isParticipant(user, appointment),
+  'appointment.list': (user, scope) => !!scope && scope.owner_id === user.id,
+  'appointment.list_all': () => false,
+  'appointment.update': (user, appointment) => isParticipant(user, appointment),
+  'appointment.join_session': (user, appointment) => isParticipant(user, appointment),
+  'appointment.start_session': (user, appointment) => isDoctor(user) && isAssignedDoctor(user, appointment),
+  'appointment.end_session': (user, appointment) => isDoctor(user) && isAssignedDoctor(user, appointment),
+
+  // Payments (resource: payment row; for create, the appointment being paid for)
+  'payment.read': (user, payment) => !!payment && (payment.patient_id === user.id || payment.doctor_id === user.id),
+  'payment.cancel': (user, payment) => !!payment && payment.patient_id === user.id,
+  'payment.create': {
+    // Only the patient pays for their own appointment, not even an admin on their behalf
+    adminOverride: false,
+    allow: (user, appointment) => !!appointment && appointment.user_id === user.id
+  },
+
+  // Notifications (resource: notification row or { user_id } of the recipient).
+  // Listing is always scoped to the requester's own notifications.
+  'notification.update': (user, notification) => !!notification && notification.user_id === user.id,
+  'notification.delete': (user, notification) => !!notification && notification.user_id === user.id,
+  'notification.create': (user, notification) => !!notification && notification.user_id === user.id,
+
+  // Settings (personal settings always belong to the requester; these cover the global ones)
+  'settings.read_global': () => true,
+  'settings.manage_global': () => false,
+
+  // Users (resource: user row)
+  'user.read': (user, target) => !!target && target.id === user.id,
+  'user.update': (user, target) => !!target && target.id === user.id,
+  'user.manage_account': () => false, // role and is_active changes, two-factor resets, unlocks
+  'user.delete': () => false,
+  'user.list': () => false,
+  'user.create': () => false,
+
+  // Doctor profiles (resource: doctor, whose id is the doctor's user ID)
+  'doctor.update_profile': (user, doctor) => isDoctor(user) && !!doctor && doctor.id === user.id,
+  'doctor.manage': () => false, // is_active changes and deletion
+  'doctor.submit_verification': {
+    // Doctors attest to their own credentials; an admin cannot submit on their behalf
+    adminOverride: false,
+    allow: (user, doctor) => isDoctor(user) && !!doctor && doctor.id === user.id
+  },
+  'doctor.read_verification': (user, doctor) => !!doctor && doctor.id === user.id,
+  'doctor.review_verification': () => false,
+
+  // Doctor schedules and waitlists (resource: { doctor_id })
+  'schedule.manage': (user, schedule) => !!schedule && schedule.doctor_id === user.id,
+  'waitlist.read_doctor': (user, scope) => !!scope && scope.doctor_id === user.id,
+  'waitlist.join': (user) => !isDoctor(user),
+  'waitlist.manage_entry': (user, entry) => !!entry && entry.user_id === user.id,
+  'waitlist.respond_offer': {
+    // Offers are personal; an admin cannot accept a slot for a patient
+    adminOverride: false,
+    allow: (user, offer) => !!offer && offer.user_id === user.id
+  },
+
+  // Uploaded files (resource: file row, with the appointment it belongs to as file.appointment)
+  'file.read': (user, file) => !!file && (file.owner_id === user.id || isParticipant(user, file.appointment)),
+  'file.delete': (user, file) => !!file && file.owner_id === user.id,
+  'file.attach': (user, appointment) => isParticipant(user, appointment), // upload a file to an appointment
+
+  // Administration
+  'admin.access': () => false
+};
+
+/**
+ * Decide whether user may perform action on resource.
+ * Unknown actions are denied, so a typo fails closed.
+ */
+const can = (user, action, resource = null) => {
+  if (!user || !user.id) {
+    return false;
+  }
+
+  const rule = RULES[action];
+  if (!rule) {
+    console.error(`Authorization check for unknown action: ${action}`);
+    return false;
+  }
+
+  const allow = typeof rule === 'function' ? rule : rule.allow;
+  const adminOverride = typeof rule === 'function' || rule.adminOverride !== false;
+
+  if (adminOverride && isAdmin(user)) {
+    return true;
+  }
+
+  return allow(user, resource) === true;
+};
+
+/**
+ * Build the policy user for a socket from the identity stored on it at join time
+ */
+const socketUser = (socket) => ({
+  id: socket.data.userId,
+  role: socket.data.userRole || 'user'
+});
+
+module.exports = {
+  RULES,
+  can,
+  socketUser
+};
@@ -0,0 +1,112 @@
+/**
+ * Time zone helpers built on Intl (IANA zone names such as 'Asia/Manila')
+ * Appointment wall-clock times are stored in the doctor's zone; these helpers
+ * convert between those wall-clock values and absolute instants.
+ */
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Manila';
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * Returns { date: 'YYYY-MM-DD', time: 'HH:MM', minutes } where minutes is since midnight
+ */
+const getZonedParts = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes
+ */
+const getOffsetMinutes = (instant, timeZone) => {
+  const date = new Date(instant);
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => { parts[type] = value; });
+
+  const asUtc = Date.UTC(
+    parseInt(parts.year, 10),
+    parseInt(parts.month, 10) - 1,
+    parseInt(parts.day, 10),
+    parseInt(parts.hour, 10),
+    parseInt(parts.minute, 10),
+    parseInt(parts.second, 10)
+  );
+
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a wall-clock date (YYYY-MM-DD) and time (HH:MM[:SS]) in a time zone to a Date
+ */
+const zonedTimeToDate = (date, time, timeZone = DEFAULT_TIME_ZONE) => {
+  const [hours, minutes] = String(time).split(':').map(n => parseInt(n, 10));
+  const [year, month, day] = String(date).split('-').map(n => parseInt(n, 10));
+  const naiveUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Apply the offset twice so instants near DST transitions settle on the right side
+  let offset = getOffsetMinutes(naiveUtc, timeZone);
+  let result = naiveUtc - offset * 60000;
+  const correctedOffset = getOffsetMinutes(result, timeZone);
+  if (correctedOffset !== offset) {
+    offset = correctedOffset;
+    result = naiveUtc - offset * 60000;
+  }
+
+  return new Date(result);
+};
+
+/**
+ * Today's date (YYYY-MM-DD) in a time zone
+ */
+const todayInZone = (timeZone = DEFAULT_TIME_ZONE) => getZonedParts(Date.now(), timeZone).date;
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  todayInZone
+};
@@ -0,0 +1,66 @@
+const { supabase } = require('../config/supabase');
+const { can } = require('../lib/policy');
+const { authorize, forbid } = require('./authorize');
+
+// Same response for every appointment denial, so nothing leaks about why
+const ACCESS_DENIED_MESSAGE = 'You do not have permission to access this appointment data';
+
+/**
+ * Middleware to load the appointment in req.params.id and allow only its patient,
+ * its doctor, or an admin. The appointment is attached as req.appointment.
+ * Must run after authenticate.
+ */
+const loadAccessibleAppointment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: appointment, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      error.status = 500;
+      throw error;
+    }
+
+    if (!appointment) {
+      return res.status(404).json({
+        error: 'Appointment not found',
+        message: `No appointment found with ID: ${id}`
+      });
+    }
+
+    if (!can(req.user, 'appointment.read', appointment)) {
+      return forbid(req, res, {
+        action: 'appointment.read',
+        resourceType: 'appointment',
+        resourceId: id,
+        reason: 'Requester is not a participant in this appointment',
+        message: ACCESS_DENIED_MESSAGE
+      });
+    }
+
+    req.appointment = appointment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory for appointment listings scoped to one user (a patient's or a
+ * doctor's appointments): only that user or an admin may read them.
+ * Must run after authenticate.
+ */
+const requireAppointmentOwner = (paramName) => authorize(
+  'appointment.list',
+  (req) => ({ owner_id: req.params[paramName] }),
+  { resourceType: 'user', message: ACCESS_DENIED_MESSAGE }
+);
+
+module.exports = {
+  loadAccessibleAppointment,
+  requireAppointmentOwner
+};
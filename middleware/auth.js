@@ -1,12 +1,78 @@
 const jwt = require('jsonwebtoken');
+const { authorize } = require('./authorize');
+const sessionService = require('../services/sessionService');
+const { CHALLENGES: TWO_FACTOR_CHALLENGES } = require('../services/twoFactorService');
 
 // JWT secret key - in production, use environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Time allowed to finish a pending sign-in step
+const CHALLENGE_TOKEN_TTL = '5m';
+
+// Responses for sessions that can no longer be used
+const SESSION_ERRORS = {
+  not_found: { status: 401, message: 'Session not found. Please login again.' },
+  revoked: { status: 401, message: 'Session has been signed out. Please login again.' },
+  expired: { status: 401, message: 'Session has expired. Please login again.' },
+  inactive: { status: 403, message: 'Account is inactive.' }
+};
+
 /**
- * Middleware to verify JWT token and authenticate user
+ * Verify an access token and the session it belongs to.
+ * Resolves to { user } for a usable token, otherwise { status, message } describing why
+ * it was refused. Throws (with .status 500) only when the session lookup itself fails.
  */
-const authenticate = (req, res, next) => {
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { status: 401, message: 'Token has expired. Refresh the session or login again.' };
+    }
+    if (error.name !== 'JsonWebTokenError') {
+      console.error('Error verifying access token:', error);
+    }
+    return { status: 401, message: 'Invalid token. Please login again.' };
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    return { status: 401, message: 'Session has expired. Please login again.' };
+  }
+
+  let sessionProblem;
+  try {
+    sessionProblem = await sessionService.checkSession(decoded.sid, decoded.id);
+  } catch (sessionError) {
+    // A failed lookup is a server problem, not a reason to sign the user out
+    sessionError.status = 500;
+    throw sessionError;
+  }
+
+  if (sessionProblem) {
+    return SESSION_ERRORS[sessionProblem];
+  }
+
+  return {
+    user: {
+      id: decoded.id,
+      email: decoded.email,
+      full_name: decoded.full_name,
+      role: decoded.role || 'user',
+      sessionId: decoded.sid
+    }
+  };
+};
+
+/**
+ * Middleware to verify JWT token and authenticate user.
+ * The token's session must still be active and its account enabled.
+ */
+const authenticate = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -30,81 +96,177 @@ const authenticate = (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const { user, status, message } = await verifyAccessToken(token);
+
+    if (!user) {
+      return res.status(status).json({
+        error: status === 403 ? 'Forbidden' : 'Authentication Failed',
+        message
+      });
+    }
 
     // Attach user info to request object
-    req.user = {
-      id: decoded.id,
-      email: decoded.email,
-      full_name: decoded.full_name,
-      role: decoded.role || 'user'
-    };
+    req.user = user;
 
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        error: 'Authentication Failed',
-        message: 'Invalid token. Please login again.'
-      });
+    next(error);
+  }
+};
+
+/**
+ * Socket.IO handshake middleware: the same checks as authenticate, with the access token
+ * sent as auth.token (or an Authorization header). The verified identity is stored on
+ * socket.data.userId / socket.data.userRole; event handlers must use it rather than any
+ * user ID or role the client sends.
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization || '';
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+      (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader);
+
+    if (!token) {
+      const error = new Error('No token provided. Please login first.');
+      error.data = { status: 401 };
+      return next(error);
     }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: 'Authentication Failed',
-        message: 'Token has expired. Please login again.'
-      });
+    const { user, status, message } = await verifyAccessToken(token);
+
+    if (!user) {
+      const error = new Error(message);
+      error.data = { status };
+      return next(error);
     }
 
-    return res.status(401).json({
-      error: 'Authentication Failed',
-      message: 'Authentication error. Please login again.'
-    });
+    socket.data.user = user;
+    socket.data.userId = user.id;
+    socket.data.userRole = user.role;
+    next();
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    const refused = new Error('Authentication error. Please try again.');
+    refused.data = { status: 500 };
+    next(refused);
   }
 };
 
 /**
- * Helper function to generate JWT token
+ * Helper function to generate a short-lived JWT access token for a session
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   const payload = {
     id: user.id,
     email: user.email_address || user.email,
     full_name: user.full_name,
-    role: user.role || 'user'
+    role: user.role || 'user',
+    sid: sessionId
   };
 
-  // Token expires in 7 days
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: '7d'
+    expiresIn: ACCESS_TOKEN_TTL
   });
 };
 
 /**
- * Middleware to check if user is admin
+ * Helper function to start a session and issue its token pair.
+ * Returns { token, refresh_token, token_type, expires_in, session_id }.
  */
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Authentication Failed',
-      message: 'Please login first.'
-    });
+const issueSessionTokens = async (user, req) => {
+  const { session, refreshToken } = await sessionService.createSession(user.id, {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  });
+
+  return buildTokenResponse(user, session.id, refreshToken);
+};
+
+/**
+ * Helper function to shape the token pair returned by login and refresh
+ */
+const buildTokenResponse = (user, sessionId, refreshToken) => {
+  const token = generateToken(user, sessionId);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+    session_id: sessionId
+  };
+};
+
+/**
+ * Helper function to sign a short-lived challenge token for a sign-in step that is
+ * still pending (e.g. a two-factor code). It carries no session ID, so authenticate
+ * never accepts it as an access token.
+ */
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user.id, purpose }, JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_TTL
+  });
+};
+
+/**
+ * Helper function to build the response asking a login to finish its pending two-factor
+ * step (setting it up, or entering a code), with the challenge token for that step
+ */
+const buildTwoFactorChallenge = (user, step) => {
+  const challenge_token = generateChallengeToken(user, step);
+
+  if (step === TWO_FACTOR_CHALLENGES.SETUP) {
+    return {
+      success: true,
+      message: 'Two-factor authentication is required for your account. Set it up to finish logging in.',
+      two_factor_setup_required: true,
+      challenge_token
+    };
   }
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Admin access required.'
-    });
+  return {
+    success: true,
+    message: 'Enter the code from your authenticator app to finish logging in',
+    two_factor_required: true,
+    challenge_token
+  };
+};
+
+/**
+ * Helper function to check a challenge token.
+ * Returns the user ID it was issued for, or null if it is invalid, expired or for another purpose.
+ */
+const verifyChallengeToken = (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
   }
 
-  next();
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose && !decoded.sid ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
 };
 
+/**
+ * Middleware to check if user is admin
+ */
+const requireAdmin = authorize('admin.access', () => null, {
+  resourceType: 'admin',
+  message: 'Admin access required.'
+});
+
 module.exports = {
   authenticate,
+  authenticateSocket,
+  verifyAccessToken,
   generateToken,
+  issueSessionTokens,
+  buildTokenResponse,
+  generateChallengeToken,
+  buildTwoFactorChallenge,
+  verifyChallengeToken,
   requireAdmin,
   JWT_SECRET
 };
@@ -0,0 +1,56 @@
+const { can } = require('../lib/policy');
+const auditService = require('../services/auditService');
+
+/**
+ * Send the standard 403 for a denied action and record the denial in the audit log
+ */
+const forbid = async (req, res, { action, resourceType, resourceId, reason, message }) => {
+  await auditService.logAccessDenied(req, {
+    action,
+    resourceType: resourceType || action.split('.')[0],
+    resourceId: resourceId !== undefined ? resourceId : null,
+    reason: reason || `Policy denied ${action}`
+  });
+
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: message || 'You do not have permission to perform this action'
+  });
+};
+
+/**
+ * Middleware factory: allow the request only if the policy lets req.user perform action.
+ * getResource(req) builds or loads the resource the action is about (may be async).
+ * options: { resourceType, message } for the audit entry and the 403 response.
+ * Must run after authenticate.
+ */
+const authorize = (action, getResource = () => null, options = {}) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Please login first.'
+      });
+    }
+
+    const resource = await getResource(req);
+
+    if (!can(req.user, action, resource)) {
+      return forbid(req, res, {
+        action,
+        resourceType: options.resourceType,
+        resourceId: resource ? resource.id || resource.owner_id || resource.doctor_id || resource.user_id : null,
+        message: options.message
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorize,
+  forbid
+};
@@ -0,0 +1,50 @@
+const loginProtectionService = require('../services/loginProtectionService');
+
+/**
+ * Send the response for a login that is blocked: 423 for a locked account,
+ * 429 for an IP with too many failures. Retry-After tells the client when to try again.
+ */
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfterSeconds));
+
+  if (block.scope === 'account') {
+    return res.status(423).json({
+      error: 'Account Locked',
+      message: 'Too many failed login attempts. This account is temporarily locked; please try again later or reset your password.',
+      retry_after: block.retryAfterSeconds,
+      locked_until: block.lockedUntil
+    });
+  }
+
+  return res.status(429).json({
+    error: 'Too Many Requests',
+    message: 'Too many failed login attempts from this network. Please try again later.',
+    retry_after: block.retryAfterSeconds
+  });
+};
+
+/**
+ * Middleware to reject password logins for locked accounts and blocked IPs
+ * before the password is checked
+ */
+const checkLoginAllowed = async (req, res, next) => {
+  try {
+    const block = await loginProtectionService.check({
+      email: req.body && req.body.email_address,
+      ip: req.ip
+    });
+
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  checkLoginAllowed,
+  sendLoginBlocked
+};
@@ -0,0 +1,167 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('./auth');
+const { forbid } = require('./authorize');
+const { createMemoryStore, isStore } = require('../lib/memoryStore');
+
+// Buckets for every limiter live in one store (see lib/memoryStore.js)
+let store = createMemoryStore();
+
+/**
+ * Replace the bucket store (e.g. with a Redis-backed one shared by all instances)
+ */
+const setRateLimitStore = (newStore) => {
+  if (!isStore(newStore)) {
+    throw new Error('A rate limit store must have get(key), set(key, value, ttlMs) and delete(key) methods');
+  }
+  store = newStore;
+};
+
+/**
+ * Helper function to get the client IP (IPv4-mapped IPv6 addresses are shown as IPv4).
+ * Behind a proxy, set TRUST_PROXY so req.ip is the client rather than the proxy.
+ */
+const clientIp = (req) => String(req.ip || (req.socket && req.socket.remoteAddress) || 'unknown').replace(/^::ffff:/, '');
+
+// Helper function to turn a dotted IPv4 address into a number (null for anything else)
+const ipv4ToNumber = (ip) => {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+/**
+ * Check an IP against an allow-list of addresses and IPv4 CIDR ranges (e.g. 203.0.113.0/24)
+ */
+const isIpAllowed = (ip, allowList = []) => allowList.some((entry) => {
+  if (!entry.includes('/')) {
+    return entry === ip;
+  }
+
+  const [range, bitsText] = entry.split('/');
+  const bits = Number(bitsText);
+  const rangeValue = ipv4ToNumber(range);
+  const ipValue = ipv4ToNumber(ip);
+  if (rangeValue === null || ipValue === null || !(bits >= 0 && bits <= 32)) {
+    return false;
+  }
+
+  const blockSize = 2 ** (32 - bits);
+  return Math.floor(rangeValue / blockSize) === Math.floor(ipValue / blockSize);
+});
+
+// Helper function to pick the bucket a request counts against: the signed-in user when
+// keyBy is 'user' and the request carries a valid access token, otherwise the client IP
+const bucketKey = (req, keyBy) => {
+  if (keyBy === 'user') {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        if (decoded.id && decoded.sid) {
+          return `user:${decoded.id}`;
+        }
+      } catch (error) {
+        // Invalid or expired tokens are limited by IP; authenticate rejects them later
+      }
+    }
+  }
+
+  return `ip:${clientIp(req)}`;
+};
+
+/**
+ * Take a token from a bucket that holds `limit` tokens and refills at `limit` per window.
+ * Returns { allowed, remaining, resetSeconds, retryAfterSeconds }.
+ */
+const takeToken = async (key, limit, windowSeconds) => {
+  const now = Date.now();
+  const windowMs = windowSeconds * 1000;
+  const refillPerMs = limit / windowMs;
+
+  const bucket = (await store.get(key)) || { tokens: limit, updatedAt: now };
+  let tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  // A bucket left alone for a whole window is full again, so it can simply expire
+  await store.set(key, { tokens, updatedAt: now }, windowMs);
+
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetSeconds: Math.ceil((limit - tokens) / refillPerMs / 1000),
+    retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000))
+  };
+};
+
+/**
+ * Middleware factory: token-bucket rate limiting for a group of routes (see config/rateLimits.js).
+ * Sets the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy headers
+ * and answers 429 with Retry-After once the bucket is empty. Requests from allowList IPs are not
+ * limited by this or any later limiter, so limiters with an allow-list are mounted first.
+ */
+const rateLimit = ({ name, limit, windowSeconds, keyBy = 'ip', allowList = [] }) => async (req, res, next) => {
+  // Trusted sources skip this limiter and any that run after it
+  if (req.rateLimitTrusted || (allowList.length && isIpAllowed(clientIp(req), allowList))) {
+    req.rateLimitTrusted = true;
+    return next();
+  }
+
+  let result;
+  try {
+    result = await takeToken(`ratelimit:${name}:${bucketKey(req, keyBy)}`, limit, windowSeconds);
+  } catch (error) {
+    // A broken store must not take the API down with it
+    console.error(`Error applying rate limit ${name}:`, error);
+    return next();
+  }
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds),
+    'RateLimit-Policy': `${limit};w=${windowSeconds}`
+  });
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: `Too many requests. Please try again in ${result.retryAfterSeconds} seconds.`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory: only accept requests from allow-listed IPs. An empty list accepts
+ * everyone, so webhooks keep working until the provider's addresses are configured.
+ */
+const requireAllowedSource = (allowList = [], { action = 'payment.webhook' } = {}) => async (req, res, next) => {
+  if (!allowList.length || isIpAllowed(clientIp(req), allowList)) {
+    return next();
+  }
+
+  return forbid(req, res, {
+    action,
+    resourceType: 'webhook',
+    reason: `Source ${clientIp(req)} is not in the allow-list`,
+    message: 'Requests from this source are not accepted'
+  });
+};
+
+module.exports = {
+  rateLimit,
+  requireAllowedSource,
+  setRateLimitStore,
+  isIpAllowed,
+  clientIp
+};
@@ -0,0 +1,54 @@
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../services/fileService');
+
+// Uploads are kept in memory: they are small, and must be checked and scanned before storage
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1,
+    fields: 10
+  }
+});
+
+/**
+ * Middleware factory: parse a multipart/form-data request with one file in `field`
+ * (available as req.file) and answer multipart errors in the API's error format.
+ */
+const uploadSingle = (field = 'file') => (req, res, next) => {
+  parser.single(field)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: 'Payload Too Large',
+          message: `Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Send exactly one file in the "${field}" field`
+          : error.message
+      });
+    }
+
+    // Malformed multipart bodies
+    if (error.status === 400 || /multipart/i.test(error.message || '')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'The request body must be valid multipart/form-data'
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadSingle
+};
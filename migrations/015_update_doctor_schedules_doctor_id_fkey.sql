@@ -0,0 +1,51 @@
+-- Update doctor_schedules table to reference users table instead of doctors table for doctor_id
+-- Appointments already reference users (role='doctor') since migration 008, so schedules must
+-- use the same id for booking validation to match a doctor's appointments against their hours
+
+-- Drop the existing foreign key constraint to doctors table
+ALTER TABLE doctor_schedules
+DROP CONSTRAINT IF EXISTS doctor_schedules_doctor_id_fkey;
+
+-- Re-map existing schedule rows from doctors.id to the matching users.id (matched by email)
+UPDATE doctor_schedules ds
+SET doctor_id = u.id
+FROM doctors d
+JOIN users u ON u.email_address = d.email_address
+WHERE ds.doctor_id = d.id;
+
+-- Add new foreign key constraint to users table. Schedule rows whose doctor could not be
+-- matched to a user are kept and reported; the constraint is then added NOT VALID so those
+-- rows can be linked by hand (followed by VALIDATE CONSTRAINT) while new rows are checked.
+DO $$
+DECLARE
+  unmapped INTEGER;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'doctor_schedules'
+    AND constraint_name = 'doctor_schedules_doctor_id_users_fkey'
+  ) THEN
+    SELECT COUNT(*) INTO unmapped
+    FROM doctor_schedules ds
+    WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.id = ds.doctor_id);
+
+    IF unmapped > 0 THEN
+      RAISE NOTICE '% doctor_schedules row(s) reference a doctor with no matching user and were left for manual linking', unmapped;
+
+      ALTER TABLE doctor_schedules
+      ADD CONSTRAINT doctor_schedules_doctor_id_users_fkey
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE NOT VALID;
+    ELSE
+      ALTER TABLE doctor_schedules
+      ADD CONSTRAINT doctor_schedules_doctor_id_users_fkey
+      FOREIGN KEY (doctor_id) REFERENCES users(id) ON DELETE CASCADE;
+    END IF;
+  END IF;
+END $$;
+
+-- Composite index for looking up a doctor's hours on a given weekday
+CREATE INDEX IF NOT EXISTS idx_doctor_schedules_doctor_day ON doctor_schedules(doctor_id, day_of_week);
+
+-- Add comment
+COMMENT ON CONSTRAINT doctor_schedules_doctor_id_users_fkey ON doctor_schedules IS
+'Foreign key to users table. doctor_id must reference a user with role=''doctor''';
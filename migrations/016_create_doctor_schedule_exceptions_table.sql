@@ -0,0 +1,44 @@
+-- Create doctor_schedule_exceptions table for time off, sick days and other one-off unavailability
+CREATE TABLE IF NOT EXISTS doctor_schedule_exceptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  start_time TIME, -- NULL for full-day exceptions
+  end_time TIME, -- NULL for full-day exceptions
+  reason VARCHAR(255),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_exception_date_range CHECK (end_date >= start_date),
+  CONSTRAINT valid_exception_time_range CHECK (
+    (start_time IS NULL AND end_time IS NULL) OR
+    (start_time IS NOT NULL AND end_time IS NOT NULL AND end_time > start_time)
+  )
+);
+
+-- Create indexes for looking up exceptions by doctor and date range
+CREATE INDEX IF NOT EXISTS idx_doctor_schedule_exceptions_doctor_id ON doctor_schedule_exceptions(doctor_id);
+CREATE INDEX IF NOT EXISTS idx_doctor_schedule_exceptions_dates ON doctor_schedule_exceptions(doctor_id, start_date, end_date);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_doctor_schedule_exceptions_updated_at BEFORE UPDATE ON doctor_schedule_exceptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Flag appointments that fall inside a newly added exception or clinic holiday
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS needs_reschedule BOOLEAN DEFAULT false;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reschedule_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_needs_reschedule ON appointments(doctor_id, needs_reschedule);
+
+-- Global settings (user_id IS NULL) are not covered by the UNIQUE(user_id, ...) constraint
+-- because NULLs never compare equal, so enforce one value per global key here
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_global_unique
+ON settings(setting_category, setting_key) WHERE user_id IS NULL;
+
+-- Add comments
+COMMENT ON TABLE doctor_schedule_exceptions IS 'Date ranges when a doctor is unavailable despite their weekly schedule (vacation, sick days)';
+COMMENT ON COLUMN doctor_schedule_exceptions.start_time IS 'Start of the unavailable window on each day in the range; NULL means the whole day';
+COMMENT ON COLUMN doctor_schedule_exceptions.end_time IS 'End of the unavailable window on each day in the range; NULL means the whole day';
+COMMENT ON COLUMN appointments.needs_reschedule IS 'Whether the appointment falls inside a schedule exception or clinic holiday added after booking';
+COMMENT ON COLUMN appointments.reschedule_reason IS 'Why the appointment was flagged for rescheduling';
@@ -0,0 +1,47 @@
+-- Add IANA time zones to users and absolute start/end instants to appointments
+-- appointment_date/appointment_time stay as the wall-clock time in the appointment's
+-- time_zone (the doctor's zone at booking); starts_at/ends_at are derived from them
+
+-- Time zone for each user (doctors and patients)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) DEFAULT 'Asia/Manila';
+UPDATE users SET time_zone = 'Asia/Manila' WHERE time_zone IS NULL;
+
+-- Time zone the appointment's wall-clock date/time are expressed in
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) DEFAULT 'Asia/Manila';
+UPDATE appointments SET time_zone = 'Asia/Manila' WHERE time_zone IS NULL;
+
+-- Absolute instants for comparisons across time zones
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+-- Keep starts_at/ends_at in sync with the wall-clock columns
+CREATE OR REPLACE FUNCTION set_appointment_instants()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.starts_at := (NEW.appointment_date + NEW.appointment_time) AT TIME ZONE COALESCE(NEW.time_zone, 'Asia/Manila');
+  NEW.ends_at := NEW.starts_at + make_interval(mins => COALESCE(NEW.duration_minutes, 60));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_appointment_instants_trigger ON appointments;
+CREATE TRIGGER set_appointment_instants_trigger
+  BEFORE INSERT OR UPDATE OF appointment_date, appointment_time, duration_minutes, time_zone ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION set_appointment_instants();
+
+-- Backfill existing appointments
+UPDATE appointments
+SET starts_at = (appointment_date + appointment_time) AT TIME ZONE COALESCE(time_zone, 'Asia/Manila'),
+    ends_at = (appointment_date + appointment_time) AT TIME ZONE COALESCE(time_zone, 'Asia/Manila')
+      + make_interval(mins => COALESCE(duration_minutes, 60));
+
+-- Create indexes for upcoming/date-range queries on absolute time
+CREATE INDEX IF NOT EXISTS idx_appointments_starts_at ON appointments(starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_ends_at ON appointments(ends_at);
+
+-- Add comments
+COMMENT ON COLUMN users.time_zone IS 'IANA time zone name used to display times to this user (e.g., Asia/Manila)';
+COMMENT ON COLUMN appointments.time_zone IS 'IANA time zone that appointment_date and appointment_time are expressed in (the doctor''s zone)';
+COMMENT ON COLUMN appointments.starts_at IS 'Absolute start instant, derived from appointment_date/appointment_time in time_zone';
+COMMENT ON COLUMN appointments.ends_at IS 'Absolute end instant, starts_at plus duration_minutes';
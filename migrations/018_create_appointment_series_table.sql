@@ -0,0 +1,42 @@
+-- Create appointment_series table for recurring (weekly, biweekly, ...) therapy sessions
+CREATE TABLE IF NOT EXISTS appointment_series (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  frequency VARCHAR(20) NOT NULL, -- daily, weekly, monthly
+  interval_count INTEGER NOT NULL DEFAULT 1, -- e.g. 2 with weekly = biweekly
+  occurrence_count INTEGER, -- COUNT in RRULE terms
+  until_date DATE, -- UNTIL in RRULE terms
+  rrule TEXT NOT NULL, -- RRULE-style summary, e.g. FREQ=WEEKLY;INTERVAL=2;COUNT=6
+  start_date DATE NOT NULL,
+  appointment_time TIME NOT NULL,
+  duration_minutes INTEGER DEFAULT 60,
+  appointment_type VARCHAR(50) DEFAULT 'Video Call',
+  time_zone VARCHAR(64) DEFAULT 'Asia/Manila',
+  status VARCHAR(50) DEFAULT 'active', -- active, cancelled
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_series_frequency CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+  CONSTRAINT valid_series_interval CHECK (interval_count >= 1),
+  CONSTRAINT series_has_end CHECK (occurrence_count IS NOT NULL OR until_date IS NOT NULL)
+);
+
+-- Link appointments to their series
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES appointment_series(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_index INTEGER;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_appointment_series_user_id ON appointment_series(user_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_series_doctor_id ON appointment_series(doctor_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id, series_index);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_appointment_series_updated_at BEFORE UPDATE ON appointment_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE appointment_series IS 'Recurring appointment series; each occurrence is a row in appointments';
+COMMENT ON COLUMN appointment_series.rrule IS 'RRULE-style recurrence summary (FREQ, INTERVAL, COUNT/UNTIL)';
+COMMENT ON COLUMN appointments.series_id IS 'Recurring series this appointment belongs to, if any';
+COMMENT ON COLUMN appointments.series_index IS 'Zero-based position of this occurrence within its series';
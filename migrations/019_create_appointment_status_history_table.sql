@@ -0,0 +1,39 @@
+-- Create appointment_status_history table recording every appointment status change
+CREATE TABLE IF NOT EXISTS appointment_status_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for system changes
+  changed_by_role VARCHAR(50) NOT NULL, -- patient, doctor, admin, system
+  reason TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_appointment_status_history_appointment_id ON appointment_status_history(appointment_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_appointment_status_history_changed_by ON appointment_status_history(changed_by);
+
+-- Normalize existing statuses so they match the state machine
+UPDATE appointments SET status = LOWER(status) WHERE status <> LOWER(status);
+UPDATE appointments SET status = 'scheduled' WHERE status IS NULL;
+
+-- Only allow statuses known to the state machine
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'appointments'
+    AND constraint_name = 'valid_appointment_status'
+  ) THEN
+    ALTER TABLE appointments
+    ADD CONSTRAINT valid_appointment_status
+    CHECK (status IN ('scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'));
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON TABLE appointment_status_history IS 'Audit trail of appointment status transitions';
+COMMENT ON COLUMN appointment_status_history.changed_by_role IS 'Role the change was made in: patient, doctor, admin, or system';
+COMMENT ON COLUMN appointments.status IS 'Appointment status: scheduled, confirmed, in_progress, completed, cancelled, no_show, rescheduled';
@@ -0,0 +1,17 @@
+-- Link rescheduled appointments to the appointment that replaced them
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS rescheduled_from_id UUID REFERENCES appointments(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS rescheduled_to_id UUID REFERENCES appointments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_rescheduled_from_id ON appointments(rescheduled_from_id);
+
+-- Only active appointments hold a slot: a cancelled or rescheduled appointment must not
+-- stop someone else (or the same patient) from booking that time again
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS unique_appointment_time;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_unique_active_slot
+ON appointments(doctor_id, appointment_date, appointment_time)
+WHERE status NOT IN ('cancelled', 'rescheduled');
+
+-- Add comments
+COMMENT ON COLUMN appointments.rescheduled_from_id IS 'Appointment this one was rescheduled from';
+COMMENT ON COLUMN appointments.rescheduled_to_id IS 'Appointment that replaced this one when it was rescheduled';
@@ -0,0 +1,17 @@
+-- Allow payments to be partially refunded (e.g. late-cancellation fees)
+-- payment_status has no CHECK constraint, so only the documentation changes here
+COMMENT ON COLUMN payments.payment_status IS 'Payment status: pending, processing, completed, failed, refunded, partially_refunded, cancelled';
+COMMENT ON COLUMN payments.refund_amount IS 'Amount refunded; less than amount when a cancellation fee was kept';
+
+CREATE INDEX IF NOT EXISTS idx_payments_appointment_status ON payments(appointment_id, payment_status);
+
+-- Seed the default cancellation policy (editable via PUT /api/settings/global)
+INSERT INTO settings (user_id, setting_category, setting_key, setting_value)
+SELECT NULL, 'appointment_booking', 'cancellation_policy',
+  '{"free_cancel_window_hours": 24, "late_cancel_fee_percent": 50, "no_show_fee_percent": 100}'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM settings
+  WHERE user_id IS NULL
+  AND setting_category = 'appointment_booking'
+  AND setting_key = 'cancellation_policy'
+);
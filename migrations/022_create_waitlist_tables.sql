@@ -0,0 +1,63 @@
+-- Create waitlist_entries table for patients waiting for a fully booked doctor
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- patient
+  doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  preferred_days INTEGER[], -- 0=Sunday, 6=Saturday; NULL for any day
+  preferred_start_time TIME, -- NULL for any time
+  preferred_end_time TIME,
+  earliest_date DATE,
+  latest_date DATE,
+  duration_minutes INTEGER DEFAULT 60,
+  appointment_type VARCHAR(50) DEFAULT 'Video Call',
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting', -- waiting, offered, booked, cancelled
+  booked_appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_waitlist_status CHECK (status IN ('waiting', 'offered', 'booked', 'cancelled')),
+  CONSTRAINT valid_waitlist_time_range CHECK (
+    (preferred_start_time IS NULL AND preferred_end_time IS NULL) OR
+    (preferred_start_time IS NOT NULL AND preferred_end_time IS NOT NULL AND preferred_end_time > preferred_start_time)
+  ),
+  CONSTRAINT valid_waitlist_date_range CHECK (latest_date IS NULL OR earliest_date IS NULL OR latest_date >= earliest_date)
+);
+
+-- Create waitlist_offers table: a freed slot offered to one waitlisted patient at a time
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  entry_id UUID NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- patient the slot is held for
+  doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  appointment_date DATE NOT NULL,
+  appointment_time TIME NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 60,
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Manila',
+  source_appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL, -- appointment whose cancellation freed the slot
+  status VARCHAR(20) NOT NULL DEFAULT 'offered', -- offered, accepted, declined, expired, withdrawn
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL, -- booking created on acceptance
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_waitlist_offer_status CHECK (status IN ('offered', 'accepted', 'declined', 'expired', 'withdrawn'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_doctor_status ON waitlist_entries(doctor_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_user_id ON waitlist_entries(user_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_entry_id ON waitlist_offers(entry_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_doctor_slot ON waitlist_offers(doctor_id, appointment_date, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_expires_at ON waitlist_offers(status, expires_at);
+
+-- Create triggers to automatically update updated_at
+CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_waitlist_offers_updated_at BEFORE UPDATE ON waitlist_offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE waitlist_entries IS 'Patients waiting for a slot with a fully booked doctor, served first come first served';
+COMMENT ON COLUMN waitlist_entries.preferred_days IS 'Acceptable days of week (0=Sunday, 6=Saturday); NULL for any day';
+COMMENT ON TABLE waitlist_offers IS 'Freed slots offered to waitlisted patients; an open offer holds the slot until expires_at';
@@ -0,0 +1,28 @@
+-- Create appointment_reminders table: one row per reminder sent, so reminders are
+-- never sent twice (even across server restarts or with several server instances)
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- recipient (patient or doctor)
+  offset_minutes INTEGER NOT NULL, -- minutes before the appointment start
+  notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_appointment_reminder UNIQUE(appointment_id, user_id, offset_minutes)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_appointment_id ON appointment_reminders(appointment_id);
+
+-- Seed the default reminder offsets (24 hours and 1 hour before)
+INSERT INTO settings (user_id, setting_category, setting_key, setting_value)
+SELECT NULL, 'appointment_booking', 'reminder_offsets_minutes', '[1440, 60]'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM settings
+  WHERE user_id IS NULL
+  AND setting_category = 'appointment_booking'
+  AND setting_key = 'reminder_offsets_minutes'
+);
+
+-- Add comments
+COMMENT ON TABLE appointment_reminders IS 'Appointment reminders already sent, used to deduplicate reminder notifications';
+COMMENT ON COLUMN appointment_reminders.offset_minutes IS 'How many minutes before the appointment start this reminder is for';
@@ -0,0 +1,27 @@
+-- Track who joined an appointment's video session, used to detect no-shows
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS patient_joined_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS doctor_joined_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS call_started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS no_show_party VARCHAR(20);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'appointments'
+    AND constraint_name = 'valid_no_show_party'
+  ) THEN
+    ALTER TABLE appointments
+    ADD CONSTRAINT valid_no_show_party
+    CHECK (no_show_party IS NULL OR no_show_party IN ('patient', 'doctor', 'both'));
+  END IF;
+END $$;
+
+-- Index for the no-show sweep (active appointments that have ended)
+CREATE INDEX IF NOT EXISTS idx_appointments_status_ends_at ON appointments(status, ends_at);
+
+-- Add comments
+COMMENT ON COLUMN appointments.patient_joined_at IS 'When the patient first joined the session room';
+COMMENT ON COLUMN appointments.doctor_joined_at IS 'When the doctor first joined the session room';
+COMMENT ON COLUMN appointments.call_started_at IS 'When the doctor first started the call';
+COMMENT ON COLUMN appointments.no_show_party IS 'Who missed a no_show appointment: patient, doctor, or both';
@@ -0,0 +1,33 @@
+-- iCalendar SEQUENCE for each appointment, bumped whenever calendar-visible fields change
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_appointment_ics_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.appointment_date IS DISTINCT FROM OLD.appointment_date
+    OR NEW.appointment_time IS DISTINCT FROM OLD.appointment_time
+    OR NEW.duration_minutes IS DISTINCT FROM OLD.duration_minutes
+    OR NEW.time_zone IS DISTINCT FROM OLD.time_zone
+    OR NEW.status IS DISTINCT FROM OLD.status
+    OR NEW.appointment_type IS DISTINCT FROM OLD.appointment_type
+    OR NEW.session_link IS DISTINCT FROM OLD.session_link THEN
+    NEW.ics_sequence := OLD.ics_sequence + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_appointment_ics_sequence_trigger ON appointments;
+CREATE TRIGGER bump_appointment_ics_sequence_trigger
+  BEFORE UPDATE ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_appointment_ics_sequence();
+
+-- Hash of the secret token in each user's calendar feed URL (NULL until they create one).
+-- Only the SHA-256 hash is stored so the feed URL cannot be recovered from the database.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed_token_hash VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_feed_token_hash ON users(calendar_feed_token_hash) WHERE calendar_feed_token_hash IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN appointments.ics_sequence IS 'iCalendar SEQUENCE; incremented when the time, status or session link changes';
+COMMENT ON COLUMN users.calendar_feed_token_hash IS 'SHA-256 hash of the secret token in the user''s calendar feed URL; rotate to revoke old subscriptions';
@@ -0,0 +1,26 @@
+-- Create audit_logs table recording security-relevant events such as denied access
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for anonymous requests
+  user_role VARCHAR(50),
+  action VARCHAR(100) NOT NULL, -- e.g. appointment.read, appointment.list
+  resource_type VARCHAR(50),
+  resource_id VARCHAR(255),
+  outcome VARCHAR(20) NOT NULL DEFAULT 'denied',
+  reason TEXT,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_audit_outcome CHECK (outcome IN ('allowed', 'denied'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+
+-- Add comments
+COMMENT ON TABLE audit_logs IS 'Audit trail of security-relevant events (access denials and similar)';
+COMMENT ON COLUMN audit_logs.action IS 'What was attempted, as <resource>.<verb>';
+COMMENT ON COLUMN audit_logs.outcome IS 'allowed or denied';
@@ -0,0 +1,30 @@
+-- Create user_sessions table: one row per signed-in device, holding its refresh token.
+-- Access tokens carry the session ID, so revoking the session cuts access off at once.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL, -- SHA-256 of the current refresh token
+  previous_token_hash VARCHAR(64), -- SHA-256 of the token it replaced, to detect reuse
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_refresh_token_hash UNIQUE(refresh_token_hash)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token_hash ON user_sessions(previous_token_hash);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE user_sessions IS 'Signed-in sessions with rotating refresh tokens (only token hashes are stored)';
+COMMENT ON COLUMN user_sessions.previous_token_hash IS 'Hash of the refresh token replaced at the last rotation; presenting it again revokes the session';
+COMMENT ON COLUMN user_sessions.revoked_reason IS 'Why the session ended: logout, logout_all, refresh_token_reuse, account_deactivated';
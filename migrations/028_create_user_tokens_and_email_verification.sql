@@ -0,0 +1,38 @@
+-- Create user_tokens table for single-use emailed tokens (password reset, email verification)
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(50) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL, -- SHA-256 of the emailed token
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE, -- set when used or replaced by a newer token
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_user_token_hash UNIQUE(token_hash),
+  CONSTRAINT valid_user_token_purpose CHECK (purpose IN ('password_reset', 'email_verification'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose) WHERE used_at IS NULL;
+
+-- Track when a user's email address was verified
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Accounts created before verification existed are treated as verified, so turning on
+-- security.require_email_verification does not lock them out
+UPDATE users SET email_verified_at = COALESCE(created_at, NOW()) WHERE email_verified_at IS NULL;
+
+-- Seed the setting that blocks login for unverified accounts (off by default)
+INSERT INTO settings (user_id, setting_category, setting_key, setting_value)
+SELECT NULL, 'security', 'require_email_verification', 'false'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM settings
+  WHERE user_id IS NULL
+  AND setting_category = 'security'
+  AND setting_key = 'require_email_verification'
+);
+
+-- Add comments
+COMMENT ON TABLE user_tokens IS 'Single-use emailed tokens for password reset and email verification (only hashes are stored)';
+COMMENT ON COLUMN user_tokens.purpose IS 'password_reset or email_verification';
+COMMENT ON COLUMN users.email_verified_at IS 'When the user confirmed their email address (NULL if not verified)';
+COMMENT ON COLUMN user_sessions.revoked_reason IS 'Why the session ended: logout, logout_all, refresh_token_reuse, account_deactivated, password_reset, password_changed';
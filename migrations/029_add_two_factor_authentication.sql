@@ -0,0 +1,33 @@
+-- Two-factor authentication (TOTP) for user accounts
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT; -- encrypted, set once enrollment is confirmed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT; -- encrypted, during enrollment
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_counter BIGINT; -- last accepted time step, so a code cannot be replayed
+
+-- Create user_recovery_codes table: single-use codes for signing in without the authenticator
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL, -- SHA-256 of the normalized code
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_recovery_code UNIQUE(user_id, code_hash)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id) WHERE used_at IS NULL;
+
+-- Seed the setting requiring doctors and admins to use two-factor authentication (off by default)
+INSERT INTO settings (user_id, setting_category, setting_key, setting_value)
+SELECT NULL, 'security', 'require_two_factor', 'false'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM settings
+  WHERE user_id IS NULL
+  AND setting_category = 'security'
+  AND setting_key = 'require_two_factor'
+);
+
+-- Add comments
+COMMENT ON TABLE user_recovery_codes IS 'Single-use two-factor recovery codes (only hashes are stored)';
+COMMENT ON COLUMN users.two_factor_secret IS 'AES-256-GCM encrypted TOTP secret; NULL when two-factor authentication is off';
+COMMENT ON COLUMN users.two_factor_enabled_at IS 'When two-factor authentication was turned on';
@@ -0,0 +1,113 @@
+-- Unify doctors into users (role='doctor') with their professional details in doctor_profiles.
+-- Appointments, schedules and payments already reference users(id), so a doctor's user ID is
+-- now the only doctor ID. The old doctors table is kept read-only for reference.
+
+-- Doctors register without a date of birth
+ALTER TABLE users ALTER COLUMN date_of_birth DROP NOT NULL;
+
+-- Create doctor_profiles table: one row per user with role='doctor'
+CREATE TABLE IF NOT EXISTS doctor_profiles (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  specialization VARCHAR(255),
+  license_number VARCHAR(100),
+  qualifications TEXT,
+  bio TEXT,
+  years_of_experience INTEGER,
+  consultation_fee DECIMAL(10, 2),
+  profile_image_url TEXT,
+  mental_health_specialties JSONB DEFAULT '[]'::jsonb,
+  is_verified BOOLEAN DEFAULT false,
+  legacy_doctor_id UUID, -- doctors.id this profile was migrated from, so old IDs still resolve
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_doctor_profile_license UNIQUE(license_number),
+  CONSTRAINT unique_doctor_profile_legacy_id UNIQUE(legacy_doctor_id),
+  CONSTRAINT valid_consultation_fee CHECK (consultation_fee IS NULL OR consultation_fee >= 0)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_doctor_profiles_specialization ON doctor_profiles(specialization);
+CREATE INDEX IF NOT EXISTS idx_doctor_profiles_verified ON doctor_profiles(is_verified);
+CREATE INDEX IF NOT EXISTS idx_doctor_profiles_mental_health_specialties ON doctor_profiles USING GIN (mental_health_specialties);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_doctor_profiles_updated_at BEFORE UPDATE ON doctor_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create a user account for every doctor that only exists in the doctors table
+INSERT INTO users (full_name, email_address, password_hash, contact_number, role, is_active, email_verified_at)
+SELECT d.full_name, d.email_address, d.password_hash, d.phone_number, 'doctor', COALESCE(d.is_active, true), NOW()
+FROM doctors d
+WHERE NOT EXISTS (
+  SELECT 1 FROM users u WHERE LOWER(u.email_address) = LOWER(d.email_address)
+);
+
+-- Doctor user accounts without a password can sign in with their doctors password
+UPDATE users u
+SET password_hash = d.password_hash
+FROM doctors d
+WHERE LOWER(u.email_address) = LOWER(d.email_address)
+AND u.role = 'doctor'
+AND u.password_hash IS NULL;
+
+-- Copy professional details from doctors to the matching doctor user (matched by email)
+INSERT INTO doctor_profiles (
+  user_id, specialization, license_number, qualifications, bio, years_of_experience,
+  consultation_fee, profile_image_url, mental_health_specialties, is_verified, legacy_doctor_id
+)
+SELECT
+  u.id, d.specialization, d.license_number, d.qualifications, d.bio, d.years_of_experience,
+  d.consultation_fee, d.profile_image_url, COALESCE(d.mental_health_specialties, '[]'::jsonb),
+  COALESCE(d.is_verified, false), d.id
+FROM doctors d
+JOIN users u ON LOWER(u.email_address) = LOWER(d.email_address) AND u.role = 'doctor'
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Doctors that only existed as users were listed as verified, so they stay verified
+INSERT INTO doctor_profiles (user_id, is_verified)
+SELECT u.id, true
+FROM users u
+WHERE u.role = 'doctor'
+AND NOT EXISTS (SELECT 1 FROM doctor_profiles p WHERE p.user_id = u.id);
+
+-- Some deployments added specialization/consultation_fee to users by hand; keep those values
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'specialization'
+  ) THEN
+    EXECUTE 'UPDATE doctor_profiles p SET specialization = u.specialization
+             FROM users u WHERE u.id = p.user_id AND p.specialization IS NULL';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'consultation_fee'
+  ) THEN
+    EXECUTE 'UPDATE doctor_profiles p SET consultation_fee = u.consultation_fee
+             FROM users u WHERE u.id = p.user_id AND p.consultation_fee IS NULL';
+  END IF;
+END $$;
+
+-- Report doctors whose email belongs to a non-doctor account; they need to be linked by hand
+DO $$
+DECLARE
+  unlinked INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO unlinked
+  FROM doctors d
+  WHERE NOT EXISTS (SELECT 1 FROM doctor_profiles p WHERE p.legacy_doctor_id = d.id);
+
+  IF unlinked > 0 THEN
+    RAISE NOTICE '% doctors row(s) share an email with a non-doctor user and were not migrated', unlinked;
+  END IF;
+END $$;
+
+-- Add comments
+COMMENT ON TABLE doctor_profiles IS 'Professional details of users with role=''doctor'' (replaces the doctors table)';
+COMMENT ON COLUMN doctor_profiles.user_id IS 'The doctor''s user ID, used by appointments, schedules and payments';
+COMMENT ON COLUMN doctor_profiles.is_verified IS 'Whether the doctor credentials have been verified by admin';
+COMMENT ON COLUMN doctor_profiles.legacy_doctor_id IS 'ID of the doctors row this profile was migrated from';
+COMMENT ON COLUMN doctor_profiles.mental_health_specialties IS 'Array of specific mental health issues/problems the doctor specializes in (e.g., ["Anxiety", "Depression", "PTSD"])';
+COMMENT ON TABLE doctors IS 'Deprecated: migrated to users (role=''doctor'') and doctor_profiles in migration 030; no longer written by the API';
@@ -0,0 +1,76 @@
+-- Doctor credential verification: doctors submit their PRC license details, admins approve or reject
+
+-- Verification state on the doctor profile (is_verified stays the flag used for listings and booking)
+ALTER TABLE doctor_profiles ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) DEFAULT 'unverified';
+ALTER TABLE doctor_profiles ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE doctor_profiles ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE doctor_profiles ADD COLUMN IF NOT EXISTS prc_license_expires_on DATE;
+
+-- Doctors already marked verified keep their status
+UPDATE doctor_profiles
+SET verification_status = 'verified', verified_at = COALESCE(verified_at, updated_at, NOW())
+WHERE is_verified = true AND verification_status = 'unverified';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'doctor_profiles'
+    AND constraint_name = 'valid_doctor_verification_status'
+  ) THEN
+    ALTER TABLE doctor_profiles
+    ADD CONSTRAINT valid_doctor_verification_status
+    CHECK (verification_status IN ('unverified', 'pending', 'verified', 'rejected'));
+  END IF;
+END $$;
+
+-- Create doctor_verification_requests table: one row per submission
+CREATE TABLE IF NOT EXISTS doctor_verification_requests (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  license_number VARCHAR(100) NOT NULL, -- PRC license (registration) number
+  prc_profession VARCHAR(100) NOT NULL, -- e.g. Psychologist, Psychometrician, Physician
+  prc_registration_date DATE,
+  prc_expiry_date DATE NOT NULL,
+  documents JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ type, reference }] e.g. PRC ID scan, board certificate
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_comments TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_verification_request_status CHECK (status IN ('pending', 'approved', 'rejected')),
+  CONSTRAINT valid_prc_dates CHECK (prc_registration_date IS NULL OR prc_registration_date <= prc_expiry_date)
+);
+
+-- Create doctor_verification_history table recording every verification status change
+CREATE TABLE IF NOT EXISTS doctor_verification_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  doctor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  request_id UUID REFERENCES doctor_verification_requests(id) ON DELETE SET NULL,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_by_role VARCHAR(50) NOT NULL, -- doctor or admin
+  comments TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_doctor_verification_requests_doctor_id ON doctor_verification_requests(doctor_id, submitted_at);
+CREATE INDEX IF NOT EXISTS idx_doctor_verification_requests_status ON doctor_verification_requests(status, submitted_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_doctor_verification_requests_one_pending
+  ON doctor_verification_requests(doctor_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_doctor_verification_history_doctor_id ON doctor_verification_history(doctor_id, created_at);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_doctor_verification_requests_updated_at BEFORE UPDATE ON doctor_verification_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE doctor_verification_requests IS 'Doctor credential submissions awaiting or after admin review';
+COMMENT ON COLUMN doctor_verification_requests.documents IS 'References to uploaded credential documents: [{ "type": "prc_id", "reference": "..." }]';
+COMMENT ON TABLE doctor_verification_history IS 'Audit trail of doctor verification status changes';
+COMMENT ON COLUMN doctor_profiles.verification_status IS 'Credential review state: unverified, pending, verified, rejected';
+COMMENT ON COLUMN doctor_profiles.is_verified IS 'Whether the doctor credentials have been approved by an admin; only verified doctors are listed and bookable';
@@ -0,0 +1,39 @@
+-- Uploaded files (avatars, license documents, intake forms, receipts).
+-- The bytes live in the configured storage driver (local disk or Supabase Storage);
+-- this table holds the metadata used for access checks and signed downloads.
+
+CREATE TABLE IF NOT EXISTS files (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL, -- intake forms and receipts belong to an appointment
+  purpose VARCHAR(50) NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL, -- detected from the file content, not the client's Content-Type
+  size_bytes INTEGER NOT NULL,
+  checksum_sha256 VARCHAR(64) NOT NULL,
+  storage_driver VARCHAR(20) NOT NULL, -- local or supabase
+  storage_key TEXT NOT NULL,
+  scan_status VARCHAR(20) NOT NULL DEFAULT 'skipped',
+  scan_details TEXT,
+  scanned_at TIMESTAMP WITH TIME ZONE,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT valid_file_purpose CHECK (purpose IN ('avatar', 'license_document', 'intake_form', 'receipt')),
+  CONSTRAINT valid_file_scan_status CHECK (scan_status IN ('clean', 'skipped')),
+  CONSTRAINT valid_file_size CHECK (size_bytes > 0),
+  CONSTRAINT unique_file_storage_key UNIQUE(storage_driver, storage_key)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_files_owner_id ON files(owner_id, created_at) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_files_appointment_id ON files(appointment_id) WHERE appointment_id IS NOT NULL;
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_files_updated_at BEFORE UPDATE ON files
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE files IS 'Metadata of uploaded files; contents are kept by the storage driver under storage_key';
+COMMENT ON COLUMN files.scan_status IS 'clean when the virus scanner passed the file, skipped when no scanner is configured; infected uploads are never stored';
+COMMENT ON COLUMN files.deleted_at IS 'Set when the owner deletes the file; the stored contents are removed at the same time';
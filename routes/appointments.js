@@ -3,21 +3,35 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointmentController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
-
-// Public routes (but should be protected in production)
-router.get('/user/:userId', appointmentController.getByUserId);
-router.get('/doctor/:doctorId', appointmentController.getByDoctorId);
-router.get('/doctor-user/:userId', authenticate, appointmentController.getByDoctorUserId);
-router.get('/:id', appointmentController.getById);
+const appointmentSeriesController = require('../controllers/appointmentSeriesController');
+const calendarController = require('../controllers/calendarController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { loadAccessibleAppointment, requireAppointmentOwner } = require('../middleware/appointmentAccess');
+
+// Recurring series routes (require authentication)
+router.post('/series', authenticate, appointmentSeriesController.create);
+router.get('/series/:seriesId', authenticate, appointmentSeriesController.getById);
+router.put('/:id/series', authenticate, appointmentSeriesController.update);
+router.delete('/:id/series', authenticate, appointmentSeriesController.cancel);
+
+// Read routes (only the patient, the assigned doctor, or an admin)
+router.get('/user/:userId', authenticate, requireAppointmentOwner('userId'), appointmentController.getByUserId);
+router.get('/doctor/:doctorId', authenticate, requireAppointmentOwner('doctorId'), appointmentController.getByDoctorId);
+router.get('/doctor-user/:userId', authenticate, requireAppointmentOwner('userId'), appointmentController.getByDoctorUserId);
+router.get('/:id', authenticate, loadAccessibleAppointment, appointmentController.getById);
 
 // Admin routes
-router.get('/', authenticate, requireAdmin, appointmentController.getAll);
+router.get('/', authenticate, authorize('appointment.list_all'), appointmentController.getAll);
 
 // Protected routes (require authentication)
 router.post('/', authenticate, appointmentController.create);
 router.put('/:id', authenticate, appointmentController.update);
 router.delete('/:id', authenticate, appointmentController.delete);
+router.post('/:id/reschedule', authenticate, appointmentController.reschedule);
+router.post('/:id/status', authenticate, appointmentController.updateStatus);
+router.get('/:id/history', authenticate, loadAccessibleAppointment, appointmentController.getHistory);
+router.get('/:id/ics', authenticate, loadAccessibleAppointment, calendarController.getAppointmentIcs);
 
 module.exports = router;
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { authenticate } = require('../middleware/auth');
+
+// GET /api/calendar/feed/:token - Subscribable calendar feed (secret token, no login)
+router.get('/feed/:token', calendarController.getFeed);
+
+// POST /api/calendar/feed - Create or rotate the current user's feed URL
+router.post('/feed', authenticate, calendarController.createFeed);
+
+// DELETE /api/calendar/feed - Revoke the current user's feed
+router.delete('/feed', authenticate, calendarController.revokeFeed);
+
+module.exports = router;
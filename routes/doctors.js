@@ -1,20 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const doctorController = require('../controllers/doctorController');
+const scheduleController = require('../controllers/scheduleController');
+const doctorVerificationController = require('../controllers/doctorVerificationController');
 const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { checkLoginAllowed } = require('../middleware/loginProtection');
 
 
 
+// Credential review queue (admin only); defined before /:id
+router.get('/verification/requests', authenticate, authorize('doctor.review_verification'), doctorVerificationController.listRequests);
+router.get('/verification/requests/:requestId', authenticate, authorize('doctor.review_verification'), doctorVerificationController.getRequest);
+router.post('/verification/requests/:requestId/approve', authenticate, authorize('doctor.review_verification'), doctorVerificationController.approve);
+router.post('/verification/requests/:requestId/reject', authenticate, authorize('doctor.review_verification'), doctorVerificationController.reject);
+
 // Public routes
 router.get('/', doctorController.getAll);
 router.get('/available', doctorController.getAvailable);
 router.get('/:id', doctorController.getById);
+router.get('/:id/slots', scheduleController.getSlots);
 router.post('/register', doctorController.register);
-router.post('/login', doctorController.login);
+router.post('/login', checkLoginAllowed, doctorController.login);
 router.post('/bookAppointment', doctorController.bookAppointment);
 
 // Protected routes
 router.put('/:id', authenticate, doctorController.update);
 router.delete('/:id', authenticate, doctorController.delete);
 
+// Credential verification (the doctor submits; the doctor or an admin can view status and history)
+router.get('/:id/verification', authenticate, doctorVerificationController.getStatus);
+router.post('/:id/verification', authenticate, doctorVerificationController.submit);
+
+// Weekly schedule routes (writes limited to the owning doctor or an admin)
+router.get('/:id/schedules', authenticate, scheduleController.getSchedules);
+router.post('/:id/schedules', authenticate, scheduleController.createSchedule);
+router.put('/:id/schedules', authenticate, scheduleController.replaceSchedules);
+router.delete('/:id/schedules/:scheduleId', authenticate, scheduleController.deleteSchedule);
+
+// Schedule exception routes (time off, sick days)
+router.get('/:id/exceptions', authenticate, scheduleController.getExceptions);
+router.post('/:id/exceptions', authenticate, scheduleController.createException);
+router.delete('/:id/exceptions/:exceptionId', authenticate, scheduleController.deleteException);
+
 module.exports = router;
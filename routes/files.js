@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/fileController');
+const { authenticate } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
+// GET /api/files/:id/download - Download a file with a signed URL (the signature is the credential)
+router.get('/:id/download', fileController.download);
+
+// All other file routes require authentication
+router.use(authenticate);
+
+// POST /api/files - Upload a file (multipart/form-data: file, purpose, appointment_id)
+router.post('/', uploadSingle('file'), fileController.upload);
+
+// GET /api/files - Get the current user's files (?purpose=, ?appointment_id=)
+router.get('/', fileController.getAll);
+
+// GET /api/files/:id - Get a file's details and a signed download URL
+router.get('/:id', fileController.getById);
+
+// DELETE /api/files/:id - Delete a file
+router.delete('/:id', fileController.delete);
+
+module.exports = router;
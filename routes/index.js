@@ -9,6 +9,9 @@ const appointmentRoutes = require('./appointments');
 const paymentRoutes = require('./payments');
 const notificationRoutes = require('./notifications');
 const settingsRoutes = require('./settings');
+const waitlistRoutes = require('./waitlist');
+const calendarRoutes = require('./calendar');
+const fileRoutes = require('./files');
 
 // Mount routes
 router.use('/example', exampleRoutes);
@@ -18,6 +21,9 @@ router.use('/appointments', appointmentRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/settings', settingsRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/files', fileRoutes);
 
 // API info route
 router.get('/', (req, res) => {
@@ -32,7 +38,10 @@ router.get('/', (req, res) => {
       appointments: '/api/appointments',
       payments: '/api/payments',
       notifications: '/api/notifications',
-      settings: '/api/settings'
+      settings: '/api/settings',
+      waitlist: '/api/waitlist',
+      calendar: '/api/calendar',
+      files: '/api/files'
     }
   });
 });
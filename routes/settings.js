@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const settingsController = require('../controllers/settingsController');
 const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
 
 // All settings routes require authentication
 router.use(authenticate);
@@ -15,6 +16,12 @@ router.put('/', settingsController.updateSetting);
 // PUT /api/settings/bulk - Update multiple settings
 router.put('/bulk', settingsController.updateSettings);
 
+// GET /api/settings/global - Get global (clinic-wide) settings
+router.get('/global', authorize('settings.read_global'), settingsController.getGlobalSettings);
+
+// PUT /api/settings/global - Update or create a global setting (admin only)
+router.put('/global', authorize('settings.manage_global'), settingsController.updateGlobalSetting);
+
 // DELETE /api/settings/:category/:key - Delete setting
 router.delete('/:category/:key', settingsController.deleteSetting);
 
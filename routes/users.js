@@ -2,18 +2,71 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { checkLoginAllowed } = require('../middleware/loginProtection');
 
-// GET /api/users - Get all users
-router.get('/', userController.getAll);
+// Resource for rules about the user in the :id path parameter
+const targetUser = (req) => ({ id: req.params.id });
 
-// GET /api/users/email/:email - Get user by email
-router.get('/email/:email', userController.getByEmail);
+// GET /api/users - Get all users (admin only)
+router.get('/', authenticate, authorize('user.list'), userController.getAll);
+
+// GET /api/users/email/:email - Get user by email (own profile or admin)
+router.get('/email/:email', authenticate, userController.getByEmail);
 
 // POST /api/users/register - Register new user
 router.post('/register', userController.register);
 
-// POST /api/users/login - Login user
-router.post('/login', userController.login);
+// POST /api/users/login - Login user (rejected while the account or IP is locked out)
+router.post('/login', checkLoginAllowed, userController.login);
+
+// POST /api/users/login/2fa - Finish a login with an authenticator or recovery code
+router.post('/login/2fa', userController.loginTwoFactor);
+
+// POST /api/users/login/2fa/setup - Start the two-factor setup a login requires
+router.post('/login/2fa/setup', userController.loginTwoFactorSetup);
+
+// POST /api/users/login/2fa/confirm - Confirm the two-factor setup and finish the login
+router.post('/login/2fa/confirm', userController.loginTwoFactorConfirm);
+
+// POST /api/users/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', userController.refresh);
+
+// POST /api/users/logout - Sign out the current session
+router.post('/logout', authenticate, userController.logout);
+
+// POST /api/users/logout-all - Sign out all sessions (every device)
+router.post('/logout-all', authenticate, userController.logoutAll);
+
+// POST /api/users/forgot-password - Email a password reset link
+router.post('/forgot-password', userController.forgotPassword);
+
+// POST /api/users/reset-password - Set a new password with a reset token
+router.post('/reset-password', userController.resetPassword);
+
+// POST /api/users/change-password - Change the signed-in user's password
+router.post('/change-password', authenticate, userController.changePassword);
+
+// GET /api/users/2fa - Two-factor status of the signed-in user
+router.get('/2fa', authenticate, userController.getTwoFactorStatus);
+
+// POST /api/users/2fa/setup - Start two-factor enrollment
+router.post('/2fa/setup', authenticate, userController.startTwoFactorSetup);
+
+// POST /api/users/2fa/confirm - Confirm enrollment with a code (returns recovery codes)
+router.post('/2fa/confirm', authenticate, userController.confirmTwoFactorSetup);
+
+// POST /api/users/2fa/recovery-codes - Replace the recovery codes
+router.post('/2fa/recovery-codes', authenticate, userController.regenerateRecoveryCodes);
+
+// POST /api/users/2fa/disable - Turn off two-factor authentication (not allowed when required)
+router.post('/2fa/disable', authenticate, userController.disableTwoFactor);
+
+// POST /api/users/verify-email - Confirm an email address with a verification token
+router.post('/verify-email', userController.verifyEmail);
+
+// POST /api/users/verify-email/resend - Email a new verification link
+router.post('/verify-email/resend', userController.resendVerification);
 
 // GET /api/users/me - Get current authenticated user (protected route)
 router.get('/me', authenticate, userController.getCurrentUser);
@@ -24,17 +77,26 @@ router.get('/doctors', userController.getDoctors);
 // GET /api/users/doctors/available - Get available doctors
 router.get('/doctors/available', userController.getAvailableDoctors);
 
-// GET /api/users/:id - Get user by ID
-router.get('/:id', userController.getById);
+// GET /api/users/:id - Get user by ID (own profile or admin)
+router.get('/:id', authenticate, authorize('user.read', targetUser), userController.getById);
+
+// POST /api/users - Create new user (admin only)
+router.post('/', authenticate, authorize('user.create'), userController.create);
+
+// PUT /api/users/:id - Update user (own profile or admin; role and is_active admin only)
+router.put('/:id', authenticate, authorize('user.update', targetUser), userController.update);
+
+// DELETE /api/users/:id - Delete user (admin only)
+router.delete('/:id', authenticate, authorize('user.delete', targetUser), userController.delete);
 
-// POST /api/users - Create new user
-router.post('/', userController.create);
+// DELETE /api/users/:id/2fa - Reset a user's two-factor authentication (admin only)
+router.delete('/:id/2fa', authenticate, authorize('user.manage_account', targetUser), userController.resetTwoFactor);
 
-// PUT /api/users/:id - Update user
-router.put('/:id', userController.update);
+// GET /api/users/:id/lockout - Login lock state of a user (admin only)
+router.get('/:id/lockout', authenticate, authorize('user.manage_account', targetUser), userController.getLockoutStatus);
 
-// DELETE /api/users/:id - Delete user
-router.delete('/:id', userController.delete);
+// POST /api/users/:id/unlock - Unlock an account locked by failed logins (admin only)
+router.post('/:id/unlock', authenticate, authorize('user.manage_account', targetUser), userController.unlockAccount);
 
 module.exports = router;
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { authenticate } = require('../middleware/auth');
+
+// All waitlist routes require authentication
+router.use(authenticate);
+
+// GET /api/waitlist - Get the current patient's waitlist entries
+router.get('/', waitlistController.getMine);
+
+// POST /api/waitlist - Join a doctor's waitlist
+router.post('/', waitlistController.join);
+
+// GET /api/waitlist/doctor/:doctorId - Get a doctor's waitlist (doctor or admin)
+router.get('/doctor/:doctorId', waitlistController.getByDoctor);
+
+// POST /api/waitlist/offers/:offerId/accept - Accept an offered slot
+router.post('/offers/:offerId/accept', waitlistController.acceptOffer);
+
+// POST /api/waitlist/offers/:offerId/decline - Decline an offered slot
+router.post('/offers/:offerId/decline', waitlistController.declineOffer);
+
+// DELETE /api/waitlist/:id - Leave the waitlist
+router.delete('/:id', waitlistController.leave);
+
+module.exports = router;
@@ -12,12 +12,31 @@ const PORT = process.env.PORT || 4000;
 const { initializeSocket } = require('./services/socketService');
 initializeSocket(server);
 
+// Behind a load balancer or reverse proxy, TRUST_PROXY (e.g. 1, 'loopback') makes req.ip
+// the client's address, which rate limiting and login protection rely on
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Rate limiting and webhook source allow-list (see config/rateLimits.js)
+const { rateLimit, requireAllowedSource } = require('./middleware/rateLimit');
+const rateLimits = require('./config/rateLimits');
+
+app.use(rateLimits.webhooks.paths, requireAllowedSource(rateLimits.webhooks.allowList));
+
+if (rateLimits.enabled) {
+  app.use(rateLimits.webhooks.paths, rateLimit(rateLimits.webhooks));
+  app.use(rateLimits.api.paths, rateLimit(rateLimits.api));
+  app.use(rateLimits.auth.paths, rateLimit(rateLimits.auth));
+}
+
 // Routes
 app.use('/api', require('./routes/index'));
 
@@ -47,11 +66,32 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs (set JOBS_ENABLED=false to run them elsewhere)
+const jobScheduler = require('./services/jobScheduler');
+const reminderService = require('./services/reminderService');
+const waitlistService = require('./services/waitlistService');
+const noShowService = require('./services/noShowService');
+const mailService = require('./services/mailService');
+const JOB_INTERVAL_MS = parseInt(process.env.JOB_INTERVAL_MS, 10) || 60000;
+
+jobScheduler.register('appointment-reminders', JOB_INTERVAL_MS, () => reminderService.processDueReminders());
+jobScheduler.register('waitlist-offer-expiry', JOB_INTERVAL_MS, () => waitlistService.processExpiredOffers());
+jobScheduler.register('no-show-detection', JOB_INTERVAL_MS, () => noShowService.processNoShows());
+
 // Start server
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`WebSocket server initialized`);
+
+  if (!mailService.transport) {
+    console.error('No mail transport is configured: password reset, verification and lockout emails will not be sent');
+  }
+
+  if (process.env.JOBS_ENABLED !== 'false') {
+    jobScheduler.start();
+    console.log(`Background jobs started (every ${JOB_INTERVAL_MS / 1000}s)`);
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,131 @@
+const { supabase } = require('../config/supabase');
+const scheduleService = require('./scheduleService');
+const appointmentStatusService = require('./appointmentStatusService');
+const notificationService = require('./notificationService');
+
+/**
+ * Appointment Reschedule Service
+ * Moves an appointment to a new slot by booking a replacement appointment,
+ * marking the original as rescheduled and carrying its payment over
+ */
+
+class AppointmentRescheduleService {
+  /**
+   * Reschedule an appointment to a new date/time (wall-clock in the appointment's zone).
+   * Returns { appointment, previous } on success or { violation } when the status
+   * transition or the new slot is not allowed.
+   */
+  async reschedule(appointment, { date, time, durationMinutes, reason = null }, actor) {
+    const transitionViolation = appointmentStatusService.checkTransition(appointment, 'rescheduled', actor);
+    if (transitionViolation) {
+      return { violation: transitionViolation };
+    }
+
+    const duration = durationMinutes || appointment.duration_minutes || 60;
+
+    if (date === appointment.appointment_date && scheduleService.timeToMinutes(time) === scheduleService.timeToMinutes(appointment.appointment_time)) {
+      return {
+        violation: {
+          status: 400,
+          error: 'Validation Error',
+          rule: 'same_slot',
+          message: 'The new date and time must differ from the current appointment'
+        }
+      };
+    }
+
+    // The original appointment still holds its slot, so exclude it when checking overlaps
+    const slotViolation = await scheduleService.validateSlot({
+      doctorId: appointment.doctor_id,
+      date,
+      time,
+      durationMinutes: duration,
+      timeZone: appointment.time_zone,
+      excludeAppointmentId: appointment.id,
+      patientId: appointment.user_id
+    });
+
+    if (slotViolation) {
+      return { violation: slotViolation };
+    }
+
+    const roomId = `room-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    const { data: replacement, error: insertError } = await supabase
+      .from('appointments')
+      .insert({
+        user_id: appointment.user_id,
+        doctor_id: appointment.doctor_id,
+        appointment_date: date,
+        appointment_time: time,
+        time_zone: appointment.time_zone,
+        duration_minutes: duration,
+        appointment_type: appointment.appointment_type,
+        status: 'scheduled',
+        notes: appointment.notes,
+        meeting_room_id: roomId,
+        session_link: appointment.appointment_type === 'Video Call' ? `/appointments/video-call?id=${roomId}` : null,
+        series_id: appointment.series_id || null,
+        series_index: appointment.series_index ?? null,
+        rescheduled_from_id: appointment.id
+      })
+      .select('*')
+      .single();
+
+    if (insertError) {
+      if (insertError.code === '23505') {
+        return {
+          violation: {
+            status: 409,
+            error: 'Appointment Conflict',
+            rule: 'overlapping_appointment',
+            message: 'This time slot is already booked for this doctor'
+          }
+        };
+      }
+      throw new Error(`Failed to book rescheduled appointment: ${insertError.message}`);
+    }
+
+    let previous;
+    try {
+      previous = await appointmentStatusService.applyTransition(appointment, 'rescheduled', actor, {
+        reason,
+        metadata: { rescheduled_to_id: replacement.id },
+        changes: { rescheduled_to_id: replacement.id, needs_reschedule: false }
+      });
+    } catch (error) {
+      // The original changed underneath us; drop the replacement so the slot is not held twice
+      await supabase.from('appointments').delete().eq('id', replacement.id);
+      throw error;
+    }
+
+    await appointmentStatusService.recordHistory(
+      [{ ...replacement, status: null }],
+      'scheduled',
+      actor,
+      { reason, metadata: { rescheduled_from_id: appointment.id } }
+    );
+
+    await this.movePayments(appointment.id, replacement.id);
+
+    await notificationService.notifyAppointmentRescheduled(previous, replacement, actor, reason);
+
+    return { appointment: replacement, previous };
+  }
+
+  /**
+   * Point payments for the original appointment at its replacement
+   */
+  async movePayments(fromAppointmentId, toAppointmentId) {
+    const { error } = await supabase
+      .from('payments')
+      .update({ appointment_id: toAppointmentId })
+      .eq('appointment_id', fromAppointmentId);
+
+    if (error) {
+      throw new Error(`Failed to move payment to rescheduled appointment: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AppointmentRescheduleService();
@@ -0,0 +1,410 @@
+const { supabase } = require('../config/supabase');
+const scheduleService = require('./scheduleService');
+const appointmentStatusService = require('./appointmentStatusService');
+const { DEFAULT_TIME_ZONE, zonedTimeToDate } = require('../lib/timezone');
+
+/**
+ * Appointment Series Service
+ * Expands RRULE-style recurrences into occurrences and books, edits or cancels them
+ */
+
+// Upper bound on occurrences booked by one series
+const MAX_OCCURRENCES = 52;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Edit/cancel scopes for an occurrence of a series
+const SCOPES = ['this', 'following', 'all'];
+
+// Occurrences a 'following' or 'all' edit or cancellation still applies to; sessions that
+// are under way or over (in_progress, completed, no_show) are history and stay untouched
+const EDITABLE_STATUSES = ['scheduled', 'confirmed'];
+
+class AppointmentSeriesService {
+  /**
+   * Parse a recurrence from either an RRULE string (FREQ=WEEKLY;INTERVAL=2;COUNT=6)
+   * or explicit fields ({ frequency, interval, count, until }).
+   * 'biweekly' is accepted as weekly with interval 2.
+   * Returns { rule } on success or { error } with a validation message.
+   */
+  parseRecurrence({ rrule, frequency, interval, count, until } = {}) {
+    let parsed = { frequency, interval, count, until };
+
+    if (rrule) {
+      parsed = {};
+      String(rrule).replace(/^RRULE:/i, '').split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        if (!key || value === undefined) return;
+        switch (key.trim().toUpperCase()) {
+          case 'FREQ': parsed.frequency = value.trim(); break;
+          case 'INTERVAL': parsed.interval = value.trim(); break;
+          case 'COUNT': parsed.count = value.trim(); break;
+          case 'UNTIL': parsed.until = value.trim(); break;
+          default: break;
+        }
+      });
+    }
+
+    let freq = String(parsed.frequency || '').toLowerCase();
+    let intervalCount = parsed.interval !== undefined ? parseInt(parsed.interval, 10) : 1;
+    if (freq === 'biweekly') {
+      freq = 'weekly';
+      intervalCount = 2;
+    }
+
+    if (!FREQUENCIES.includes(freq)) {
+      return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}, biweekly` };
+    }
+
+    if (!Number.isInteger(intervalCount) || intervalCount < 1) {
+      return { error: 'interval must be a positive integer' };
+    }
+
+    const occurrenceCount = parsed.count !== undefined ? parseInt(parsed.count, 10) : null;
+    if (occurrenceCount !== null && (!Number.isInteger(occurrenceCount) || occurrenceCount < 1 || occurrenceCount > MAX_OCCURRENCES)) {
+      return { error: `count must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+
+    // Accept UNTIL as YYYY-MM-DD or the compact RRULE form YYYYMMDD[THHMMSSZ]
+    let untilDate = parsed.until || null;
+    if (untilDate && /^\d{8}/.test(untilDate)) {
+      untilDate = `${untilDate.slice(0, 4)}-${untilDate.slice(4, 6)}-${untilDate.slice(6, 8)}`;
+    }
+    if (untilDate && scheduleService.getDayOfWeek(untilDate) === null) {
+      return { error: 'until must be a date in YYYY-MM-DD format' };
+    }
+
+    if (occurrenceCount === null && !untilDate) {
+      return { error: 'Either count or until is required' };
+    }
+
+    const rruleParts = [`FREQ=${freq.toUpperCase()}`, `INTERVAL=${intervalCount}`];
+    if (occurrenceCount !== null) rruleParts.push(`COUNT=${occurrenceCount}`);
+    if (untilDate) rruleParts.push(`UNTIL=${untilDate.replace(/-/g, '')}`);
+
+    return {
+      rule: {
+        frequency: freq,
+        interval: intervalCount,
+        count: occurrenceCount,
+        until: untilDate,
+        rrule: rruleParts.join(';')
+      }
+    };
+  }
+
+  /**
+   * Expand a parsed recurrence into occurrence dates (YYYY-MM-DD), starting at startDate
+   */
+  expandOccurrences(startDate, rule) {
+    const limit = rule.count !== null ? Math.min(rule.count, MAX_OCCURRENCES) : MAX_OCCURRENCES;
+    const [year, month, day] = startDate.split('-').map(n => parseInt(n, 10));
+    const dates = [];
+
+    for (let step = 0; dates.length < limit && step < MAX_OCCURRENCES * 4; step++) {
+      let date;
+      if (rule.frequency === 'monthly') {
+        // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+        const candidate = new Date(Date.UTC(year, month - 1 + step * rule.interval, day));
+        if (candidate.getUTCDate() !== day) continue;
+        date = candidate.toISOString().split('T')[0];
+      } else {
+        const days = rule.frequency === 'daily' ? rule.interval : rule.interval * 7;
+        date = scheduleService.addDays(startDate, step * days);
+      }
+
+      if (rule.until && date > rule.until) break;
+      dates.push(date);
+    }
+
+    return dates;
+  }
+
+  /**
+   * Validate every occurrence of a new series against schedules and conflicts, then
+   * book them in a single insert (all rows succeed or none do).
+   * With allowPartial, occurrences that fail validation are skipped instead of
+   * aborting the whole series.
+   * Returns { series, appointments, failed } where failed lists rejected occurrences.
+   */
+  async createSeries({ patientId, doctorId, startDate, time, durationMinutes = 60, appointmentType = 'Video Call', notes = null, timeZone, rule, allowPartial = false }) {
+    const dates = this.expandOccurrences(startDate, rule);
+    const failed = [];
+    const bookable = [];
+
+    for (let index = 0; index < dates.length; index++) {
+      const violation = await scheduleService.validateSlot({
+        doctorId,
+        date: dates[index],
+        time,
+        durationMinutes,
+        timeZone,
+        patientId
+      });
+
+      if (violation) {
+        failed.push({
+          occurrence_index: index,
+          appointment_date: dates[index],
+          appointment_time: time,
+          status: violation.status,
+          rule: violation.rule,
+          message: violation.message
+        });
+      } else {
+        bookable.push({ index, date: dates[index] });
+      }
+    }
+
+    if (bookable.length === 0 || (failed.length > 0 && !allowPartial)) {
+      return { series: null, appointments: [], failed, occurrences: dates.length };
+    }
+
+    const { data: series, error: seriesError } = await supabase
+      .from('appointment_series')
+      .insert({
+        user_id: patientId,
+        doctor_id: doctorId,
+        frequency: rule.frequency,
+        interval_count: rule.interval,
+        occurrence_count: rule.count,
+        until_date: rule.until,
+        rrule: rule.rrule,
+        start_date: startDate,
+        appointment_time: time,
+        duration_minutes: durationMinutes,
+        appointment_type: appointmentType,
+        time_zone: timeZone,
+        notes
+      })
+      .select()
+      .single();
+
+    if (seriesError) {
+      throw new Error(`Failed to create appointment series: ${seriesError.message}`);
+    }
+
+    const rows = bookable.map(({ index, date }) => {
+      const roomId = `room-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      return {
+        user_id: patientId,
+        doctor_id: doctorId,
+        appointment_date: date,
+        appointment_time: time,
+        time_zone: timeZone,
+        duration_minutes: durationMinutes,
+        appointment_type: appointmentType,
+        status: 'scheduled',
+        notes,
+        meeting_room_id: roomId,
+        session_link: appointmentType === 'Video Call' ? `/appointments/video-call?id=${roomId}` : null,
+        series_id: series.id,
+        series_index: index
+      };
+    });
+
+    const { data: appointments, error: insertError } = await supabase
+      .from('appointments')
+      .insert(rows)
+      .select('*');
+
+    if (insertError) {
+      // Nothing was booked; remove the empty series so it does not linger
+      await supabase.from('appointment_series').delete().eq('id', series.id);
+
+      const error = new Error(insertError.code === '23505'
+        ? 'One or more occurrences were booked by someone else. Please try again.'
+        : `Failed to book appointment series: ${insertError.message}`);
+      error.status = insertError.code === '23505' ? 409 : 500;
+      throw error;
+    }
+
+    await appointmentStatusService.recordHistory(
+      (appointments || []).map(created => ({ ...created, status: null })),
+      'scheduled',
+      { id: patientId, role: 'patient' },
+      { metadata: { series_id: series.id } }
+    );
+
+    return { series, appointments: appointments || [], failed, occurrences: dates.length };
+  }
+
+  /**
+   * Get a series with its occurrences ordered by position
+   */
+  async getSeries(seriesId) {
+    const { data: series, error } = await supabase
+      .from('appointment_series')
+      .select('*')
+      .eq('id', seriesId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch appointment series: ${error.message}`);
+    }
+
+    if (!series) {
+      return null;
+    }
+
+    const { data: appointments, error: appointmentsError } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq('series_id', seriesId)
+      .order('series_index', { ascending: true });
+
+    if (appointmentsError) {
+      throw new Error(`Failed to fetch series appointments: ${appointmentsError.message}`);
+    }
+
+    return { ...series, appointments: appointments || [] };
+  }
+
+  /**
+   * Whether an occurrence can still be edited or cancelled through its series:
+   * it is scheduled or confirmed and has not started yet
+   */
+  isEditableOccurrence(occurrence, now = Date.now()) {
+    return EDITABLE_STATUSES.includes(occurrence.status) && zonedTimeToDate(
+      occurrence.appointment_date,
+      occurrence.appointment_time,
+      occurrence.time_zone || DEFAULT_TIME_ZONE
+    ).getTime() > now;
+  }
+
+  /**
+   * Resolve which occurrences of a series an edit or cancellation applies to:
+   * 'this' = the given occurrence, 'following' = it and later ones, 'all' = the whole series.
+   * Only upcoming scheduled/confirmed occurrences are included, so 'this' resolves to
+   * nothing when the given occurrence is no longer editable.
+   */
+  async getScopedOccurrences(appointment, scope) {
+    if (scope === 'this') {
+      return this.isEditableOccurrence(appointment) ? [appointment] : [];
+    }
+
+    let query = supabase
+      .from('appointments')
+      .select('*')
+      .eq('series_id', appointment.series_id)
+      .in('status', EDITABLE_STATUSES)
+      .order('series_index', { ascending: true });
+
+    if (scope === 'following') {
+      query = query.gte('series_index', appointment.series_index);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch series appointments: ${error.message}`);
+    }
+
+    const now = Date.now();
+    return (data || []).filter(occurrence => this.isEditableOccurrence(occurrence, now));
+  }
+
+  /**
+   * Apply changes (appointment_time, duration_minutes, appointment_type, notes) to
+   * the occurrences in scope. Time changes are validated for every occurrence first;
+   * if any fails, nothing is updated.
+   * Returns { appointments, failed }.
+   */
+  async updateOccurrences(appointment, scope, changes) {
+    const targets = await this.getScopedOccurrences(appointment, scope);
+    const failed = [];
+
+    if (changes.appointment_time !== undefined || changes.duration_minutes !== undefined) {
+      for (const target of targets) {
+        const violation = await scheduleService.validateSlot({
+          doctorId: target.doctor_id,
+          date: target.appointment_date,
+          time: changes.appointment_time !== undefined ? changes.appointment_time : target.appointment_time,
+          durationMinutes: changes.duration_minutes !== undefined ? changes.duration_minutes : target.duration_minutes,
+          timeZone: target.time_zone,
+          excludeAppointmentId: target.id,
+          patientId: target.user_id
+        });
+
+        if (violation) {
+          failed.push({
+            appointment_id: target.id,
+            occurrence_index: target.series_index,
+            appointment_date: target.appointment_date,
+            status: violation.status,
+            rule: violation.rule,
+            message: violation.message
+          });
+        }
+      }
+    }
+
+    if (failed.length > 0 || targets.length === 0) {
+      return { appointments: [], failed };
+    }
+
+    const { data, error } = await supabase
+      .from('appointments')
+      .update(changes)
+      .in('id', targets.map(target => target.id))
+      .select('*');
+
+    if (error) {
+      throw new Error(`Failed to update series appointments: ${error.message}`);
+    }
+
+    if (scope === 'all') {
+      await supabase.from('appointment_series').update(changes).eq('id', appointment.series_id);
+    }
+
+    return { appointments: data || [], failed };
+  }
+
+  /**
+   * Cancel the occurrences in scope on behalf of actor. Past and finished occurrences are
+   * not in scope; each remaining one goes through the status state machine and ones it
+   * refuses are reported in failed. Cancelling the whole series also marks the series
+   * cancelled; cancelling "this and following" ends the series early.
+   * Returns { cancelled, failed }.
+   */
+  async cancelOccurrences(appointment, scope, actor, reason = null) {
+    const targets = await this.getScopedOccurrences(appointment, scope);
+    const cancelled = [];
+    const failed = [];
+
+    for (const target of targets) {
+      const violation = appointmentStatusService.checkTransition(target, 'cancelled', actor);
+
+      if (violation) {
+        failed.push({
+          appointment_id: target.id,
+          occurrence_index: target.series_index,
+          appointment_date: target.appointment_date,
+          status: violation.status,
+          message: violation.message
+        });
+        continue;
+      }
+
+      cancelled.push(await appointmentStatusService.applyTransition(target, 'cancelled', actor, {
+        reason,
+        metadata: { series_id: appointment.series_id, scope }
+      }));
+    }
+
+    if (scope === 'all') {
+      await supabase.from('appointment_series').update({ status: 'cancelled' }).eq('id', appointment.series_id);
+    } else if (scope === 'following') {
+      await supabase
+        .from('appointment_series')
+        .update({ until_date: scheduleService.addDays(appointment.appointment_date, -1) })
+        .eq('id', appointment.series_id);
+    }
+
+    return { cancelled, failed };
+  }
+}
+
+module.exports = new AppointmentSeriesService();
+module.exports.SCOPES = SCOPES;
+module.exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
@@ -0,0 +1,241 @@
+const { supabase } = require('../config/supabase');
+const cancellationPolicyService = require('./cancellationPolicyService');
+
+/**
+ * Appointment Status Service
+ * State machine for appointment statuses with role-based transition rules and history
+ *
+ *   scheduled -> confirmed -> in_progress -> completed
+ *   scheduled/confirmed -> cancelled | rescheduled | no_show
+ */
+
+const STATUSES = ['scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'];
+
+// Allowed next statuses for each status; terminal statuses have none
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'in_progress', 'cancelled', 'rescheduled', 'no_show'],
+  confirmed: ['in_progress', 'cancelled', 'rescheduled', 'no_show'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+  rescheduled: []
+};
+
+// Roles allowed to move an appointment into each status
+const TRANSITION_ROLES = {
+  confirmed: ['doctor', 'admin'],
+  in_progress: ['doctor', 'admin', 'system'],
+  completed: ['doctor', 'admin', 'system'],
+  cancelled: ['patient', 'doctor', 'admin', 'system'],
+  rescheduled: ['patient', 'doctor', 'admin'],
+  no_show: ['doctor', 'admin', 'system']
+};
+
+// Actor used for automated changes (jobs, socket events)
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+class AppointmentStatusService {
+  /**
+   * Normalize a status string (case-insensitive)
+   */
+  normalize(status) {
+    return String(status || '').trim().toLowerCase();
+  }
+
+  /**
+   * Resolve the role an actor plays for an appointment: patient, doctor, admin or system
+   */
+  getActorRole(appointment, actor) {
+    if (!actor) return null;
+    if (actor.role === 'system') return 'system';
+    if (actor.role === 'admin') return 'admin';
+    if (appointment.doctor_id === actor.id) return 'doctor';
+    if (appointment.user_id === actor.id) return 'patient';
+    return null;
+  }
+
+  /**
+   * Statuses the actor may move this appointment into
+   */
+  getAllowedTransitions(appointment, actor) {
+    const role = this.getActorRole(appointment, actor);
+    const from = this.normalize(appointment.status) || 'scheduled';
+
+    return (TRANSITIONS[from] || []).filter(to => (TRANSITION_ROLES[to] || []).includes(role));
+  }
+
+  /**
+   * Check whether the actor may move the appointment into toStatus.
+   * Returns null when allowed, otherwise a violation object
+   * ({ status, error, message, details }) suitable for an API response.
+   */
+  checkTransition(appointment, toStatus, actor) {
+    const from = this.normalize(appointment.status) || 'scheduled';
+    const to = this.normalize(toStatus);
+
+    if (!STATUSES.includes(to)) {
+      return {
+        status: 400,
+        error: 'Validation Error',
+        message: `status must be one of: ${STATUSES.join(', ')}`,
+        details: { requested_status: toStatus }
+      };
+    }
+
+    if (!(TRANSITIONS[from] || []).includes(to)) {
+      return {
+        status: 409,
+        error: 'Invalid Status Transition',
+        message: `Cannot change appointment status from '${from}' to '${to}'`,
+        details: { from_status: from, to_status: to, allowed_transitions: TRANSITIONS[from] || [] }
+      };
+    }
+
+    const role = this.getActorRole(appointment, actor);
+    if (!(TRANSITION_ROLES[to] || []).includes(role)) {
+      return {
+        status: 403,
+        error: 'Forbidden',
+        message: `You are not allowed to change this appointment to '${to}'`,
+        details: { from_status: from, to_status: to, role }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a transition that passed checkTransition and record it in the history.
+   * The update only succeeds if the status has not changed since the appointment was read.
+   * Cancellations and no-shows also settle the appointment's payments under the
+   * cancellation policy; the outcome is attached as appointment.cancellation.
+   * Slots freed by a cancellation or reschedule are offered to the waitlist.
+   * noShowParty ('patient', 'doctor' or 'both') says who missed a no-show session.
+   * Returns the updated appointment.
+   */
+  async applyTransition(appointment, toStatus, actor, { reason = null, metadata = null, changes = {}, noShowParty = 'patient' } = {}) {
+    const from = this.normalize(appointment.status) || 'scheduled';
+    const to = this.normalize(toStatus);
+
+    const { data: updated, error } = await supabase
+      .from('appointments')
+      .update({ ...changes, status: to })
+      .eq('id', appointment.id)
+      .eq('status', appointment.status)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update appointment status: ${error.message}`);
+    }
+
+    if (!updated) {
+      const conflictError = new Error('The appointment status was changed by someone else. Please reload and try again.');
+      conflictError.status = 409;
+      throw conflictError;
+    }
+
+    await this.recordHistory([{ ...appointment, status: from }], to, actor, { reason, metadata });
+
+    if (to === 'cancelled' || to === 'no_show') {
+      try {
+        updated.cancellation = await cancellationPolicyService.settleAppointment(updated, {
+          outcome: to,
+          actorRole: this.getActorRole(appointment, actor) || 'system',
+          noShowParty
+        });
+      } catch (error) {
+        // The appointment is already cancelled; surface the payment problem without undoing it
+        console.error('Error applying cancellation policy:', error);
+        updated.cancellation = { error: error.message };
+      }
+    }
+
+    // A cancelled or rescheduled appointment frees its slot for the waitlist
+    if (to === 'cancelled' || to === 'rescheduled') {
+      try {
+        // Required lazily: the waitlist service records history through this service
+        const waitlistService = require('./waitlistService');
+        await waitlistService.offerSlot({
+          doctorId: updated.doctor_id,
+          date: updated.appointment_date,
+          time: updated.appointment_time,
+          durationMinutes: updated.duration_minutes || 60,
+          timeZone: updated.time_zone,
+          sourceAppointmentId: updated.id
+        });
+      } catch (error) {
+        console.error('Error offering freed slot to waitlist:', error);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record status changes in the history table. Pass appointments with their
+   * previous status (or status null for newly created appointments).
+   * History is an audit trail: failures are logged rather than thrown, since the
+   * status change itself has already been saved.
+   */
+  async recordHistory(appointments, toStatus, actor, { reason = null, metadata = null } = {}) {
+    if (!appointments || appointments.length === 0) return;
+
+    const rows = appointments.map(appointment => ({
+      appointment_id: appointment.id,
+      from_status: appointment.status ? this.normalize(appointment.status) : null,
+      to_status: this.normalize(toStatus),
+      changed_by: actor?.id || null,
+      changed_by_role: this.getActorRole(appointment, actor) || 'system',
+      reason,
+      metadata
+    }));
+
+    const { error } = await supabase
+      .from('appointment_status_history')
+      .insert(rows);
+
+    if (error) {
+      console.error('Error recording appointment status history:', error);
+    }
+  }
+
+  /**
+   * Check and apply a transition in one step, throwing an error with .status on rejection
+   */
+  async transition(appointment, toStatus, actor, options = {}) {
+    const violation = this.checkTransition(appointment, toStatus, actor);
+
+    if (violation) {
+      const error = new Error(violation.message);
+      error.status = violation.status;
+      error.details = violation.details;
+      throw error;
+    }
+
+    return this.applyTransition(appointment, toStatus, actor, options);
+  }
+
+  /**
+   * Get the status history of an appointment, oldest first
+   */
+  async getHistory(appointmentId) {
+    const { data, error } = await supabase
+      .from('appointment_status_history')
+      .select('*')
+      .eq('appointment_id', appointmentId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch appointment status history: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new AppointmentStatusService();
+module.exports.STATUSES = STATUSES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.SYSTEM_ACTOR = SYSTEM_ACTOR;
@@ -0,0 +1,57 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Audit Service
+ * Records security-relevant events (such as denied access to patient data) in audit_logs
+ */
+
+class AuditService {
+  /**
+   * Record an audit entry.
+   * Auditing must never break the request it describes, so failures are logged rather than thrown.
+   */
+  async record({ userId = null, role = null, action, resourceType = null, resourceId = null, outcome = 'denied', reason = null, ipAddress = null, userAgent = null, metadata = null }) {
+    try {
+      const { error } = await supabase
+        .from('audit_logs')
+        .insert({
+          user_id: userId,
+          user_role: role,
+          action,
+          resource_type: resourceType,
+          resource_id: resourceId !== null ? String(resourceId) : null,
+          outcome,
+          reason,
+          ip_address: ipAddress,
+          user_agent: userAgent,
+          metadata
+        });
+
+      if (error) {
+        console.error('Error writing audit log:', error);
+      }
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  }
+
+  /**
+   * Record a denied request, taking the actor and client details from the request
+   */
+  async logAccessDenied(req, { action, resourceType, resourceId, reason, metadata }) {
+    await this.record({
+      userId: req.user?.id || null,
+      role: req.user?.role || null,
+      action,
+      resourceType,
+      resourceId,
+      outcome: 'denied',
+      reason,
+      ipAddress: req.ip || null,
+      userAgent: req.get ? req.get('user-agent') || null : null,
+      metadata: { method: req.method, path: req.originalUrl, ...(metadata || {}) }
+    });
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,145 @@
+const { supabase } = require('../config/supabase');
+const settingsService = require('./settingsService');
+const paymentService = require('./paymentService');
+const { zonedTimeToDate } = require('../lib/timezone');
+
+/**
+ * Cancellation Policy Service
+ * Applies the clinic's cancellation policy (global setting appointment_booking.cancellation_policy)
+ * to an appointment's payments when it is cancelled or marked as a no-show
+ */
+
+// Used for any policy field the clinic has not configured
+const DEFAULT_POLICY = {
+  free_cancel_window_hours: 24, // patient cancellations at least this long before the start are free
+  late_cancel_fee_percent: 50, // kept from the payment when the patient cancels inside the window
+  no_show_fee_percent: 100 // kept from the payment when the patient does not show up
+};
+
+// Payment statuses that still hold the patient's money or a pending charge
+const SETTLEABLE_PAYMENT_STATUSES = ['pending', 'processing', 'completed'];
+
+class CancellationPolicyService {
+  /**
+   * Validate a cancellation policy value. Returns an error message or null.
+   */
+  validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return 'cancellation_policy must be an object';
+    }
+
+    const window = policy.free_cancel_window_hours;
+    if (window !== undefined && (typeof window !== 'number' || window < 0)) {
+      return 'free_cancel_window_hours must be a non-negative number';
+    }
+
+    for (const field of ['late_cancel_fee_percent', 'no_show_fee_percent']) {
+      const value = policy[field];
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+        return `${field} must be a number between 0 and 100`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the configured policy merged over the defaults
+   */
+  async getPolicy() {
+    const configured = await settingsService.getGlobalSetting('appointment_booking', 'cancellation_policy', {});
+    return { ...DEFAULT_POLICY, ...(configured && typeof configured === 'object' ? configured : {}) };
+  }
+
+  /**
+   * Start of an appointment as a Date
+   */
+  getStartInstant(appointment) {
+    if (appointment.starts_at) {
+      return new Date(appointment.starts_at);
+    }
+    return zonedTimeToDate(appointment.appointment_date, appointment.appointment_time, appointment.time_zone || undefined);
+  }
+
+  /**
+   * Work out the fee for an appointment outcome.
+   * outcome is 'cancelled' or 'no_show'; actorRole is who cancelled (patient, doctor, admin, system);
+   * noShowParty is who missed the session (patient, doctor or both).
+   * Returns { fee_percent, rule, hours_before_start }.
+   */
+  computeFee(appointment, policy, { outcome, actorRole = 'patient', noShowParty = 'patient', at = new Date() }) {
+    const hoursBeforeStart = (this.getStartInstant(appointment).getTime() - at.getTime()) / 3600000;
+
+    if (outcome === 'no_show') {
+      // Only a patient who missed a session the doctor attended pays the no-show fee
+      return noShowParty === 'patient'
+        ? { fee_percent: policy.no_show_fee_percent, rule: 'patient_no_show', hours_before_start: hoursBeforeStart }
+        : { fee_percent: 0, rule: `${noShowParty}_no_show`, hours_before_start: hoursBeforeStart };
+    }
+
+    // Cancellations by the doctor or the clinic are always refunded in full
+    if (actorRole !== 'patient') {
+      return { fee_percent: 0, rule: 'cancelled_by_provider', hours_before_start: hoursBeforeStart };
+    }
+
+    if (hoursBeforeStart >= policy.free_cancel_window_hours) {
+      return { fee_percent: 0, rule: 'free_cancellation', hours_before_start: hoursBeforeStart };
+    }
+
+    return { fee_percent: policy.late_cancel_fee_percent, rule: 'late_cancellation', hours_before_start: hoursBeforeStart };
+  }
+
+  /**
+   * Apply the policy to every open payment of an appointment: pending payments are
+   * cancelled and completed payments are refunded minus the fee.
+   * Returns { rule, fee_percent, payments: [{ payment_id, action, refund_amount, fee_amount }] }.
+   */
+  async settleAppointment(appointment, options) {
+    const policy = await this.getPolicy();
+    const fee = this.computeFee(appointment, policy, options);
+
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('appointment_id', appointment.id)
+      .in('payment_status', SETTLEABLE_PAYMENT_STATUSES);
+
+    if (error) {
+      throw new Error(`Failed to fetch appointment payments: ${error.message}`);
+    }
+
+    const reason = `Appointment ${options.outcome === 'no_show' ? 'no-show' : 'cancelled'} (${fee.rule.replace(/_/g, ' ')})`;
+    const settled = [];
+
+    for (const payment of payments || []) {
+      if (payment.payment_status !== 'completed') {
+        await paymentService.cancelPayment(payment.id, reason);
+        settled.push({ payment_id: payment.id, action: 'cancelled', refund_amount: 0, fee_amount: 0 });
+        continue;
+      }
+
+      const amount = parseFloat(payment.amount);
+      const feeAmount = Math.round(amount * fee.fee_percent) / 100;
+      const refundAmount = Math.round((amount - feeAmount) * 100) / 100;
+
+      if (refundAmount <= 0) {
+        // The whole payment is kept as the fee
+        settled.push({ payment_id: payment.id, action: 'retained', refund_amount: 0, fee_amount: amount });
+        continue;
+      }
+
+      await paymentService.cancelPayment(payment.id, reason, { refund_amount: refundAmount });
+      settled.push({
+        payment_id: payment.id,
+        action: refundAmount < amount ? 'partially_refunded' : 'refunded',
+        refund_amount: refundAmount,
+        fee_amount: feeAmount
+      });
+    }
+
+    return { rule: fee.rule, fee_percent: fee.fee_percent, payments: settled };
+  }
+}
+
+module.exports = new CancellationPolicyService();
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
@@ -0,0 +1,244 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Doctor Profile Service
+ * A doctor is a user with role='doctor'; their professional details live in doctor_profiles
+ * (keyed by the user ID). This service reads and writes both and returns the combined doctor
+ * shape the API has always exposed, with `id` being the user ID used for bookings.
+ */
+
+// Doctor IDs (user IDs and legacy doctors IDs) are UUIDs
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns stored on doctor_profiles (everything else about a doctor is on users)
+const PROFILE_FIELDS = [
+  'specialization',
+  'license_number',
+  'qualifications',
+  'bio',
+  'years_of_experience',
+  'consultation_fee',
+  'profile_image_url',
+  'mental_health_specialties',
+  'is_verified'
+];
+
+// Profile columns set only through credential review (see doctorVerificationService), shown read-only
+const VERIFICATION_FIELDS = ['verification_status', 'verified_at', 'prc_license_expires_on'];
+
+// Doctor fields stored on users, by API name
+const USER_FIELDS = {
+  full_name: 'full_name',
+  phone_number: 'contact_number',
+  is_active: 'is_active'
+};
+
+// User columns included in doctor responses (no secrets)
+const DOCTOR_SELECT = 'id, full_name, email_address, contact_number, role, is_active, time_zone, created_at, updated_at, ' +
+  'doctor_profile:doctor_profiles!inner(*)';
+
+class DoctorProfileService {
+  /**
+   * Combine a users row (with its embedded doctor_profile) into the doctor shape
+   */
+  toDoctor(user) {
+    if (!user) return null;
+
+    const { doctor_profile: embedded, contact_number, ...account } = user;
+    const profile = (Array.isArray(embedded) ? embedded[0] : embedded) || {};
+
+    return {
+      ...account,
+      user_id: account.id,
+      phone_number: contact_number || null,
+      ...PROFILE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: profile[field] ?? null }), {}),
+      mental_health_specialties: profile.mental_health_specialties || [],
+      is_verified: profile.is_verified === true,
+      ...VERIFICATION_FIELDS.reduce((fields, field) => ({ ...fields, [field]: profile[field] ?? null }), {}),
+      legacy_doctor_id: profile.legacy_doctor_id || null
+    };
+  }
+
+  /**
+   * List doctors.
+   * Filters: specialization (partial match), mentalHealthSpecialty, isActive, isVerified.
+   */
+  async listDoctors({ specialization, mentalHealthSpecialty, isActive, isVerified, orderBy = 'full_name' } = {}) {
+    let query = supabase
+      .from('users')
+      .select(DOCTOR_SELECT)
+      .eq('role', 'doctor')
+      .order(orderBy, { ascending: orderBy === 'full_name' });
+
+    if (specialization) query = query.ilike('doctor_profile.specialization', `%${specialization}%`);
+    if (mentalHealthSpecialty) query = query.contains('doctor_profile.mental_health_specialties', [mentalHealthSpecialty]);
+    if (isActive !== undefined) query = query.eq('is_active', isActive);
+    if (isVerified !== undefined) query = query.eq('doctor_profile.is_verified', isVerified);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch doctors: ${error.message}`);
+    }
+
+    return (data || []).map(user => this.toDoctor(user));
+  }
+
+  /**
+   * Find a doctor by user ID, or by the ID of the doctors row it was migrated from.
+   * Returns null when not found, including for IDs that are not UUIDs.
+   */
+  async getDoctor(id) {
+    if (typeof id !== 'string' || !UUID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .select(DOCTOR_SELECT)
+      .eq('role', 'doctor')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch doctor: ${error.message}`);
+    }
+
+    if (data) {
+      return this.toDoctor(data);
+    }
+
+    const { data: legacy, error: legacyError } = await supabase
+      .from('doctor_profiles')
+      .select('user_id')
+      .eq('legacy_doctor_id', id)
+      .maybeSingle();
+
+    if (legacyError) {
+      throw new Error(`Failed to fetch doctor: ${legacyError.message}`);
+    }
+
+    return legacy ? this.getDoctor(legacy.user_id) : null;
+  }
+
+  /**
+   * Find a doctor's consultation fee (null if not set)
+   */
+  async getConsultationFee(doctorId) {
+    const { data, error } = await supabase
+      .from('doctor_profiles')
+      .select('consultation_fee')
+      .eq('user_id', doctorId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch consultation fee: ${error.message}`);
+    }
+
+    return data && data.consultation_fee !== null ? Number(data.consultation_fee) : null;
+  }
+
+  /**
+   * Check whether a doctor's credentials have been approved (false for unknown doctors)
+   */
+  async isVerified(doctorId) {
+    const { data, error } = await supabase
+      .from('doctor_profiles')
+      .select('is_verified')
+      .eq('user_id', doctorId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to check doctor verification: ${error.message}`);
+    }
+
+    return !!data && data.is_verified === true;
+  }
+
+  /**
+   * Check whether a license number is already used by another doctor
+   */
+  async isLicenseTaken(licenseNumber, exceptUserId = null) {
+    let query = supabase
+      .from('doctor_profiles')
+      .select('user_id')
+      .eq('license_number', licenseNumber);
+
+    if (exceptUserId) {
+      query = query.neq('user_id', exceptUserId);
+    }
+
+    const { data, error } = await query.limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check license number: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Create the profile of a new doctor user
+   */
+  async createProfile(userId, fields = {}) {
+    const { error } = await supabase
+      .from('doctor_profiles')
+      .insert({ user_id: userId, ...this.pickProfileFields(fields) });
+
+    if (error) {
+      throw new Error(`Failed to create doctor profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make sure a doctor user has a profile (e.g. after an admin changes a role to doctor)
+   */
+  async ensureProfile(userId) {
+    const { error } = await supabase
+      .from('doctor_profiles')
+      .upsert({ user_id: userId }, { onConflict: 'user_id', ignoreDuplicates: true });
+
+    if (error) {
+      throw new Error(`Failed to create doctor profile: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a doctor; fields may mix profile fields and the user fields in USER_FIELDS.
+   * Returns the updated doctor.
+   */
+  async updateDoctor(userId, fields) {
+    const userUpdate = Object.entries(USER_FIELDS).reduce((update, [apiField, column]) => (
+      fields[apiField] !== undefined ? { ...update, [column]: fields[apiField] } : update
+    ), {});
+    const profileUpdate = this.pickProfileFields(fields);
+
+    if (Object.keys(userUpdate).length) {
+      const { error } = await supabase.from('users').update(userUpdate).eq('id', userId);
+      if (error) {
+        throw new Error(`Failed to update doctor: ${error.message}`);
+      }
+    }
+
+    if (Object.keys(profileUpdate).length) {
+      const { error } = await supabase.from('doctor_profiles').update(profileUpdate).eq('user_id', userId);
+      if (error) {
+        throw new Error(`Failed to update doctor profile: ${error.message}`);
+      }
+    }
+
+    return this.getDoctor(userId);
+  }
+
+  /**
+   * Keep only the defined doctor_profiles fields of an object
+   */
+  pickProfileFields(fields) {
+    return PROFILE_FIELDS.reduce((picked, field) => (
+      fields[field] !== undefined ? { ...picked, [field]: fields[field] } : picked
+    ), {});
+  }
+}
+
+module.exports = new DoctorProfileService();
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
@@ -0,0 +1,240 @@
+const { supabase } = require('../config/supabase');
+const doctorProfileService = require('./doctorProfileService');
+const notificationService = require('./notificationService');
+
+/**
+ * Doctor Verification Service
+ * Doctors submit their PRC license details and document references; an admin approves or
+ * rejects each submission. Approval is the only way doctor_profiles.is_verified becomes true,
+ * and every change of a doctor's verification status is kept in doctor_verification_history.
+ *
+ *   unverified/rejected -> pending (doctor submits) -> verified | rejected (admin decides)
+ */
+
+// Verification status of a doctor (doctor_profiles.verification_status)
+const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+
+// Status of a single submission (doctor_verification_requests.status)
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Admin decisions and the request status each one leads to
+const DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+// Columns returned for a request, with the doctor and reviewer names for the review queue
+const REQUEST_SELECT = '*, doctor:users!doctor_verification_requests_doctor_id_fkey(id, full_name, email_address), ' +
+  'reviewer:users!doctor_verification_requests_reviewed_by_fkey(id, full_name)';
+
+// Helper function to build an error carrying an HTTP status for the controller
+const statusError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class DoctorVerificationService {
+  /**
+   * Get a request by ID (null if not found)
+   */
+  async getRequest(requestId) {
+    const { data, error } = await supabase
+      .from('doctor_verification_requests')
+      .select(REQUEST_SELECT)
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch verification request: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List requests for the admin review queue, oldest submission first.
+   * Filters: status, doctorId.
+   */
+  async listRequests({ status, doctorId } = {}) {
+    let query = supabase
+      .from('doctor_verification_requests')
+      .select(REQUEST_SELECT)
+      .order('submitted_at', { ascending: true });
+
+    if (status) query = query.eq('status', status);
+    if (doctorId) query = query.eq('doctor_id', doctorId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch verification requests: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Submit a doctor's credentials for review.
+   * Throws an error with .status 409 if the doctor is already verified, already has a pending
+   * request, or the license number belongs to another doctor.
+   */
+  async submit(doctor, fields, actor) {
+    if (doctor.verification_status === 'verified') {
+      throw statusError(409, 'This doctor is already verified');
+    }
+
+    if (await doctorProfileService.isLicenseTaken(fields.license_number, doctor.id)) {
+      throw statusError(409, 'This license number is registered to another doctor');
+    }
+
+    const { data: request, error } = await supabase
+      .from('doctor_verification_requests')
+      .insert({
+        doctor_id: doctor.id,
+        license_number: fields.license_number,
+        prc_profession: fields.prc_profession,
+        prc_registration_date: fields.prc_registration_date || null,
+        prc_expiry_date: fields.prc_expiry_date,
+        documents: fields.documents,
+        status: 'pending'
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      // The partial unique index allows one pending request per doctor
+      if (error.code === '23505') {
+        throw statusError(409, 'A verification request is already awaiting review');
+      }
+      throw new Error(`Failed to submit verification request: ${error.message}`);
+    }
+
+    await this.setDoctorStatus(doctor.id, { verification_status: 'pending' });
+    await this.recordHistory(doctor.id, request.id, doctor.verification_status, 'pending', actor);
+
+    return request;
+  }
+
+  /**
+   * Approve or reject a pending request. decision is 'approve' or 'reject'; comments are
+   * required when rejecting. Marks the doctor verified (or rejected), records history and
+   * notifies the doctor. Returns the updated request.
+   */
+  async review(requestId, reviewer, { decision, comments = null }) {
+    const requestStatus = DECISIONS[decision];
+    if (!requestStatus) {
+      throw statusError(400, `decision must be one of: ${Object.keys(DECISIONS).join(', ')}`);
+    }
+
+    const request = await this.getRequest(requestId);
+    if (!request) {
+      throw statusError(404, 'Verification request not found');
+    }
+    if (request.status !== 'pending') {
+      throw statusError(409, `This request has already been ${request.status}`);
+    }
+
+    const approved = requestStatus === 'approved';
+    if (approved && await doctorProfileService.isLicenseTaken(request.license_number, request.doctor_id)) {
+      throw statusError(409, 'This license number is registered to another doctor');
+    }
+
+    // Only a still-pending request is updated, so two admins cannot both decide it
+    const { data: reviewed, error } = await supabase
+      .from('doctor_verification_requests')
+      .update({
+        status: requestStatus,
+        reviewed_by: reviewer.id,
+        reviewed_at: new Date().toISOString(),
+        review_comments: comments
+      })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to review verification request: ${error.message}`);
+    }
+    if (!reviewed) {
+      throw statusError(409, 'This request has already been reviewed');
+    }
+
+    const toStatus = approved ? 'verified' : 'rejected';
+    await this.setDoctorStatus(request.doctor_id, approved
+      ? {
+          verification_status: 'verified',
+          is_verified: true,
+          license_number: request.license_number,
+          prc_license_expires_on: request.prc_expiry_date,
+          verified_at: reviewed.reviewed_at,
+          verified_by: reviewer.id
+        }
+      : { verification_status: 'rejected', is_verified: false });
+
+    // Submitting moved the doctor to pending, so a decision always starts from there
+    await this.recordHistory(request.doctor_id, request.id, 'pending', toStatus, reviewer, comments);
+    await notificationService.notifyDoctorVerificationDecision(reviewed);
+
+    return reviewed;
+  }
+
+  /**
+   * Update the verification columns of a doctor's profile
+   */
+  async setDoctorStatus(doctorId, update) {
+    const { error } = await supabase
+      .from('doctor_profiles')
+      .update(update)
+      .eq('user_id', doctorId);
+
+    if (error) {
+      throw new Error(`Failed to update doctor verification status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a verification status change. Failures are logged, not thrown: the
+   * change itself has already been saved.
+   */
+  async recordHistory(doctorId, requestId, fromStatus, toStatus, actor, comments = null) {
+    const { error } = await supabase
+      .from('doctor_verification_history')
+      .insert({
+        doctor_id: doctorId,
+        request_id: requestId,
+        from_status: fromStatus || 'unverified',
+        to_status: toStatus,
+        changed_by: actor?.id || null,
+        changed_by_role: actor?.role || 'system',
+        comments
+      });
+
+    if (error) {
+      console.error('Error recording doctor verification history:', error);
+    }
+  }
+
+  /**
+   * Get the verification history of a doctor, oldest first
+   */
+  async getHistory(doctorId) {
+    const { data, error } = await supabase
+      .from('doctor_verification_history')
+      .select('*')
+      .eq('doctor_id', doctorId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch doctor verification history: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new DoctorVerificationService();
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+module.exports.REQUEST_STATUSES = REQUEST_STATUSES;
+module.exports.DECISIONS = DECISIONS;
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const path = require('path');
+const { supabase } = require('../config/supabase');
+const fileStorageService = require('./fileStorageService');
+
+/**
+ * File Service
+ * Validates, scans and records uploaded files, and hands out signed, time-limited download
+ * links for them. Contents are kept by fileStorageService; metadata is in the files table.
+ *
+ * Virus scanning is a hook: register a scanner with setScanner(). A scanner is any object
+ * with an async scan({ buffer, mimeType, originalName }) method resolving to
+ * { clean, details }. Without one, files are stored with scan_status 'skipped', unless
+ * FILE_SCAN_REQUIRED=true, in which case uploads are refused until a scanner is set.
+ */
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const DOCUMENT_TYPES = ['application/pdf', ...IMAGE_TYPES];
+
+// What can be uploaded for each purpose. appointment: 'required' or 'optional' when the
+// file can belong to an appointment; public files (avatars) can be downloaded without a signature.
+const PURPOSES = {
+  avatar: { maxBytes: 2 * MB, mimeTypes: IMAGE_TYPES, public: true },
+  license_document: { maxBytes: 10 * MB, mimeTypes: DOCUMENT_TYPES },
+  intake_form: { maxBytes: 10 * MB, mimeTypes: DOCUMENT_TYPES, appointment: 'required' },
+  receipt: { maxBytes: 5 * MB, mimeTypes: DOCUMENT_TYPES, appointment: 'optional' }
+};
+
+// Largest upload accepted for any purpose (the multipart parser stops reading after this)
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(PURPOSES).map(rule => rule.maxBytes));
+
+// How long a signed download link stays valid
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 5 * 60;
+
+// Key used to sign download links
+const SIGNING_KEY = process.env.FILE_URL_SIGNING_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// File signatures ("magic numbers") of the accepted types
+const SIGNATURES = [
+  { mimeType: 'application/pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  {
+    mimeType: 'image/webp',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+// Columns returned to clients (storage details stay internal)
+const FILE_COLUMNS = 'id, owner_id, appointment_id, purpose, original_name, mime_type, size_bytes, checksum_sha256, scan_status, created_at';
+
+class FileService {
+  constructor() {
+    this.scanner = null;
+  }
+
+  /**
+   * Register the virus scanner (e.g. a ClamAV or cloud scanning client)
+   */
+  setScanner(scanner) {
+    if (!scanner || typeof scanner.scan !== 'function') {
+      throw new Error('A file scanner must have a scan({ buffer, mimeType, originalName }) method');
+    }
+    this.scanner = scanner;
+  }
+
+  /**
+   * Work out a file's type from its first bytes (null if it is not an accepted type)
+   */
+  detectMimeType(buffer) {
+    const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+    return signature ? signature.mimeType : null;
+  }
+
+  /**
+   * Check an uploaded file (from multer) against the rules of its purpose.
+   * Returns null when it is acceptable, otherwise { status, message }.
+   */
+  checkUpload(file, purpose, appointmentId) {
+    const rule = PURPOSES[purpose];
+    if (!rule) {
+      return { status: 400, message: `purpose must be one of: ${Object.keys(PURPOSES).join(', ')}` };
+    }
+
+    if (!file || !file.buffer || file.size === 0) {
+      return { status: 400, message: 'A non-empty file is required in the "file" field' };
+    }
+
+    if (rule.appointment === 'required' && !appointmentId) {
+      return { status: 400, message: `appointment_id is required for ${purpose} files` };
+    }
+    if (!rule.appointment && appointmentId) {
+      return { status: 400, message: `${purpose} files cannot be attached to an appointment` };
+    }
+
+    if (file.size > rule.maxBytes) {
+      return { status: 413, message: `${purpose} files can be at most ${rule.maxBytes / MB} MB` };
+    }
+
+    // The declared type must be allowed and must match what the content actually is
+    const detected = this.detectMimeType(file.buffer);
+    if (!rule.mimeTypes.includes(file.mimetype) || detected !== file.mimetype) {
+      return { status: 415, message: `${purpose} files must be one of: ${rule.mimeTypes.join(', ')}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the virus scanner. Resolves to { scanStatus, details }; throws an error with .status
+   * 422 for an infected file and 503 when the file cannot be scanned.
+   */
+  async scan(file) {
+    if (!this.scanner) {
+      if (process.env.FILE_SCAN_REQUIRED === 'true') {
+        const error = new Error('Uploads are unavailable until virus scanning is configured');
+        error.status = 503;
+        throw error;
+      }
+      return { scanStatus: 'skipped', details: null };
+    }
+
+    let result;
+    try {
+      result = await this.scanner.scan({ buffer: file.buffer, mimeType: file.mimetype, originalName: file.originalname });
+    } catch (scanError) {
+      // Fail closed: a file that could not be scanned is not stored
+      console.error('Error scanning uploaded file:', scanError);
+      const error = new Error('The file could not be scanned. Please try again later.');
+      error.status = 503;
+      throw error;
+    }
+
+    if (!result || result.clean !== true) {
+      const error = new Error('The file was rejected by the virus scanner');
+      error.status = 422;
+      error.details = result?.details || null;
+      throw error;
+    }
+
+    return { scanStatus: 'clean', details: result.details || null };
+  }
+
+  /**
+   * Store a checked and scanned file and record it. Returns the file row.
+   */
+  async create(ownerId, file, { purpose, appointmentId = null, scanStatus, scanDetails = null }) {
+    const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+    const storageKey = `${purpose}/${ownerId}/${crypto.randomUUID()}${extension}`;
+
+    await fileStorageService.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+    const { data, error } = await supabase
+      .from('files')
+      .insert({
+        owner_id: ownerId,
+        appointment_id: appointmentId,
+        purpose,
+        original_name: path.basename(file.originalname || 'upload').slice(0, 255),
+        mime_type: file.mimetype,
+        size_bytes: file.size,
+        checksum_sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storage_driver: fileStorageService.driverName,
+        storage_key: storageKey,
+        scan_status: scanStatus,
+        scan_details: scanDetails,
+        scanned_at: scanStatus === 'clean' ? new Date().toISOString() : null
+      })
+      .select(FILE_COLUMNS)
+      .single();
+
+    if (error) {
+      // Do not leave contents behind without a record
+      await fileStorageService.delete(storageKey).catch(deleteError => {
+        console.error(`Error removing orphaned upload ${storageKey}:`, deleteError);
+      });
+      throw new Error(`Failed to record file: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a file that has not been deleted (null if not found, including for IDs that are
+   * not UUIDs). includeStorage adds the storage columns needed to read the contents.
+   */
+  async getFile(fileId, { includeStorage = false } = {}) {
+    const { data, error } = await supabase
+      .from('files')
+      .select(includeStorage ? `${FILE_COLUMNS}, storage_driver, storage_key` : FILE_COLUMNS)
+      .eq('id', fileId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    // 22P02: the ID is not a valid UUID
+    if (error && error.code !== '22P02') {
+      throw new Error(`Failed to fetch file: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
+  /**
+   * List files, newest first. Filters: ownerId, purpose, appointmentId.
+   */
+  async listFiles({ ownerId, purpose, appointmentId } = {}) {
+    let query = supabase
+      .from('files')
+      .select(FILE_COLUMNS)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (ownerId) query = query.eq('owner_id', ownerId);
+    if (purpose) query = query.eq('purpose', purpose);
+    if (appointmentId) query = query.eq('appointment_id', appointmentId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch files: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Read a file's contents (null if they are missing from storage)
+   */
+  async readContents(file) {
+    if (file.storage_driver !== fileStorageService.driverName) {
+      throw new Error(`File ${file.id} is kept by the ${file.storage_driver} storage driver, which is not active`);
+    }
+    return fileStorageService.get(file.storage_key);
+  }
+
+  /**
+   * Delete a file: the record is kept (marked deleted) for audit, the contents are removed
+   */
+  async deleteFile(fileId) {
+    const { data: file, error } = await supabase
+      .from('files')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', fileId)
+      .is('deleted_at', null)
+      .select('id, storage_driver, storage_key')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+
+    if (file && file.storage_driver === fileStorageService.driverName) {
+      await fileStorageService.delete(file.storage_key);
+    }
+
+    return file;
+  }
+
+  /**
+   * Whether a file can be downloaded without a signed link
+   */
+  isPublic(file) {
+    return PURPOSES[file.purpose]?.public === true;
+  }
+
+  /**
+   * Signature of a download link for fileId that expires at expires (Unix seconds)
+   */
+  sign(fileId, expires) {
+    return crypto.createHmac('sha256', SIGNING_KEY).update(`${fileId}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Build a signed download path for a file, valid for ttlSeconds
+   */
+  createDownloadPath(fileId, ttlSeconds = DOWNLOAD_URL_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const query = new URLSearchParams({ expires: String(expires), signature: this.sign(fileId, expires) });
+
+    return {
+      path: `/api/files/${fileId}/download?${query.toString()}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a download link's signature and expiry
+   */
+  verifyDownloadSignature(fileId, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(fileId, expiresAt));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+}
+
+module.exports = new FileService();
+module.exports.PURPOSES = PURPOSES;
+module.exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { supabase } = require('../config/supabase');
+
+/**
+ * File Storage Service
+ * Keeps the contents of uploaded files behind a pluggable driver. A driver is any object
+ * with async put(key, buffer, { contentType }), get(key) (resolving to a Buffer, or null
+ * when the key does not exist) and delete(key) methods.
+ *
+ * Built-in drivers (FILE_STORAGE_DRIVER):
+ *   local    - files under FILE_STORAGE_DIR (default ./uploads), for development and tests
+ *   supabase - a private Supabase Storage bucket, SUPABASE_STORAGE_BUCKET (default 'uploads')
+ */
+
+const DRIVER_METHODS = ['put', 'get', 'delete'];
+
+const createLocalDriver = (directory) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by fileService, but never let one point outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // wx: never overwrite an existing file
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const createSupabaseDriver = (bucket) => ({
+  name: 'supabase',
+  async put(key, buffer, { contentType } = {}) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw error;
+  },
+  async get(key) {
+    const { data, error } = await supabase.storage.from(bucket).download(key);
+
+    if (error) {
+      if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message || '')) return null;
+      throw error;
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  },
+  async delete(key) {
+    const { error } = await supabase.storage.from(bucket).remove([key]);
+    if (error) throw error;
+  }
+});
+
+// Helper function to pick the driver configured by FILE_STORAGE_DRIVER
+const createDefaultDriver = () => {
+  if (process.env.FILE_STORAGE_DRIVER === 'supabase') {
+    return createSupabaseDriver(process.env.SUPABASE_STORAGE_BUCKET || 'uploads');
+  }
+  return createLocalDriver(process.env.FILE_STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+};
+
+class FileStorageService {
+  constructor() {
+    this.driver = createDefaultDriver();
+  }
+
+  /**
+   * Replace the driver (e.g. with an S3 client)
+   */
+  setDriver(driver) {
+    if (!driver || !driver.name || !DRIVER_METHODS.every(method => typeof driver[method] === 'function')) {
+      throw new Error('A storage driver must have a name and put(key, buffer, options), get(key) and delete(key) methods');
+    }
+    this.driver = driver;
+  }
+
+  /**
+   * Name of the active driver, saved with each file so it can be read back later
+   */
+  get driverName() {
+    return this.driver.name;
+  }
+
+  /**
+   * Store file contents under key
+   */
+  async put(key, buffer, options = {}) {
+    try {
+      await this.driver.put(key, buffer, options);
+    } catch (error) {
+      throw new Error(`Failed to store file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read file contents (null if missing)
+   */
+  async get(key) {
+    try {
+      return await this.driver.get(key);
+    } catch (error) {
+      throw new Error(`Failed to read file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove file contents
+   */
+  async delete(key) {
+    try {
+      await this.driver.delete(key);
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new FileStorageService();
+module.exports.createLocalDriver = createLocalDriver;
+module.exports.createSupabaseDriver = createSupabaseDriver;
@@ -0,0 +1,101 @@
+/**
+ * Job Scheduler
+ * Runs recurring background jobs inside the server process on fixed intervals.
+ * A job never overlaps with itself: if a run is still going when the next tick
+ * fires, that tick is skipped. Jobs must be safe to run on several server
+ * instances at once (deduplicate in the database, not in memory).
+ */
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job. handler is an async function; intervalMs is the time between runs.
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+  }
+
+  /**
+   * Run a job once now, unless it is already running
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.handler();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Start the timer for a job
+   */
+  schedule(job) {
+    job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    if (job.timer.unref) {
+      job.timer.unref();
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.jobs.forEach(job => this.schedule(job));
+  }
+
+  /**
+   * Stop all jobs
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.started = false;
+  }
+
+  /**
+   * Get the status of every registered job
+   */
+  getStatus() {
+    return [...this.jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+      name,
+      interval_ms: intervalMs,
+      running,
+      last_run_at: lastRunAt,
+      last_error: lastError
+    }));
+  }
+}
+
+module.exports = new JobScheduler();
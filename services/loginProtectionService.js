@@ -0,0 +1,208 @@
+const { createMemoryStore, isStore } = require('../lib/memoryStore');
+const notificationService = require('./notificationService');
+const mailService = require('./mailService');
+const auditService = require('./auditService');
+
+/**
+ * Login Protection Service
+ * Brute-force protection for password logins. Failed attempts are counted per account
+ * (email address) and per client IP over a sliding window. Too many failures on an account
+ * lock it for a while, doubling the lock each time it happens again; too many failures
+ * from one IP block that IP until its oldest failures leave the window.
+ *
+ * State lives in a pluggable store (see lib/memoryStore.js). The default keeps it in
+ * memory, which is per process; deployments running several instances register a shared
+ * store (e.g. Redis) with setStore().
+ */
+
+const MINUTE = 60000;
+
+const ATTEMPT_WINDOW_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * MINUTE;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+
+// First lock lasts LOCKOUT_BASE_MINUTES, each repeat doubles it up to LOCKOUT_MAX_MINUTES
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 5) * MINUTE;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 1440) * MINUTE;
+
+// The back-off level is forgotten after a day without new locks
+const LOCKOUT_LEVEL_TTL_MS = 24 * 60 * MINUTE;
+
+// Helper function to build store keys (emails are case-insensitive)
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+// Helper function to keep only the failures still inside the sliding window
+const recentFailures = (timestamps, now) => (timestamps || []).filter(at => at > now - ATTEMPT_WINDOW_MS);
+
+class LoginProtectionService {
+  constructor() {
+    this.store = createMemoryStore();
+  }
+
+  /**
+   * Replace the store (e.g. with a Redis-backed one shared by all instances)
+   */
+  setStore(store) {
+    if (!isStore(store)) {
+      throw new Error('A login protection store must have get(key), set(key, value, ttlMs) and delete(key) methods');
+    }
+    this.store = store;
+  }
+
+  /**
+   * Check whether a login may be attempted.
+   * Returns null when it may, otherwise { scope: 'account' | 'ip', retryAfterSeconds, lockedUntil }.
+   */
+  async check({ email, ip }) {
+    const now = Date.now();
+
+    if (email) {
+      const account = await this.store.get(accountKey(email));
+      if (account && account.lockedUntil && account.lockedUntil > now) {
+        return this.buildBlock('account', account.lockedUntil, now);
+      }
+    }
+
+    if (ip) {
+      const failures = recentFailures(await this.store.get(ipKey(ip)), now);
+      if (failures.length >= MAX_IP_FAILURES) {
+        // Blocked until enough failures slide out of the window
+        const reopensAt = failures[failures.length - MAX_IP_FAILURES] + ATTEMPT_WINDOW_MS;
+        return this.buildBlock('ip', reopensAt, now);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a failed login (wrong password, unknown email or wrong two-factor code).
+   * `user` is the matching account, if any, so its owner can be told about a lock.
+   * Returns the block now in force (see check), or null.
+   */
+  async recordFailure({ email, ip, user = null }) {
+    const now = Date.now();
+
+    if (ip) {
+      const failures = [...recentFailures(await this.store.get(ipKey(ip)), now), now];
+      await this.store.set(ipKey(ip), failures, ATTEMPT_WINDOW_MS);
+    }
+
+    if (email) {
+      const key = accountKey(email);
+      const account = (await this.store.get(key)) || {};
+      const failures = [...recentFailures(account.failures, now), now];
+
+      if (failures.length >= MAX_ACCOUNT_FAILURES) {
+        const level = (account.level || 0) + 1;
+        const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (level - 1), LOCKOUT_MAX_MS);
+        const lockedUntil = now + lockMs;
+
+        await this.store.set(key, { failures: [], level, lockedUntil }, Math.max(lockMs, LOCKOUT_LEVEL_TTL_MS));
+
+        if (user) {
+          await this.notifyLocked(user, { lockedUntil, failedAttempts: failures.length, ip });
+        }
+      } else {
+        await this.store.set(key, { ...account, failures }, Math.max(ATTEMPT_WINDOW_MS, LOCKOUT_LEVEL_TTL_MS));
+      }
+    }
+
+    return this.check({ email, ip });
+  }
+
+  /**
+   * Record a successful login: the account's failure count starts over.
+   * The back-off level and the IP's failures are kept, so one good login does not reset them.
+   */
+  async recordSuccess({ email }) {
+    if (!email) return;
+
+    const key = accountKey(email);
+    const account = await this.store.get(key);
+    if (account && account.failures && account.failures.length) {
+      await this.store.set(key, { ...account, failures: [] }, LOCKOUT_LEVEL_TTL_MS);
+    }
+  }
+
+  /**
+   * Lift an account lock and forget its failures and back-off level (admin unlock)
+   * Returns true if the account was locked.
+   */
+  async unlock(email) {
+    const key = accountKey(email);
+    const account = await this.store.get(key);
+    await this.store.delete(key);
+    return !!(account && account.lockedUntil && account.lockedUntil > Date.now());
+  }
+
+  /**
+   * Current lock state of an account
+   */
+  async getAccountStatus(email) {
+    const now = Date.now();
+    const account = (await this.store.get(accountKey(email))) || {};
+    const locked = !!(account.lockedUntil && account.lockedUntil > now);
+
+    return {
+      locked,
+      locked_until: locked ? new Date(account.lockedUntil).toISOString() : null,
+      recent_failures: recentFailures(account.failures, now).length,
+      lockout_level: account.level || 0
+    };
+  }
+
+  /**
+   * Shape a block for check()
+   */
+  buildBlock(scope, until, now = Date.now()) {
+    return {
+      scope,
+      retryAfterSeconds: Math.max(1, Math.ceil((until - now) / 1000)),
+      lockedUntil: new Date(until).toISOString()
+    };
+  }
+
+  /**
+   * Tell the account owner (in the app and by email) that their account was locked,
+   * and record it in the audit log. Failures are logged so the login response is unaffected.
+   */
+  async notifyLocked(user, { lockedUntil, failedAttempts, ip }) {
+    const until = new Date(lockedUntil);
+
+    await auditService.record({
+      userId: user.id,
+      role: user.role || null,
+      action: 'auth.account_locked',
+      resourceType: 'user',
+      resourceId: user.id,
+      outcome: 'denied',
+      reason: `${failedAttempts} failed login attempts`,
+      ipAddress: ip || null,
+      metadata: { locked_until: until.toISOString() }
+    });
+
+    try {
+      await notificationService.createNotification({
+        user_id: user.id,
+        type: 'security_alert',
+        title: 'Account Temporarily Locked',
+        message: `Your account was locked until ${until.toISOString()} after ${failedAttempts} failed login attempts. ` +
+          'If this was not you, reset your password.',
+        metadata: { locked_until: until.toISOString(), failed_attempts: failedAttempts, ip_address: ip || null }
+      });
+    } catch (error) {
+      console.error(`Error creating lockout notification for user ${user.id}:`, error);
+    }
+
+    try {
+      await mailService.sendAccountLocked(user, until, failedAttempts);
+    } catch (error) {
+      console.error(`Error sending lockout email to user ${user.id}:`, error);
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
+module.exports.createMemoryStore = createMemoryStore;
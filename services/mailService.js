@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport. A transport is any object
+ * with an async send({ from, to, subject, text }) method.
+ *
+ * Built-in transports (MAIL_TRANSPORT), for development and tests only:
+ *   console - prints messages to the log (default outside production)
+ *   file    - writes each message as a JSON file to MAIL_OUTBOX_DIR
+ * Both expose the message body, including reset and verification tokens, so they are never
+ * used when NODE_ENV is production. There the provider must be registered with
+ * setTransport(); until it is, send() refuses to send.
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Mind You <no-reply@mindyou.health>';
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  }
+};
+
+const createFileTransport = (directory) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+// Helper function to pick the transport configured by MAIL_TRANSPORT (null in production)
+const createDefaultTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    if (process.env.MAIL_TRANSPORT) {
+      console.error(`MAIL_TRANSPORT=${process.env.MAIL_TRANSPORT} is ignored in production; register a mail provider with setTransport()`);
+    }
+    return null;
+  }
+
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox'));
+  }
+  return consoleTransport;
+};
+
+class MailService {
+  constructor() {
+    this.transport = createDefaultTransport();
+  }
+
+  /**
+   * Replace the transport (e.g. with an SMTP or email API client)
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('A mail transport must have a send(message) method');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email
+   */
+  async send({ to, subject, text }) {
+    if (!this.transport) {
+      throw new Error('Failed to send email: no mail transport is configured');
+    }
+
+    try {
+      await this.transport.send({ from: DEFAULT_FROM, to, subject, text });
+    } catch (error) {
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a link into the frontend app
+   */
+  buildAppLink(pathname, params = {}) {
+    const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+    const query = new URLSearchParams(params).toString();
+    return `${baseUrl}${pathname}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Send a password reset link
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const link = this.buildAppLink('/reset-password', { token });
+
+    await this.send({
+      to: user.email_address,
+      subject: 'Reset your Mind You password',
+      text: `Hi ${user.full_name || 'there'},\n\n` +
+        `We received a request to reset your password. Use the link below to choose a new one:\n\n${link}\n\n` +
+        `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+        'If you did not ask to reset your password, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   */
+  async sendEmailVerification(user, token, expiresInMinutes) {
+    const link = this.buildAppLink('/verify-email', { token });
+
+    await this.send({
+      to: user.email_address,
+      subject: 'Verify your email address',
+      text: `Hi ${user.full_name || 'there'},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+        `This link expires in ${Math.round(expiresInMinutes / 60)} hours.`
+    });
+  }
+
+  /**
+   * Tell a user their password was changed
+   */
+  async sendPasswordChanged(user) {
+    await this.send({
+      to: user.email_address,
+      subject: 'Your Mind You password was changed',
+      text: `Hi ${user.full_name || 'there'},\n\n` +
+        'The password for your account was just changed and all other devices were signed out. ' +
+        'If this was not you, reset your password immediately and contact support.'
+    });
+  }
+
+  /**
+   * Tell a user their account was locked after repeated failed logins
+   */
+  async sendAccountLocked(user, lockedUntil, failedAttempts) {
+    const link = this.buildAppLink('/forgot-password');
+
+    await this.send({
+      to: user.email_address,
+      subject: 'Your Mind You account was temporarily locked',
+      text: `Hi ${user.full_name || 'there'},\n\n` +
+        `After ${failedAttempts} failed login attempts, your account is locked until ${lockedUntil.toISOString()}. ` +
+        'You can try again after that time.\n\n' +
+        `If this was not you, someone may be guessing your password. Reset it here:\n\n${link}`
+    });
+  }
+}
+
+module.exports = new MailService();
+module.exports.createFileTransport = createFileTransport;
+module.exports.consoleTransport = consoleTransport;
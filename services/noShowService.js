@@ -0,0 +1,103 @@
+const { supabase } = require('../config/supabase');
+const settingsService = require('./settingsService');
+const notificationService = require('./notificationService');
+const appointmentStatusService = require('./appointmentStatusService');
+const { SYSTEM_ACTOR } = require('./appointmentStatusService');
+
+/**
+ * No-Show Service
+ * Marks appointments nobody held as no_show once their slot has ended, using the
+ * attendance recorded by socketService, and follows up with the affected parties
+ */
+
+// Minutes after the end of a slot before it is treated as a no-show, when
+// appointment_booking.no_show_grace_minutes is not set
+const DEFAULT_GRACE_MINUTES = 15;
+
+// Only look this far back, so appointments from before attendance tracking are left alone
+const LOOKBACK_HOURS = 48;
+
+class NoShowService {
+  /**
+   * Get the grace period after the end of a slot, in minutes
+   */
+  async getGraceMinutes() {
+    const minutes = await settingsService.getGlobalSetting('appointment_booking', 'no_show_grace_minutes', DEFAULT_GRACE_MINUTES);
+    const parsed = parseInt(minutes, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_GRACE_MINUTES;
+  }
+
+  /**
+   * Work out who missed an appointment from its attendance.
+   * Returns 'patient', 'doctor', 'both', or null when it should not be marked
+   * (the call was started, or both joined and the outcome needs a human).
+   */
+  getNoShowParty(appointment) {
+    if (appointment.call_started_at) return null;
+
+    const patientJoined = !!appointment.patient_joined_at;
+    const doctorJoined = !!appointment.doctor_joined_at;
+
+    if (patientJoined && doctorJoined) return null;
+    if (patientJoined) return 'doctor';
+    if (doctorJoined) return 'patient';
+    return 'both';
+  }
+
+  /**
+   * Link for booking a new appointment with the same doctor
+   */
+  getRebookingLink(appointment) {
+    return `/appointments/book?doctor_id=${appointment.doctor_id}&rebook_from=${appointment.id}`;
+  }
+
+  /**
+   * Mark ended, unattended appointments as no_show, apply the no-show policy to their
+   * payments and notify both parties. Meant to run periodically from the job scheduler.
+   * Returns the number of appointments marked.
+   */
+  async processNoShows(now = Date.now()) {
+    const graceMinutes = await this.getGraceMinutes();
+    const cutoff = new Date(now - graceMinutes * 60000);
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .in('status', ['scheduled', 'confirmed'])
+      .lte('ends_at', cutoff.toISOString())
+      .gte('ends_at', new Date(cutoff.getTime() - LOOKBACK_HOURS * 3600000).toISOString())
+      .is('call_started_at', null);
+
+    if (error) {
+      throw new Error(`Failed to fetch ended appointments: ${error.message}`);
+    }
+
+    let marked = 0;
+    for (const appointment of appointments || []) {
+      const party = this.getNoShowParty(appointment);
+      if (!party || appointmentStatusService.checkTransition(appointment, 'no_show', SYSTEM_ACTOR)) {
+        continue;
+      }
+
+      try {
+        const updated = await appointmentStatusService.applyTransition(appointment, 'no_show', SYSTEM_ACTOR, {
+          reason: party === 'both' ? 'Neither party joined the session' : `The ${party} did not join the session`,
+          metadata: { no_show_party: party, grace_minutes: graceMinutes },
+          changes: { no_show_party: party },
+          noShowParty: party
+        });
+
+        await notificationService.notifyNoShow(updated, party, this.getRebookingLink(updated));
+        marked++;
+      } catch (markError) {
+        // Someone changed the appointment meanwhile, or the update failed; try again next run
+        console.error(`Error marking appointment ${appointment.id} as no-show:`, markError);
+      }
+    }
+
+    return marked;
+  }
+}
+
+module.exports = new NoShowService();
+module.exports.DEFAULT_GRACE_MINUTES = DEFAULT_GRACE_MINUTES;
@@ -115,6 +115,196 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify the other party when an appointment is moved to a new slot.
+   * If an admin rescheduled it, both the patient and the doctor are notified.
+   */
+  async notifyAppointmentRescheduled(previousAppointment, newAppointment, actor, reason) {
+    try {
+      let recipients;
+      if (actor?.id === previousAppointment.user_id) {
+        recipients = [previousAppointment.doctor_id];
+      } else if (actor?.id === previousAppointment.doctor_id) {
+        recipients = [previousAppointment.user_id];
+      } else {
+        recipients = [previousAppointment.user_id, previousAppointment.doctor_id];
+      }
+
+      const { data: actorUser } = actor?.id
+        ? await supabase.from('users').select('full_name, role').eq('id', actor.id).single()
+        : { data: null };
+      const actorName = actorUser
+        ? (actorUser.role === 'doctor' ? `Dr. ${actorUser.full_name}` : actorUser.full_name)
+        : 'The clinic';
+
+      const from = `${new Date(previousAppointment.appointment_date).toLocaleDateString()} at ${previousAppointment.appointment_time}`;
+      const to = `${new Date(newAppointment.appointment_date).toLocaleDateString()} at ${newAppointment.appointment_time}`;
+
+      for (const userId of recipients) {
+        await this.createNotification({
+          user_id: userId,
+          appointment_id: newAppointment.id,
+          type: 'appointment_rescheduled',
+          title: 'Appointment Rescheduled',
+          message: `${actorName} has moved your appointment from ${from} to ${to}. ${reason ? `Reason: ${reason}` : ''}`,
+          metadata: {
+            appointment_id: newAppointment.id,
+            previous_appointment_id: previousAppointment.id,
+            previous_date: previousAppointment.appointment_date,
+            previous_time: previousAppointment.appointment_time,
+            appointment_date: newAppointment.appointment_date,
+            appointment_time: newAppointment.appointment_time,
+            reason: reason || null
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error notifying appointment reschedule:', error);
+    }
+  }
+
+  /**
+   * Notify a waitlisted patient that a slot has opened up and is held for them
+   */
+  async notifyWaitlistSlotOffered(offer) {
+    try {
+      const { data: doctor } = await supabase
+        .from('users')
+        .select('full_name')
+        .eq('id', offer.doctor_id)
+        .single();
+
+      const doctorName = doctor?.full_name || 'your doctor';
+      const appointmentDate = new Date(offer.appointment_date).toLocaleDateString();
+      const expiresAt = new Date(offer.expires_at).toLocaleString();
+
+      await this.createNotification({
+        user_id: offer.user_id,
+        type: 'waitlist_slot_offered',
+        title: 'A Slot Has Opened Up',
+        message: `A slot with Dr. ${doctorName} on ${appointmentDate} at ${offer.appointment_time} is available. It is held for you until ${expiresAt}.`,
+        metadata: {
+          offer_id: offer.id,
+          doctor_id: offer.doctor_id,
+          appointment_date: offer.appointment_date,
+          appointment_time: offer.appointment_time,
+          expires_at: offer.expires_at
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying waitlist slot offer:', error);
+    }
+  }
+
+  /**
+   * Notify the patient and the doctor that an appointment was marked as a no-show,
+   * with a link to book again. party is who missed it: patient, doctor or both.
+   */
+  async notifyNoShow(appointment, party, rebookingLink) {
+    try {
+      const { data: users } = await supabase
+        .from('users')
+        .select('id, full_name')
+        .in('id', [appointment.user_id, appointment.doctor_id]);
+
+      const nameOf = (id) => (users || []).find(user => user.id === id)?.full_name;
+      const doctorName = nameOf(appointment.doctor_id) || 'your doctor';
+      const patientName = nameOf(appointment.user_id) || 'Your patient';
+      const when = `${new Date(appointment.appointment_date).toLocaleDateString()} at ${appointment.appointment_time}`;
+      const refunded = (appointment.cancellation?.payments || []).some(payment => payment.refund_amount > 0);
+
+      const patientMessage = {
+        patient: `You missed your appointment with Dr. ${doctorName} on ${when}. The no-show policy has been applied to your payment. You can book a new appointment at any time.`,
+        doctor: `Dr. ${doctorName} was unable to join your appointment on ${when}. We're sorry for the inconvenience${refunded ? ' and your payment has been refunded' : ''}. Please book a new time.`,
+        both: `Your appointment with Dr. ${doctorName} on ${when} was missed${refunded ? ' and your payment has been refunded' : ''}. Please book a new time.`
+      }[party];
+
+      const doctorMessage = {
+        patient: `${patientName} did not join the appointment on ${when}. It has been marked as a no-show.`,
+        doctor: `You did not join the appointment with ${patientName} on ${when}. The patient has been refunded and invited to rebook.`,
+        both: `Neither you nor ${patientName} joined the appointment on ${when}. It has been marked as a no-show.`
+      }[party];
+
+      const metadata = {
+        appointment_id: appointment.id,
+        no_show_party: party,
+        rebooking_link: rebookingLink,
+        cancellation: appointment.cancellation || null
+      };
+
+      await this.createNotification({
+        user_id: appointment.user_id,
+        appointment_id: appointment.id,
+        type: 'appointment_no_show',
+        title: 'Missed Appointment',
+        message: patientMessage,
+        metadata
+      });
+
+      await this.createNotification({
+        user_id: appointment.doctor_id,
+        appointment_id: appointment.id,
+        type: 'appointment_no_show',
+        title: 'Missed Appointment',
+        message: doctorMessage,
+        metadata
+      });
+    } catch (error) {
+      console.error('Error notifying no-show:', error);
+    }
+  }
+
+  /**
+   * Notify doctor that booked appointments fall inside new time off or a clinic holiday
+   */
+  async notifyRescheduleRequired(doctorId, appointments, reason) {
+    try {
+      if (!appointments || appointments.length === 0) {
+        return;
+      }
+
+      const count = appointments.length;
+      await this.createNotification({
+        user_id: doctorId,
+        type: 'reschedule_required',
+        title: 'Appointments Need Rescheduling',
+        message: `${count} booked appointment${count === 1 ? '' : 's'} fall${count === 1 ? 's' : ''} inside unavailable time (${reason}). Please reschedule ${count === 1 ? 'it' : 'them'} with your patients.`,
+        metadata: {
+          reason,
+          appointment_ids: appointments.map(apt => apt.id)
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying reschedule requirement:', error);
+    }
+  }
+
+  /**
+   * Notify a doctor that an admin approved or rejected their credential verification request
+   */
+  async notifyDoctorVerificationDecision(request) {
+    try {
+      const approved = request.status === 'approved';
+      const comments = request.review_comments ? ` Reviewer comments: ${request.review_comments}` : '';
+
+      await this.createNotification({
+        user_id: request.doctor_id,
+        type: approved ? 'doctor_verification_approved' : 'doctor_verification_rejected',
+        title: approved ? 'Credentials Verified' : 'Credential Verification Rejected',
+        message: approved
+          ? `Your PRC license ${request.license_number} has been verified. Patients can now find and book you.${comments}`
+          : `Your verification request for PRC license ${request.license_number} was not approved. Please review the comments and submit again.${comments}`,
+        metadata: {
+          verification_request_id: request.id,
+          status: request.status,
+          review_comments: request.review_comments || null
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying doctor verification decision:', error);
+    }
+  }
+
   /**
    * Get user notifications
    */
@@ -165,6 +355,24 @@ class NotificationService {
     return data;
   }
 
+  /**
+   * Get a notification by ID (null if not found, including for IDs that are not UUIDs)
+   */
+  async getNotification(notificationId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('id', notificationId)
+      .maybeSingle();
+
+    // 22P02: the ID is not a valid UUID
+    if (error && error.code !== '22P02') {
+      throw new Error(`Failed to fetch notification: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
   /**
    * Mark all notifications as read
    */
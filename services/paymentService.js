@@ -392,8 +392,10 @@ class PaymentService {
 
   /**
    * Cancel/refund a payment
+   * For completed payments, options.refund_amount refunds part of the amount
+   * (status 'partially_refunded'); by default the full amount is refunded.
    */
-  async cancelPayment(paymentId, reason) {
+  async cancelPayment(paymentId, reason, { refund_amount } = {}) {
     const { data: payment, error } = await supabase
       .from('payments')
       .select('*')
@@ -405,10 +407,17 @@ class PaymentService {
     }
 
     if (payment.payment_status === 'completed') {
+      const amount = parseFloat(payment.amount);
+      const refundAmount = refund_amount !== undefined ? parseFloat(refund_amount) : amount;
+
+      if (!(refundAmount > 0) || refundAmount > amount) {
+        throw new Error(`Refund amount must be greater than 0 and at most ${amount.toFixed(2)}`);
+      }
+
       // Process refund
       const refundData = {
-        payment_status: 'refunded',
-        refund_amount: payment.amount,
+        payment_status: refundAmount < amount ? 'partially_refunded' : 'refunded',
+        refund_amount: refundAmount,
         refunded_at: new Date().toISOString(),
         failure_reason: reason || 'Payment cancelled by user'
       };
@@ -0,0 +1,226 @@
+const { supabase } = require('../config/supabase');
+const settingsService = require('./settingsService');
+const notificationService = require('./notificationService');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, getZonedParts } = require('../lib/timezone');
+
+/**
+ * Reminder Service
+ * Sends appointment reminders to patients and doctors at configurable offsets
+ * before the appointment starts
+ *
+ * Clinic offsets: global setting appointment_booking.reminder_offsets_minutes
+ * Per-user preferences (settings category 'notifications'):
+ *   appointment_reminders     - false to turn reminders off
+ *   reminder_offsets_minutes  - the user's own offsets instead of the clinic's
+ */
+
+const DEFAULT_REMINDER_OFFSETS = [1440, 60];
+
+// Longest offset accepted, in minutes (7 days)
+const MAX_REMINDER_OFFSET = 10080;
+
+// Appointments still worth reminding about
+const REMINDABLE_STATUSES = ['scheduled', 'confirmed'];
+
+class ReminderService {
+  /**
+   * Validate a list of reminder offsets. Returns an error message or null.
+   */
+  validateOffsets(offsets) {
+    const valid = Array.isArray(offsets) && offsets.length <= 10 &&
+      offsets.every(offset => Number.isInteger(offset) && offset > 0 && offset <= MAX_REMINDER_OFFSET);
+
+    return valid ? null : `reminder_offsets_minutes must be an array of up to 10 whole minutes between 1 and ${MAX_REMINDER_OFFSET}`;
+  }
+
+  /**
+   * Get the clinic's reminder offsets in minutes
+   */
+  async getClinicOffsets() {
+    const offsets = await settingsService.getGlobalSetting('appointment_booking', 'reminder_offsets_minutes', DEFAULT_REMINDER_OFFSETS);
+    return this.validateOffsets(offsets) ? DEFAULT_REMINDER_OFFSETS : offsets;
+  }
+
+  /**
+   * Get reminder preferences for a set of users, keyed by user ID
+   * Returns Map(userId => { enabled, offsets | null })
+   */
+  async getPreferences(userIds) {
+    const preferences = new Map(userIds.map(id => [id, { enabled: true, offsets: null }]));
+    if (userIds.length === 0) {
+      return preferences;
+    }
+
+    const { data, error } = await supabase
+      .from('settings')
+      .select('user_id, setting_key, setting_value')
+      .in('user_id', userIds)
+      .eq('setting_category', 'notifications')
+      .in('setting_key', ['appointment_reminders', 'reminder_offsets_minutes']);
+
+    if (error) {
+      throw new Error(`Failed to fetch reminder preferences: ${error.message}`);
+    }
+
+    (data || []).forEach(setting => {
+      const preference = preferences.get(setting.user_id);
+      if (setting.setting_key === 'appointment_reminders') {
+        preference.enabled = setting.setting_value !== false;
+      } else if (!this.validateOffsets(setting.setting_value)) {
+        preference.offsets = setting.setting_value;
+      }
+    });
+
+    return preferences;
+  }
+
+  /**
+   * Pick the reminder due now for an appointment: the smallest offset whose time has
+   * come. Larger offsets that are also due are stale (e.g. the 24h reminder for an
+   * appointment booked two hours ahead) and are skipped.
+   */
+  getDueOffset(startsAt, offsets, now = Date.now()) {
+    const minutesUntilStart = (new Date(startsAt).getTime() - now) / 60000;
+    const due = offsets.filter(offset => offset >= minutesUntilStart);
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Describe how far away the appointment is, e.g. "in 1 hour" or "in 2 days"
+   */
+  describeTimeUntil(minutes) {
+    if (minutes >= 2880) {
+      return `in ${Math.round(minutes / 1440)} days`;
+    }
+    if (minutes >= 90) {
+      return `in ${Math.round(minutes / 60)} hours`;
+    }
+    if (minutes >= 55) {
+      return 'in 1 hour';
+    }
+    return `in ${Math.max(1, Math.round(minutes))} minutes`;
+  }
+
+  /**
+   * Send a reminder unless it was already sent. The reminder row is claimed first so
+   * that concurrent runs cannot both send it; the claim is released if sending fails.
+   */
+  async sendReminder(appointment, recipient, counterpart, offsetMinutes) {
+    const { data: claim, error: claimError } = await supabase
+      .from('appointment_reminders')
+      .insert({
+        appointment_id: appointment.id,
+        user_id: recipient.id,
+        offset_minutes: offsetMinutes
+      })
+      .select()
+      .single();
+
+    if (claimError) {
+      if (claimError.code === '23505') {
+        return false; // already sent
+      }
+      throw new Error(`Failed to record reminder: ${claimError.message}`);
+    }
+
+    try {
+      const timeZone = isValidTimeZone(recipient.time_zone) ? recipient.time_zone : DEFAULT_TIME_ZONE;
+      const local = getZonedParts(appointment.starts_at, timeZone);
+      const minutesUntilStart = (new Date(appointment.starts_at).getTime() - Date.now()) / 60000;
+      const withWhom = recipient.id === appointment.doctor_id
+        ? counterpart?.full_name || 'your patient'
+        : `Dr. ${counterpart?.full_name || 'your doctor'}`;
+
+      const notification = await notificationService.createNotification({
+        user_id: recipient.id,
+        appointment_id: appointment.id,
+        type: 'reminder',
+        title: 'Upcoming Appointment',
+        message: `Reminder: your appointment with ${withWhom} is ${this.describeTimeUntil(minutesUntilStart)}, on ${local.date} at ${local.time} (${timeZone}).`,
+        metadata: {
+          appointment_id: appointment.id,
+          offset_minutes: offsetMinutes,
+          starts_at: appointment.starts_at,
+          local_date: local.date,
+          local_time: local.time,
+          time_zone: timeZone,
+          session_link: appointment.session_link || null
+        }
+      });
+
+      await supabase
+        .from('appointment_reminders')
+        .update({ notification_id: notification.id })
+        .eq('id', claim.id);
+
+      return true;
+    } catch (error) {
+      await supabase.from('appointment_reminders').delete().eq('id', claim.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Send every reminder that is due now. Meant to run every minute or so from the job scheduler.
+   * Returns the number of reminders sent.
+   */
+  async processDueReminders(now = Date.now()) {
+    const clinicOffsets = await this.getClinicOffsets();
+
+    const { data: appointments, error } = await supabase
+      .from('appointments')
+      .select('id, user_id, doctor_id, starts_at, session_link, status')
+      .in('status', REMINDABLE_STATUSES)
+      .gt('starts_at', new Date(now).toISOString())
+      .lte('starts_at', new Date(now + MAX_REMINDER_OFFSET * 60000).toISOString())
+      .order('starts_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch upcoming appointments: ${error.message}`);
+    }
+
+    if (!appointments || appointments.length === 0) {
+      return 0;
+    }
+
+    const userIds = [...new Set(appointments.flatMap(apt => [apt.user_id, apt.doctor_id]))];
+    const preferences = await this.getPreferences(userIds);
+
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select('id, full_name, time_zone')
+      .in('id', userIds);
+
+    if (usersError) {
+      throw new Error(`Failed to fetch reminder recipients: ${usersError.message}`);
+    }
+
+    const usersById = new Map((users || []).map(user => [user.id, user]));
+
+    let sent = 0;
+    for (const appointment of appointments) {
+      for (const [recipientId, counterpartId] of [[appointment.user_id, appointment.doctor_id], [appointment.doctor_id, appointment.user_id]]) {
+        const preference = preferences.get(recipientId);
+        const recipient = usersById.get(recipientId);
+        if (!preference || !preference.enabled || !recipient) continue;
+
+        const offset = this.getDueOffset(appointment.starts_at, preference.offsets || clinicOffsets, now);
+        if (offset === null) continue;
+
+        try {
+          if (await this.sendReminder(appointment, recipient, usersById.get(counterpartId), offset)) {
+            sent++;
+          }
+        } catch (sendError) {
+          // Keep going; the reminder is retried on the next run
+          console.error(`Error sending reminder for appointment ${appointment.id}:`, sendError);
+        }
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new ReminderService();
+module.exports.DEFAULT_REMINDER_OFFSETS = DEFAULT_REMINDER_OFFSETS;
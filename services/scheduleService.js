@@ -0,0 +1,471 @@
+const { supabase } = require('../config/supabase');
+const settingsService = require('./settingsService');
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToDate } = require('../lib/timezone');
+
+/**
+ * Schedule Service
+ * Validates appointment slots against doctor weekly schedules, schedule exceptions,
+ * clinic holidays and existing bookings
+ */
+
+// Appointment statuses that no longer occupy a time slot
+const INACTIVE_STATUSES = ['cancelled', 'rescheduled'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)(:([0-5]\d))?$/;
+
+class ScheduleService {
+  /**
+   * Convert a TIME string (HH:MM or HH:MM:SS) to minutes since midnight
+   */
+  timeToMinutes(time) {
+    const match = TIME_REGEX.exec(String(time || '').trim());
+    if (!match) {
+      return null;
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+
+  /**
+   * Convert minutes since midnight to a HH:MM string
+   */
+  minutesToTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get day of week (0=Sunday, 6=Saturday) for a YYYY-MM-DD date string
+   */
+  getDayOfWeek(date) {
+    if (!DATE_REGEX.test(String(date || ''))) {
+      return null;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+    return parsed.getUTCDay();
+  }
+
+  /**
+   * Get a doctor's available weekly schedule blocks
+   */
+  async getWeeklySchedule(doctorId) {
+    const { data, error } = await supabase
+      .from('doctor_schedules')
+      .select('*')
+      .eq('doctor_id', doctorId)
+      .eq('is_available', true)
+      .order('day_of_week', { ascending: true })
+      .order('start_time', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch doctor schedule: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a doctor's schedule exceptions overlapping a date range (inclusive)
+   */
+  async getExceptions(doctorId, fromDate, toDate) {
+    const { data, error } = await supabase
+      .from('doctor_schedule_exceptions')
+      .select('*')
+      .eq('doctor_id', doctorId)
+      .lte('start_date', toDate)
+      .gte('end_date', fromDate)
+      .order('start_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch schedule exceptions: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Normalize a clinic holiday entry from the appointment_booking.clinic_holidays setting.
+   * Entries may use { date } for a single day or { start_date, end_date } for a range,
+   * with optional start_time/end_time for a partial-day closure.
+   */
+  normalizeHoliday(holiday) {
+    if (!holiday || typeof holiday !== 'object') {
+      return null;
+    }
+
+    const startDate = holiday.start_date || holiday.date;
+    const endDate = holiday.end_date || startDate;
+    if (this.getDayOfWeek(startDate) === null || this.getDayOfWeek(endDate) === null) {
+      return null;
+    }
+
+    return {
+      start_date: startDate,
+      end_date: endDate,
+      start_time: holiday.start_time || null,
+      end_time: holiday.end_time || null,
+      reason: holiday.name || holiday.reason || 'Clinic holiday'
+    };
+  }
+
+  /**
+   * Get clinic-wide holidays overlapping a date range (inclusive)
+   */
+  async getClinicHolidays(fromDate, toDate) {
+    const holidays = await settingsService.getGlobalSetting('appointment_booking', 'clinic_holidays', []);
+
+    return (Array.isArray(holidays) ? holidays : [])
+      .map(holiday => this.normalizeHoliday(holiday))
+      .filter(holiday => holiday && holiday.start_date <= toDate && holiday.end_date >= fromDate);
+  }
+
+  /**
+   * Check whether an exception or holiday blocks part of [start, end) minutes on a date
+   */
+  blocksWindow(exception, date, start, end) {
+    if (date < exception.start_date || date > exception.end_date) {
+      return false;
+    }
+
+    // Full-day exception
+    if (!exception.start_time || !exception.end_time) {
+      return true;
+    }
+
+    const blockStart = this.timeToMinutes(exception.start_time);
+    const blockEnd = this.timeToMinutes(exception.end_time);
+    return start < blockEnd && blockStart < end;
+  }
+
+  /**
+   * Get a doctor's appointments that still occupy a slot between two dates (inclusive)
+   */
+  async getActiveAppointments(doctorId, fromDate, toDate, excludeAppointmentId = null) {
+    let query = supabase
+      .from('appointments')
+      .select('id, user_id, appointment_date, appointment_time, duration_minutes, status')
+      .eq('doctor_id', doctorId)
+      .gte('appointment_date', fromDate)
+      .lte('appointment_date', toDate)
+      .not('status', 'in', `(${INACTIVE_STATUSES.join(',')})`);
+
+    if (excludeAppointmentId) {
+      query = query.neq('id', excludeAppointmentId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch doctor appointments: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get open waitlist offers holding a doctor's slots between two dates (inclusive).
+   * Holds for exceptPatientId are left out so that patient can book the slot held for them.
+   */
+  async getActiveHolds(doctorId, fromDate, toDate, exceptPatientId = null) {
+    let query = supabase
+      .from('waitlist_offers')
+      .select('id, user_id, appointment_date, appointment_time, duration_minutes, expires_at')
+      .eq('doctor_id', doctorId)
+      .eq('status', 'offered')
+      .gt('expires_at', new Date().toISOString())
+      .gte('appointment_date', fromDate)
+      .lte('appointment_date', toDate);
+
+    if (exceptPatientId) {
+      query = query.neq('user_id', exceptPatientId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch waitlist holds: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Validate that a slot is in the future, is not blocked by a clinic holiday or
+   * doctor time off, fits inside the doctor's schedule and does not overlap an
+   * existing booking or a waitlist hold for another patient. date and time are
+   * wall-clock values in the doctor's timeZone; patientId is who is booking.
+   * Returns null when the slot is bookable, otherwise a violation object
+   * ({ status, error, rule, message, details }) suitable for an API response.
+   */
+  async validateSlot({ doctorId, date, time, durationMinutes = 60, excludeAppointmentId = null, timeZone = DEFAULT_TIME_ZONE, patientId = null }) {
+    const dayOfWeek = this.getDayOfWeek(date);
+    const start = this.timeToMinutes(time);
+    const duration = parseInt(durationMinutes, 10);
+
+    if (dayOfWeek === null || start === null || !Number.isInteger(duration) || duration <= 0) {
+      return {
+        status: 422,
+        error: 'Invalid Slot',
+        rule: 'invalid_slot',
+        message: 'appointment_date must be YYYY-MM-DD, appointment_time must be HH:MM, and duration_minutes must be a positive integer',
+        details: { appointment_date: date, appointment_time: time, duration_minutes: durationMinutes }
+      };
+    }
+
+    const end = start + duration;
+
+    // Rule 0: the slot must start in the future
+    if (zonedTimeToDate(date, time, timeZone).getTime() <= Date.now()) {
+      return {
+        status: 422,
+        error: 'Schedule Violation',
+        rule: 'slot_in_past',
+        message: 'The requested time has already passed',
+        details: { appointment_date: date, appointment_time: time, time_zone: timeZone }
+      };
+    }
+
+    // Rule 1: the clinic must not be closed for a holiday
+    const holidays = await this.getClinicHolidays(date, date);
+    const holiday = holidays.find(h => this.blocksWindow(h, date, start, end));
+
+    if (holiday) {
+      return {
+        status: 422,
+        error: 'Schedule Violation',
+        rule: 'clinic_holiday',
+        message: `The clinic is closed: ${holiday.reason}`,
+        details: { holiday }
+      };
+    }
+
+    // Rule 2: the doctor must not have time off covering the slot
+    const exceptions = await this.getExceptions(doctorId, date, date);
+    const exception = exceptions.find(exc => this.blocksWindow(exc, date, start, end));
+
+    if (exception) {
+      return {
+        status: 422,
+        error: 'Schedule Violation',
+        rule: 'doctor_time_off',
+        message: 'The doctor is unavailable at the requested time',
+        details: {
+          exception: {
+            id: exception.id,
+            start_date: exception.start_date,
+            end_date: exception.end_date,
+            start_time: exception.start_time,
+            end_time: exception.end_time,
+            reason: exception.reason
+          }
+        }
+      };
+    }
+
+    // Rule 3: the slot must fall entirely inside one available schedule block
+    const schedules = await this.getWeeklySchedule(doctorId);
+    const dayBlocks = schedules.filter(block => block.day_of_week === dayOfWeek);
+
+    if (dayBlocks.length === 0) {
+      return {
+        status: 422,
+        error: 'Schedule Violation',
+        rule: 'doctor_unavailable_on_day',
+        message: 'The doctor does not accept appointments on this day',
+        details: { day_of_week: dayOfWeek, available_hours: [] }
+      };
+    }
+
+    const fitsBlock = dayBlocks.some(block =>
+      start >= this.timeToMinutes(block.start_time) && end <= this.timeToMinutes(block.end_time)
+    );
+
+    if (!fitsBlock) {
+      return {
+        status: 422,
+        error: 'Schedule Violation',
+        rule: 'outside_schedule',
+        message: 'The requested time is outside the doctor\'s available hours',
+        details: {
+          day_of_week: dayOfWeek,
+          requested: { start_time: this.minutesToTime(start), end_time: this.minutesToTime(end) },
+          available_hours: dayBlocks.map(block => ({
+            start_time: block.start_time,
+            end_time: block.end_time
+          }))
+        }
+      };
+    }
+
+    // Rule 4: the slot must not overlap any active appointment for this doctor
+    const appointments = await this.getActiveAppointments(doctorId, date, date, excludeAppointmentId);
+    const conflict = appointments.find(apt => {
+      const aptStart = this.timeToMinutes(apt.appointment_time);
+      const aptEnd = aptStart + (apt.duration_minutes || 60);
+      return start < aptEnd && aptStart < end;
+    });
+
+    if (conflict) {
+      const conflictStart = this.timeToMinutes(conflict.appointment_time);
+      return {
+        status: 409,
+        error: 'Appointment Conflict',
+        rule: 'overlapping_appointment',
+        message: 'The requested time overlaps an existing appointment for this doctor',
+        details: {
+          requested: { start_time: this.minutesToTime(start), end_time: this.minutesToTime(end) },
+          conflicting_appointment: {
+            id: conflict.id,
+            start_time: this.minutesToTime(conflictStart),
+            end_time: this.minutesToTime(conflictStart + (conflict.duration_minutes || 60))
+          }
+        }
+      };
+    }
+
+    // Rule 5: the slot must not be held for another patient from the waitlist
+    const holds = await this.getActiveHolds(doctorId, date, date, patientId);
+    const hold = holds.find(h => {
+      const holdStart = this.timeToMinutes(h.appointment_time);
+      return start < holdStart + (h.duration_minutes || 60) && holdStart < end;
+    });
+
+    if (hold) {
+      return {
+        status: 409,
+        error: 'Appointment Conflict',
+        rule: 'slot_on_hold',
+        message: 'The requested time is being held for a patient on the waitlist',
+        details: { held_until: hold.expires_at }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Add a number of days to a YYYY-MM-DD date string
+   */
+  addDays(date, days) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    parsed.setUTCDate(parsed.getUTCDate() + days);
+    return parsed.toISOString().split('T')[0];
+  }
+
+  /**
+   * Expand a doctor's weekly schedule into concrete bookable slots between two
+   * dates (inclusive), minus slots blocked by exceptions, clinic holidays,
+   * active appointments or waitlist holds.
+   * Dates and times are wall-clock values in the doctor's timeZone.
+   * Returns an array of { date, day_of_week, slots: [{ start_time, end_time, starts_at }] }
+   */
+  async computeSlots({ doctorId, from, to, durationMinutes = 60, timeZone = DEFAULT_TIME_ZONE }) {
+    const duration = parseInt(durationMinutes, 10);
+    const schedules = await this.getWeeklySchedule(doctorId);
+    const appointments = [
+      ...(await this.getActiveAppointments(doctorId, from, to)),
+      ...(await this.getActiveHolds(doctorId, from, to))
+    ];
+    const blocked = [
+      ...(await this.getExceptions(doctorId, from, to)),
+      ...(await this.getClinicHolidays(from, to))
+    ];
+
+    // Group booked intervals by date for quick overlap checks
+    const bookedByDate = new Map();
+    appointments.forEach(apt => {
+      const start = this.timeToMinutes(apt.appointment_time);
+      const intervals = bookedByDate.get(apt.appointment_date) || [];
+      intervals.push({ start, end: start + (apt.duration_minutes || 60) });
+      bookedByDate.set(apt.appointment_date, intervals);
+    });
+
+    const { date: today, minutes: nowMinutes } = getZonedParts(Date.now(), timeZone);
+
+    const days = [];
+    for (let date = from; date <= to; date = this.addDays(date, 1)) {
+      if (date < today) continue;
+
+      const dayOfWeek = this.getDayOfWeek(date);
+      const booked = bookedByDate.get(date) || [];
+      const slots = [];
+
+      schedules
+        .filter(block => block.day_of_week === dayOfWeek)
+        .forEach(block => {
+          const blockEnd = this.timeToMinutes(block.end_time);
+          for (let start = this.timeToMinutes(block.start_time); start + duration <= blockEnd; start += duration) {
+            const end = start + duration;
+            if (date === today && start <= nowMinutes) continue;
+            if (booked.some(interval => start < interval.end && interval.start < end)) continue;
+            if (blocked.some(exception => this.blocksWindow(exception, date, start, end))) continue;
+            slots.push({
+              start_time: this.minutesToTime(start),
+              end_time: this.minutesToTime(end),
+              starts_at: zonedTimeToDate(date, this.minutesToTime(start), timeZone).toISOString()
+            });
+          }
+        });
+
+      if (slots.length > 0) {
+        slots.sort((a, b) => a.start_time.localeCompare(b.start_time));
+        days.push({ date, day_of_week: dayOfWeek, slots });
+      }
+    }
+
+    return days;
+  }
+
+  /**
+   * Flag active appointments that fall inside a newly added exception or holiday
+   * so the doctor can reschedule them. Pass doctorId = null for clinic-wide holidays.
+   * Returns the flagged appointments.
+   */
+  async flagAffectedAppointments({ doctorId = null, start_date, end_date, start_time = null, end_time = null, reason }) {
+    let query = supabase
+      .from('appointments')
+      .select('*')
+      .gte('appointment_date', start_date)
+      .lte('appointment_date', end_date)
+      .not('status', 'in', `(${INACTIVE_STATUSES.join(',')})`);
+
+    if (doctorId) {
+      query = query.eq('doctor_id', doctorId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch affected appointments: ${error.message}`);
+    }
+
+    const window = { start_date, end_date, start_time, end_time };
+    const affected = (data || []).filter(apt => {
+      const start = this.timeToMinutes(apt.appointment_time);
+      return this.blocksWindow(window, apt.appointment_date, start, start + (apt.duration_minutes || 60));
+    });
+
+    if (affected.length === 0) {
+      return [];
+    }
+
+    const { data: flagged, error: updateError } = await supabase
+      .from('appointments')
+      .update({ needs_reschedule: true, reschedule_reason: reason })
+      .in('id', affected.map(apt => apt.id))
+      .select();
+
+    if (updateError) {
+      throw new Error(`Failed to flag affected appointments: ${updateError.message}`);
+    }
+
+    return flagged || [];
+  }
+}
+
+module.exports = new ScheduleService();
+module.exports.INACTIVE_STATUSES = INACTIVE_STATUSES;
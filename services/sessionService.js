@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+/**
+ * Session Service
+ * Server-side sign-in sessions with rotating refresh tokens. Access tokens are
+ * short-lived JWTs carrying the session ID (see middleware/auth.js); refresh tokens
+ * are opaque random strings of which only the SHA-256 hash is stored.
+ */
+
+// How long a session can go without being refreshed before it expires
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class SessionService {
+  /**
+   * Hash a refresh token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Generate a new refresh token and its expiry
+   */
+  generateRefreshToken() {
+    return {
+      token: crypto.randomBytes(48).toString('base64url'),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString()
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in.
+   * Returns { session, refreshToken }.
+   */
+  async createSession(userId, { userAgent = null, ipAddress = null } = {}) {
+    const { token, expiresAt } = this.generateRefreshToken();
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert({
+        user_id: userId,
+        refresh_token_hash: this.hashToken(token),
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+
+    return { session, refreshToken: token };
+  }
+
+  /**
+   * Exchange a refresh token for a new one (the old token stops working).
+   * Presenting an already rotated token means it was copied, so the whole session
+   * is revoked. Returns { session, user, refreshToken }, or null when the token is
+   * unknown, expired, revoked or belongs to an inactive account.
+   */
+  async rotateRefreshToken(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('refresh_token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+
+    if (!session) {
+      const { data: reused } = await supabase
+        .from('user_sessions')
+        .select('id')
+        .eq('previous_token_hash', tokenHash)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (reused) {
+        console.warn(`Refresh token reuse detected for session ${reused.id}; revoking it`);
+        await this.revokeSession(reused.id, 'refresh_token_reuse');
+      }
+      return null;
+    }
+
+    if (session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', session.user_id)
+      .maybeSingle();
+
+    if (userError) {
+      throw new Error(`Failed to fetch session user: ${userError.message}`);
+    }
+
+    if (!user || user.is_active === false) {
+      await this.revokeSession(session.id, 'account_deactivated');
+      return null;
+    }
+
+    const { token, expiresAt } = this.generateRefreshToken();
+
+    // Only rotate if nobody else rotated this token first
+    const { data: rotated, error: rotateError } = await supabase
+      .from('user_sessions')
+      .update({
+        refresh_token_hash: this.hashToken(token),
+        previous_token_hash: tokenHash,
+        expires_at: expiresAt,
+        last_used_at: new Date().toISOString(),
+        ...(userAgent && { user_agent: userAgent }),
+        ...(ipAddress && { ip_address: ipAddress })
+      })
+      .eq('id', session.id)
+      .eq('refresh_token_hash', tokenHash)
+      .select()
+      .maybeSingle();
+
+    if (rotateError) {
+      throw new Error(`Failed to rotate refresh token: ${rotateError.message}`);
+    }
+
+    if (!rotated) {
+      return null;
+    }
+
+    return { session: rotated, user, refreshToken: token };
+  }
+
+  /**
+   * Check the session behind an access token.
+   * Returns null when it is usable, otherwise 'not_found', 'revoked', 'expired' or 'inactive'.
+   */
+  async checkSession(sessionId, userId) {
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .select('id, user_id, revoked_at, expires_at, user:users!user_sessions_user_id_fkey(is_active)')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+
+    if (!session || session.user_id !== userId) return 'not_found';
+    if (session.revoked_at) return 'revoked';
+    if (new Date(session.expires_at).getTime() <= Date.now()) return 'expired';
+    if (session.user && session.user.is_active === false) return 'inactive';
+    return null;
+  }
+
+  /**
+   * Revoke one session (logout)
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every active session of a user (logout from all devices, deactivation),
+   * optionally keeping one (the session that made the request).
+   * Returns the number of sessions revoked.
+   */
+  async revokeAllSessions(userId, reason = 'logout_all', { exceptSessionId = null } = {}) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) {
+      query = query.neq('id', exceptSessionId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+
+    return (data || []).length;
+  }
+}
+
+module.exports = new SessionService();
+module.exports.REFRESH_TOKEN_TTL_DAYS = REFRESH_TOKEN_TTL_DAYS;
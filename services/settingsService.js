@@ -0,0 +1,100 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Settings Service
+ * Reads and writes global (clinic-wide) settings, stored with user_id = NULL
+ */
+
+class SettingsService {
+  /**
+   * Get all global settings, optionally limited to one category
+   * Returns an object keyed by category then setting key
+   */
+  async getGlobalSettings(category = null) {
+    let query = supabase
+      .from('settings')
+      .select('*')
+      .is('user_id', null);
+
+    if (category) {
+      query = query.eq('setting_category', category);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch global settings: ${error.message}`);
+    }
+
+    const settings = {};
+    (data || []).forEach(setting => {
+      if (!settings[setting.setting_category]) {
+        settings[setting.setting_category] = {};
+      }
+      settings[setting.setting_category][setting.setting_key] = setting.setting_value;
+    });
+
+    return settings;
+  }
+
+  /**
+   * Get a single global setting value, or defaultValue when it is not set
+   */
+  async getGlobalSetting(category, key, defaultValue = null) {
+    const { data, error } = await supabase
+      .from('settings')
+      .select('setting_value')
+      .is('user_id', null)
+      .eq('setting_category', category)
+      .eq('setting_key', key)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch global setting: ${error.message}`);
+    }
+
+    return data ? data.setting_value : defaultValue;
+  }
+
+  /**
+   * Create or update a global setting
+   * Upsert with onConflict cannot match NULL user_id, so update first and insert if missing
+   */
+  async setGlobalSetting(category, key, value) {
+    const { data: updated, error: updateError } = await supabase
+      .from('settings')
+      .update({ setting_value: value, updated_at: new Date().toISOString() })
+      .is('user_id', null)
+      .eq('setting_category', category)
+      .eq('setting_key', key)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      throw new Error(`Failed to update global setting: ${updateError.message}`);
+    }
+
+    if (updated) {
+      return updated;
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('settings')
+      .insert({
+        user_id: null,
+        setting_category: category,
+        setting_key: key,
+        setting_value: value
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      throw new Error(`Failed to create global setting: ${insertError.message}`);
+    }
+
+    return inserted;
+  }
+}
+
+module.exports = new SettingsService();
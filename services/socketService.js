@@ -1,8 +1,24 @@
 const { Server } = require('socket.io');
 const { supabase } = require('../config/supabase');
+const { can, socketUser } = require('../lib/policy');
+const { authenticateSocket } = require('../middleware/auth');
 
 let io;
 
+// Helper function to record the first time someone joined or started an appointment session
+// (used by no-show detection); column is patient_joined_at, doctor_joined_at or call_started_at
+const recordAttendance = async (appointmentId, column) => {
+  try {
+    await supabase
+      .from('appointments')
+      .update({ [column]: new Date().toISOString() })
+      .eq('id', appointmentId)
+      .is(column, null);
+  } catch (error) {
+    console.error(`Error recording ${column} for appointment ${appointmentId}:`, error);
+  }
+};
+
 const initializeSocket = (server) => {
   io = new Server(server, {
     cors: {
@@ -12,15 +28,24 @@ const initializeSocket = (server) => {
     }
   });
 
+  // Every socket must present a valid access token; its identity is on socket.data
+  io.use(authenticateSocket);
+
   // Store call state per room (appointment ID)
   const callStates = new Map(); // roomId -> { isActive: boolean, startedBy: userId }
 
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.id}`);
 
-    // Join a room (appointment session)
-    socket.on('join-room', async (roomId, userId, userName, userRole) => {
+    // Join a room (appointment session). The client still sends its user ID and role for
+    // compatibility, but only the identity verified at the handshake is used.
+    socket.on('join-room', async (roomId, claimedUserId, userName) => {
       try {
+        const { userId, userRole } = socket.data;
+        if (claimedUserId && String(claimedUserId) !== String(userId)) {
+          console.warn(`Socket ${socket.id} of user ${userId} sent join-room as user ${claimedUserId}; using ${userId}`);
+        }
+
         // Validate appointment exists and check status
         // roomId could be meeting_room_id or appointment id
         const roomIdStr = String(roomId).trim();
@@ -106,12 +131,12 @@ const initializeSocket = (server) => {
           return;
         }
 
-        // Verify user has permission to join this appointment
-        const isDoctor = userRole === 'doctor' || userRole === 'admin';
+        // Verify user has permission to join this appointment. Attendance (used by no-show
+        // detection) is only recorded for the verified identity, never a claimed user ID.
         const isPatient = appointment.user_id === userId;
         const isAppointmentDoctor = appointment.doctor_id === userId;
 
-        if (!isPatient && !isAppointmentDoctor && !isDoctor) {
+        if (!can(socketUser(socket), 'appointment.join_session', appointment)) {
           console.log(`Unauthorized access attempt: ${userName} (${userId}) tried to join appointment ${appointment.id}`);
           socket.emit('error', { 
             message: 'You do not have permission to join this appointment.' 
@@ -124,12 +149,17 @@ const initializeSocket = (server) => {
         
         console.log(`User ${userName} (${userId}, role: ${userRole}) joined room ${roomId} for appointment ${appointment.id}`);
         
+        if (isPatient) {
+          await recordAttendance(appointment.id, 'patient_joined_at');
+        } else if (isAppointmentDoctor) {
+          await recordAttendance(appointment.id, 'doctor_joined_at');
+        }
+
         socket.join(roomId);
         socket.data.roomId = roomId;
-        socket.data.userId = userId;
-        socket.data.userName = userName;
-        socket.data.userRole = userRole || 'user';
+        socket.data.userName = userName || socket.data.user.full_name;
         socket.data.appointmentId = appointment.id;
+        socket.data.appointment = { id: appointment.id, user_id: appointment.user_id, doctor_id: appointment.doctor_id };
         
         // Get current call state for this room
         const callState = callStates.get(roomId) || { isActive: false, startedBy: null };
@@ -176,15 +206,8 @@ const initializeSocket = (server) => {
       }
     });
 
-    // Start call (only doctors can do this)
+    // Start call (only the assigned doctor or an admin can do this)
     socket.on('start-call', async (roomId) => {
-      const userRole = socket.data.userRole;
-      
-      if (userRole !== 'doctor' && userRole !== 'admin') {
-        socket.emit('error', { message: 'Only doctors can start the call' });
-        return;
-      }
-
       try {
         // Validate appointment exists and is not completed
         // Allow doctors to start calls even if appointment date is in the past
@@ -258,7 +281,7 @@ const initializeSocket = (server) => {
         }
 
         // Verify the doctor is authorized for this appointment
-        if (appointment.doctor_id !== socket.data.userId && userRole !== 'admin') {
+        if (!can(socketUser(socket), 'appointment.start_session', appointment)) {
           console.log(`Unauthorized: ${socket.data.userName} (${socket.data.userId}) tried to start call for appointment ${appointment.id}`);
           socket.emit('error', { 
             message: 'You are not authorized to start this appointment call.' 
@@ -266,6 +289,8 @@ const initializeSocket = (server) => {
           return;
         }
 
+        await recordAttendance(appointment.id, 'call_started_at');
+
         // Mark call as active
         callStates.set(roomId, {
           isActive: true,
@@ -310,10 +335,9 @@ const initializeSocket = (server) => {
 
     // End call
     socket.on('end-call', (roomId) => {
-      const userRole = socket.data.userRole;
-      
-      if (userRole !== 'doctor' && userRole !== 'admin') {
-        socket.emit('error', { message: 'Only doctors can end the call' });
+      // Only the assigned doctor (or an admin) of the appointment this socket joined
+      if (String(roomId) !== String(socket.data.roomId) || !can(socketUser(socket), 'appointment.end_session', socket.data.appointment)) {
+        socket.emit('error', { message: 'Only the assigned doctor can end the call' });
         return;
       }
 
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const settingsService = require('./settingsService');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../lib/totp');
+
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication: enrollment, code and recovery code checks, and the
+ * clinic setting (security.require_two_factor) that makes it mandatory for staff
+ */
+
+// Name shown in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Mind You';
+
+// Roles that must enroll when security.require_two_factor is on
+const REQUIRED_ROLES = ['doctor', 'admin'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Purposes of the challenge tokens handed out while a two-factor sign-in is pending
+const CHALLENGES = {
+  LOGIN: 'two_factor_login',
+  SETUP: 'two_factor_setup'
+};
+
+// Key used to encrypt TOTP secrets at rest
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production')
+  .digest();
+
+class TwoFactorService {
+  /**
+   * Encrypt a secret as iv.tag.ciphertext (base64url, AES-256-GCM)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  /**
+   * Decrypt a secret produced by encryptSecret
+   */
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Hash a recovery code, ignoring case and separators
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Whether two-factor authentication is turned on for a user row
+   */
+  isEnabled(user) {
+    return !!(user && user.two_factor_enabled_at && user.two_factor_secret);
+  }
+
+  /**
+   * Whether the clinic requires this user to use two-factor authentication
+   */
+  async isRequired(user) {
+    if (!REQUIRED_ROLES.includes(user.role)) {
+      return false;
+    }
+    const required = await settingsService.getGlobalSetting('security', 'require_two_factor', false);
+    return required === true;
+  }
+
+  /**
+   * The two-factor step a password login still needs before tokens are issued:
+   * CHALLENGES.LOGIN (enter a code), CHALLENGES.SETUP (enroll first) or null (none)
+   */
+  async pendingLoginStep(user) {
+    if (this.isEnabled(user)) {
+      return CHALLENGES.LOGIN;
+    }
+    if (await this.isRequired(user)) {
+      return CHALLENGES.SETUP;
+    }
+    return null;
+  }
+
+  /**
+   * Start enrollment: generate a secret and keep it pending until a code confirms it.
+   * Returns { secret, otpauth_uri } for the authenticator app.
+   */
+  async startEnrollment(user) {
+    const secret = generateSecret();
+
+    const { error } = await supabase
+      .from('users')
+      .update({ two_factor_pending_secret: this.encryptSecret(secret) })
+      .eq('id', user.id);
+
+    if (error) {
+      throw new Error(`Failed to start two-factor enrollment: ${error.message}`);
+    }
+
+    return {
+      secret,
+      otpauth_uri: buildOtpauthUri({ secret, accountName: user.email_address, issuer: ISSUER })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app.
+   * Returns the new recovery codes (shown to the user once), or null if the code is wrong
+   * or no enrollment was started.
+   */
+  async confirmEnrollment(userId, code) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, two_factor_pending_secret')
+      .eq('id', userId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+
+    if (!user.two_factor_pending_secret) {
+      return null;
+    }
+
+    const secret = this.decryptSecret(user.two_factor_pending_secret);
+    const counter = verifyCode(secret, code);
+    if (counter === null) {
+      return null;
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        two_factor_secret: user.two_factor_pending_secret,
+        two_factor_pending_secret: null,
+        two_factor_enabled_at: new Date().toISOString(),
+        two_factor_last_counter: counter
+      })
+      .eq('id', userId);
+
+    if (updateError) {
+      throw new Error(`Failed to enable two-factor authentication: ${updateError.message}`);
+    }
+
+    return this.regenerateRecoveryCodes(userId);
+  }
+
+  /**
+   * Replace a user's recovery codes. Returns the new codes in plain text.
+   */
+  async regenerateRecoveryCodes(userId) {
+    const { error: deleteError } = await supabase
+      .from('user_recovery_codes')
+      .delete()
+      .eq('user_id', userId);
+
+    if (deleteError) {
+      throw new Error(`Failed to remove old recovery codes: ${deleteError.message}`);
+    }
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const { error } = await supabase
+      .from('user_recovery_codes')
+      .insert(codes.map(code => ({ user_id: userId, code_hash: this.hashRecoveryCode(code) })));
+
+    if (error) {
+      throw new Error(`Failed to save recovery codes: ${error.message}`);
+    }
+
+    return codes;
+  }
+
+  /**
+   * Check a code from the authenticator app. Each time step is accepted once: the step
+   * is recorded as two_factor_last_counter, and codes at or below it are rejected, so a
+   * code cannot be replayed within its validity window.
+   */
+  async verifyTotp(user, code) {
+    if (!this.isEnabled(user)) {
+      return false;
+    }
+
+    const counter = verifyCode(this.decryptSecret(user.two_factor_secret), code);
+    if (counter === null) {
+      return false;
+    }
+
+    const lastCounter = user.two_factor_last_counter;
+    if (lastCounter !== null && lastCounter !== undefined && counter <= Number(lastCounter)) {
+      return false;
+    }
+
+    // Record the step only if it is newer than the stored one. The database makes the
+    // decision, so a stale user row or a concurrent login cannot reuse a step.
+    const { data, error } = await supabase
+      .from('users')
+      .update({ two_factor_last_counter: counter })
+      .eq('id', user.id)
+      .or(`two_factor_last_counter.is.null,two_factor_last_counter.lt.${counter}`)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to record two-factor code: ${error.message}`);
+    }
+
+    return !!data;
+  }
+
+  /**
+   * Use up a recovery code. Returns true if it was valid and unused.
+   */
+  async useRecoveryCode(userId, code) {
+    const { data, error } = await supabase
+      .from('user_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', this.hashRecoveryCode(code))
+      .is('used_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to use recovery code: ${error.message}`);
+    }
+
+    return !!data;
+  }
+
+  /**
+   * Second login step: accept either an authenticator code or a recovery code
+   * Returns 'totp', 'recovery_code' or null.
+   */
+  async verifyLogin(user, { code, recoveryCode }) {
+    if (code && await this.verifyTotp(user, code)) {
+      return 'totp';
+    }
+    if (recoveryCode && await this.useRecoveryCode(user.id, recoveryCode)) {
+      return 'recovery_code';
+    }
+    return null;
+  }
+
+  /**
+   * Count the recovery codes a user has left
+   */
+  async countRecoveryCodes(userId) {
+    const { count, error } = await supabase
+      .from('user_recovery_codes')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    if (error) {
+      throw new Error(`Failed to count recovery codes: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Turn two-factor authentication off and remove the recovery codes
+   */
+  async disable(userId) {
+    const { error } = await supabase
+      .from('users')
+      .update({
+        two_factor_secret: null,
+        two_factor_pending_secret: null,
+        two_factor_enabled_at: null,
+        two_factor_last_counter: null
+      })
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+    }
+
+    await supabase.from('user_recovery_codes').delete().eq('user_id', userId);
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.REQUIRED_ROLES = REQUIRED_ROLES;
+module.exports.CHALLENGES = CHALLENGES;
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+/**
+ * User Token Service
+ * Single-use, time-limited tokens emailed to users (password reset, email verification).
+ * Only the SHA-256 hash of a token is stored.
+ */
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+// Token lifetimes in minutes
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 2880
+};
+
+class UserTokenService {
+  /**
+   * Hash a token for storage and lookup
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a token for a user, invalidating any earlier unused token for the same purpose.
+   * Returns { token, expiresInMinutes }.
+   */
+  async issue(userId, purpose) {
+    const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+    if (!ttlMinutes) {
+      throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+
+    const now = new Date().toISOString();
+    const { error: invalidateError } = await supabase
+      .from('user_tokens')
+      .update({ used_at: now })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (invalidateError) {
+      throw new Error(`Failed to invalidate previous tokens: ${invalidateError.message}`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { error } = await supabase
+      .from('user_tokens')
+      .insert({
+        user_id: userId,
+        purpose,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + ttlMinutes * 60000).toISOString()
+      });
+
+    if (error) {
+      throw new Error(`Failed to issue token: ${error.message}`);
+    }
+
+    return { token, expiresInMinutes: ttlMinutes };
+  }
+
+  /**
+   * Use up a token. The update only matches an unused, unexpired token, so a token
+   * can be consumed once even under concurrent requests.
+   * Returns the user ID it was issued for, or null if it is invalid, used or expired.
+   */
+  async consume(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('user_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', this.hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('user_id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to consume token: ${error.message}`);
+    }
+
+    return data ? data.user_id : null;
+  }
+}
+
+module.exports = new UserTokenService();
+module.exports.PURPOSES = PURPOSES;
+module.exports.TOKEN_TTL_MINUTES = TOKEN_TTL_MINUTES;
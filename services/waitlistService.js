@@ -0,0 +1,455 @@
+const { supabase } = require('../config/supabase');
+const scheduleService = require('./scheduleService');
+const settingsService = require('./settingsService');
+const notificationService = require('./notificationService');
+const { zonedTimeToDate } = require('../lib/timezone');
+
+/**
+ * Waitlist Service
+ * Keeps patients waiting for a fully booked doctor and offers them freed slots in
+ * first-come order. An open offer holds the slot for a limited time; when it is
+ * declined or expires the slot passes to the next matching patient.
+ */
+
+// How long an offered slot is held when appointment_booking.waitlist_hold_minutes is not set
+const DEFAULT_HOLD_MINUTES = 30;
+
+// Waitlist entries that are still waiting for (or holding) a slot
+const ACTIVE_ENTRY_STATUSES = ['waiting', 'offered'];
+
+class WaitlistService {
+  /**
+   * Get how long an offer holds a slot, in minutes
+   */
+  async getHoldMinutes() {
+    const minutes = await settingsService.getGlobalSetting('appointment_booking', 'waitlist_hold_minutes', DEFAULT_HOLD_MINUTES);
+    const parsed = parseInt(minutes, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_HOLD_MINUTES;
+  }
+
+  /**
+   * Create a waitlist entry for a patient
+   */
+  async createEntry(entryData) {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .insert(entryData)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to join waitlist: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a waitlist entry by ID
+   */
+  async getEntry(entryId) {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .select('*')
+      .eq('id', entryId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch waitlist entry: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get waitlist entries filtered by patient, doctor and/or status, oldest first,
+   * each with its open offer (if any). Offers whose hold has run out are left out even
+   * before the waitlist-offer-expiry job has closed them.
+   */
+  async getEntries({ userId = null, doctorId = null, status = null } = {}) {
+    let query = supabase
+      .from('waitlist_entries')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (userId) query = query.eq('user_id', userId);
+    if (doctorId) query = query.eq('doctor_id', doctorId);
+    if (status) query = query.eq('status', status);
+
+    const { data: entries, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch waitlist entries: ${error.message}`);
+    }
+
+    const offeredIds = (entries || []).filter(entry => entry.status === 'offered').map(entry => entry.id);
+    if (offeredIds.length === 0) {
+      return entries || [];
+    }
+
+    const { data: offers, error: offersError } = await supabase
+      .from('waitlist_offers')
+      .select('*')
+      .in('entry_id', offeredIds)
+      .eq('status', 'offered')
+      .gt('expires_at', new Date().toISOString());
+
+    if (offersError) {
+      throw new Error(`Failed to fetch waitlist offers: ${offersError.message}`);
+    }
+
+    const offerByEntry = new Map((offers || []).map(offer => [offer.entry_id, offer]));
+    return entries.map(entry => ({ ...entry, offer: offerByEntry.get(entry.id) || null }));
+  }
+
+  /**
+   * Find a patient's active entry for a doctor, if any
+   */
+  async findActiveEntry(userId, doctorId) {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('doctor_id', doctorId)
+      .in('status', ACTIVE_ENTRY_STATUSES)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch waitlist entries: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Remove a patient from the waitlist. An open offer is withdrawn and passed on.
+   */
+  async cancelEntry(entry) {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'cancelled' })
+      .eq('id', entry.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to leave waitlist: ${error.message}`);
+    }
+
+    const { data: openOffers } = await supabase
+      .from('waitlist_offers')
+      .select('*')
+      .eq('entry_id', entry.id)
+      .eq('status', 'offered');
+
+    for (const offer of openOffers || []) {
+      await this.closeOffer(offer, 'withdrawn');
+    }
+
+    return data;
+  }
+
+  /**
+   * Check whether a freed slot suits a waitlist entry's preferences
+   */
+  matchesSlot(entry, { date, time, durationMinutes }) {
+    const start = scheduleService.timeToMinutes(time);
+    const end = start + (entry.duration_minutes || 60);
+
+    if ((entry.duration_minutes || 60) > durationMinutes) return false;
+    if (entry.earliest_date && date < entry.earliest_date) return false;
+    if (entry.latest_date && date > entry.latest_date) return false;
+
+    if (Array.isArray(entry.preferred_days) && entry.preferred_days.length > 0 &&
+      !entry.preferred_days.includes(scheduleService.getDayOfWeek(date))) {
+      return false;
+    }
+
+    if (entry.preferred_start_time && entry.preferred_end_time) {
+      const windowStart = scheduleService.timeToMinutes(entry.preferred_start_time);
+      const windowEnd = scheduleService.timeToMinutes(entry.preferred_end_time);
+      if (start < windowStart || end > windowEnd) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Offer a freed slot to the first waiting patient whose preferences match.
+   * Patients already offered this slot are skipped. The hold never runs past the
+   * slot's start. Returns the offer, or null when nobody matches.
+   */
+  async offerSlot({ doctorId, date, time, durationMinutes = 60, timeZone, sourceAppointmentId = null }) {
+    const startsAt = zonedTimeToDate(date, time, timeZone);
+    if (startsAt.getTime() <= Date.now()) {
+      return null;
+    }
+
+    const { data: previousOffers, error: previousError } = await supabase
+      .from('waitlist_offers')
+      .select('entry_id, status, expires_at')
+      .eq('doctor_id', doctorId)
+      .eq('appointment_date', date)
+      .eq('appointment_time', time);
+
+    if (previousError) {
+      throw new Error(`Failed to fetch waitlist offers: ${previousError.message}`);
+    }
+
+    // Someone is already holding this slot
+    if ((previousOffers || []).some(offer => offer.status === 'offered' && new Date(offer.expires_at) > new Date())) {
+      return null;
+    }
+
+    const alreadyOffered = new Set((previousOffers || []).map(offer => offer.entry_id));
+    const waiting = await this.getEntries({ doctorId, status: 'waiting' });
+    const entry = waiting.find(candidate =>
+      !alreadyOffered.has(candidate.id) && this.matchesSlot(candidate, { date, time, durationMinutes })
+    );
+
+    if (!entry) {
+      return null;
+    }
+
+    const holdMinutes = await this.getHoldMinutes();
+    const expiresAt = new Date(Math.min(Date.now() + holdMinutes * 60000, startsAt.getTime()));
+
+    const { data: offer, error } = await supabase
+      .from('waitlist_offers')
+      .insert({
+        entry_id: entry.id,
+        user_id: entry.user_id,
+        doctor_id: doctorId,
+        appointment_date: date,
+        appointment_time: time,
+        duration_minutes: entry.duration_minutes || 60,
+        time_zone: timeZone,
+        source_appointment_id: sourceAppointmentId,
+        expires_at: expiresAt.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create waitlist offer: ${error.message}`);
+    }
+
+    await supabase.from('waitlist_entries').update({ status: 'offered' }).eq('id', entry.id);
+    await notificationService.notifyWaitlistSlotOffered(offer);
+
+    return offer;
+  }
+
+  /**
+   * Get a waitlist offer by ID
+   */
+  async getOffer(offerId) {
+    const { data, error } = await supabase
+      .from('waitlist_offers')
+      .select('*')
+      .eq('id', offerId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch waitlist offer: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Close an open offer as declined, expired or withdrawn, put its entry back in
+   * line (unless the patient left the waitlist) and pass the slot to the next patient
+   */
+  async closeOffer(offer, status) {
+    const { data: closed, error } = await supabase
+      .from('waitlist_offers')
+      .update({ status, responded_at: status === 'expired' ? null : new Date().toISOString() })
+      .eq('id', offer.id)
+      .eq('status', 'offered')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update waitlist offer: ${error.message}`);
+    }
+
+    // Already closed by someone else
+    if (!closed) {
+      return null;
+    }
+
+    await supabase
+      .from('waitlist_entries')
+      .update({ status: 'waiting' })
+      .eq('id', offer.entry_id)
+      .eq('status', 'offered');
+
+    await this.offerSlot({
+      doctorId: offer.doctor_id,
+      date: offer.appointment_date,
+      time: offer.appointment_time,
+      durationMinutes: offer.duration_minutes,
+      timeZone: offer.time_zone,
+      sourceAppointmentId: offer.source_appointment_id
+    });
+
+    return closed;
+  }
+
+  /**
+   * Expire offers whose hold has run out and pass their slots on.
+   * Returns the number of offers expired.
+   */
+  async processExpiredOffers() {
+    const { data: expired, error } = await supabase
+      .from('waitlist_offers')
+      .select('*')
+      .eq('status', 'offered')
+      .lte('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch expired waitlist offers: ${error.message}`);
+    }
+
+    let count = 0;
+    for (const offer of expired || []) {
+      if (await this.closeOffer(offer, 'expired')) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Decline an offer; the slot passes to the next patient and the entry stays on the waitlist
+   */
+  async declineOffer(offer) {
+    return this.closeOffer(offer, 'declined');
+  }
+
+  /**
+   * Accept an open offer and book the held slot for the patient.
+   * Returns { appointment } on success or { violation } when the offer has expired
+   * or the slot can no longer be booked.
+   */
+  async acceptOffer(offer, patient) {
+    if (offer.status !== 'offered' || new Date(offer.expires_at) <= new Date()) {
+      if (offer.status === 'offered') {
+        await this.closeOffer(offer, 'expired');
+      }
+      return {
+        violation: {
+          status: 410,
+          error: 'Offer Expired',
+          message: 'This waitlist offer is no longer available'
+        }
+      };
+    }
+
+    const { data: entry } = await supabase
+      .from('waitlist_entries')
+      .select('*')
+      .eq('id', offer.entry_id)
+      .single();
+
+    const violation = await scheduleService.validateSlot({
+      doctorId: offer.doctor_id,
+      date: offer.appointment_date,
+      time: offer.appointment_time,
+      durationMinutes: offer.duration_minutes,
+      timeZone: offer.time_zone,
+      patientId: patient.id
+    });
+
+    if (violation) {
+      return { violation };
+    }
+
+    const appointmentType = entry?.appointment_type || 'Video Call';
+    const roomId = `room-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    const { data: appointment, error } = await supabase
+      .from('appointments')
+      .insert({
+        user_id: offer.user_id,
+        doctor_id: offer.doctor_id,
+        appointment_date: offer.appointment_date,
+        appointment_time: offer.appointment_time,
+        time_zone: offer.time_zone,
+        duration_minutes: offer.duration_minutes,
+        appointment_type: appointmentType,
+        status: 'scheduled',
+        notes: entry?.notes || null,
+        meeting_room_id: roomId,
+        session_link: appointmentType === 'Video Call' ? `/appointments/video-call?id=${roomId}` : null
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return {
+          violation: {
+            status: 409,
+            error: 'Appointment Conflict',
+            message: 'This time slot is already booked for this doctor'
+          }
+        };
+      }
+      throw new Error(`Failed to book waitlist offer: ${error.message}`);
+    }
+
+    // Claim the offer only if it is still open: the expiry job may have closed it and
+    // passed the slot on while the appointment was being booked
+    const { data: accepted, error: acceptError } = await supabase
+      .from('waitlist_offers')
+      .update({ status: 'accepted', responded_at: new Date().toISOString(), appointment_id: appointment.id })
+      .eq('id', offer.id)
+      .eq('status', 'offered')
+      .select('id')
+      .maybeSingle();
+
+    if (acceptError || !accepted) {
+      // The booking never became visible to anyone, so it is removed rather than cancelled
+      const { error: deleteError } = await supabase.from('appointments').delete().eq('id', appointment.id);
+      if (deleteError) {
+        console.error(`Error removing appointment ${appointment.id} booked for a closed waitlist offer:`, deleteError);
+      }
+
+      if (acceptError) {
+        throw new Error(`Failed to accept waitlist offer: ${acceptError.message}`);
+      }
+
+      return {
+        violation: {
+          status: 409,
+          error: 'Conflict',
+          message: 'This waitlist offer expired or was withdrawn before it could be accepted'
+        }
+      };
+    }
+
+    // Required lazily: the status service hands freed slots back to this service
+    const appointmentStatusService = require('./appointmentStatusService');
+    await appointmentStatusService.recordHistory(
+      [{ ...appointment, status: null }],
+      'scheduled',
+      patient,
+      { metadata: { waitlist_offer_id: offer.id } }
+    );
+
+    await supabase
+      .from('waitlist_entries')
+      .update({ status: 'booked', booked_appointment_id: appointment.id })
+      .eq('id', offer.entry_id);
+
+    return { appointment };
+  }
+}
+
+module.exports = new WaitlistService();
+module.exports.DEFAULT_HOLD_MINUTES = DEFAULT_HOLD_MINUTES;
+module.exports.ACTIVE_ENTRY_STATUSES = ACTIVE_ENTRY_STATUSES;
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The controller loads the Supabase client; each test replaces supabase.from
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+const { supabase } = require('../config/supabase');
+const appointmentSeriesController = require('../controllers/appointmentSeriesController');
+
+const PATIENT = { id: '11111111-1111-4111-8111-111111111111', role: 'user' };
+
+// Helper function to make supabase.from answer every query with the given appointment,
+// recording updates so tests can check nothing was written
+const mockAppointment = (t, appointment) => {
+  const updates = [];
+  t.mock.method(supabase, 'from', (table) => {
+    const chain = {
+      select: () => chain,
+      eq: () => chain,
+      in: () => chain,
+      order: () => chain,
+      gte: () => chain,
+      update: (changes) => {
+        updates.push({ table, changes });
+        return chain;
+      },
+      maybeSingle: () => Promise.resolve({ data: appointment, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: [appointment], error: null }).then(resolve, reject)
+    };
+    return chain;
+  });
+  return updates;
+};
+
+// Helper function to call a handler; resolves to { status, body }
+const call = (handler, { params, body = {}, query = {} }) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ status: this.statusCode, body: payload });
+      return this;
+    }
+  };
+  handler({ user: PATIENT, params, body, query, ip: '127.0.0.1', get: () => null }, res, reject);
+});
+
+// Helper function to build an appointment of PATIENT starting `hours` from now (UTC)
+const appointmentIn = (hours, fields = {}) => {
+  const start = new Date(Date.now() + hours * 3600000).toISOString();
+  return {
+    id: '22222222-2222-4222-8222-222222222222',
+    user_id: PATIENT.id,
+    doctor_id: '33333333-3333-4333-8333-333333333333',
+    series_id: '44444444-4444-4444-8444-444444444444',
+    series_index: 2,
+    status: 'scheduled',
+    appointment_date: start.slice(0, 10),
+    appointment_time: start.slice(11, 19),
+    duration_minutes: 60,
+    time_zone: 'UTC',
+    ...fields
+  };
+};
+
+test('rejects series edits and cancellations of appointments outside a series', async (t) => {
+  const appointment = appointmentIn(48, { series_id: null, series_index: null });
+  const updates = mockAppointment(t, appointment);
+
+  const edit = await call(appointmentSeriesController.update, { params: { id: appointment.id }, body: { notes: 'Bring forms' } });
+  assert.equal(edit.status, 400);
+  assert.equal(edit.body.error, 'Validation Error');
+
+  const cancel = await call(appointmentSeriesController.cancel, { params: { id: appointment.id } });
+  assert.equal(cancel.status, 400);
+
+  assert.deepEqual(updates, []);
+});
+
+test("answers 409 for a 'this' edit of a cancelled, finished or past occurrence", async (t) => {
+  const cases = [
+    appointmentIn(48, { status: 'cancelled' }),
+    appointmentIn(48, { status: 'rescheduled' }),
+    appointmentIn(48, { status: 'completed' }),
+    appointmentIn(-3)
+  ];
+
+  for (const appointment of cases) {
+    const updates = mockAppointment(t, appointment);
+
+    const edit = await call(appointmentSeriesController.update, {
+      params: { id: appointment.id },
+      body: { scope: 'this', appointment_type: 'In Person', notes: 'Moved' }
+    });
+    assert.equal(edit.status, 409, `${appointment.status} at ${appointment.appointment_date}`);
+    assert.equal(edit.body.error, 'Conflict');
+    assert.deepEqual(updates, []);
+
+    const cancel = await call(appointmentSeriesController.cancel, { params: { id: appointment.id }, query: { scope: 'this' } });
+    assert.equal(cancel.status, 409);
+  }
+});
+
+test("applies a 'this' edit to an upcoming scheduled occurrence", async (t) => {
+  const appointment = appointmentIn(48);
+  const updates = mockAppointment(t, appointment);
+
+  const edit = await call(appointmentSeriesController.update, {
+    params: { id: appointment.id },
+    body: { scope: 'this', notes: 'Bring forms' }
+  });
+
+  assert.equal(edit.status, 200);
+  assert.deepEqual(updates, [{ table: 'appointments', changes: { notes: 'Bring forms' } }]);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service loads the Supabase client, which expandOccurrences never calls
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+const appointmentSeriesService = require('../services/appointmentSeriesService');
+const { MAX_OCCURRENCES } = require('../services/appointmentSeriesService');
+
+// Helper function to parse a recurrence the way the controller does, failing on errors
+const parseRule = (recurrence) => {
+  const { rule, error } = appointmentSeriesService.parseRecurrence(
+    typeof recurrence === 'string' ? { rrule: recurrence } : recurrence
+  );
+  assert.equal(error, undefined);
+  return rule;
+};
+
+test('expands a weekly series by count', () => {
+  const dates = appointmentSeriesService.expandOccurrences('2025-01-06', parseRule('FREQ=WEEKLY;COUNT=4'));
+  assert.deepEqual(dates, ['2025-01-06', '2025-01-13', '2025-01-20', '2025-01-27']);
+});
+
+test('expands a biweekly series across a year boundary', () => {
+  const dates = appointmentSeriesService.expandOccurrences('2024-12-16', parseRule({ frequency: 'biweekly', count: 3 }));
+  assert.deepEqual(dates, ['2024-12-16', '2024-12-30', '2025-01-13']);
+});
+
+test('expands a daily series with an interval across a month boundary', () => {
+  const dates = appointmentSeriesService.expandOccurrences('2024-02-27', parseRule('FREQ=DAILY;INTERVAL=2;COUNT=3'));
+  assert.deepEqual(dates, ['2024-02-27', '2024-02-29', '2024-03-02']);
+});
+
+test('stops at until, inclusive, in either date form', () => {
+  const expected = ['2025-01-06', '2025-01-13', '2025-01-20'];
+
+  assert.deepEqual(appointmentSeriesService.expandOccurrences('2025-01-06', parseRule('FREQ=WEEKLY;UNTIL=20250120')), expected);
+  assert.deepEqual(appointmentSeriesService.expandOccurrences('2025-01-06', parseRule({ frequency: 'weekly', until: '2025-01-26' })), expected);
+});
+
+test('skips months without the start day in a monthly series', () => {
+  const dates = appointmentSeriesService.expandOccurrences('2025-01-31', parseRule('FREQ=MONTHLY;COUNT=4'));
+  assert.deepEqual(dates, ['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31']);
+});
+
+test('stops at whichever of count and until comes first', () => {
+  const rule = parseRule('FREQ=WEEKLY;COUNT=10;UNTIL=20250113');
+  assert.deepEqual(appointmentSeriesService.expandOccurrences('2025-01-06', rule), ['2025-01-06', '2025-01-13']);
+});
+
+test(`never expands past ${MAX_OCCURRENCES} occurrences`, () => {
+  const dates = appointmentSeriesService.expandOccurrences('2025-01-01', parseRule('FREQ=DAILY;UNTIL=20301231'));
+  assert.equal(dates.length, MAX_OCCURRENCES);
+  assert.equal(dates[0], '2025-01-01');
+  assert.equal(dates[dates.length - 1], '2025-02-21');
+});
+
+// Helper function to build a series occurrence starting `hours` from now (UTC)
+const occurrenceIn = (hours, status = 'scheduled') => {
+  const start = new Date(Date.now() + hours * 3600000).toISOString();
+  return {
+    id: 'occurrence-1',
+    series_id: 'series-1',
+    status,
+    appointment_date: start.slice(0, 10),
+    appointment_time: start.slice(11, 19),
+    time_zone: 'UTC'
+  };
+};
+
+test('only upcoming scheduled or confirmed occurrences are editable', () => {
+  assert.equal(appointmentSeriesService.isEditableOccurrence(occurrenceIn(24)), true);
+  assert.equal(appointmentSeriesService.isEditableOccurrence(occurrenceIn(24, 'confirmed')), true);
+  assert.equal(appointmentSeriesService.isEditableOccurrence(occurrenceIn(-1)), false);
+
+  for (const status of ['cancelled', 'rescheduled', 'completed', 'in_progress', 'no_show']) {
+    assert.equal(appointmentSeriesService.isEditableOccurrence(occurrenceIn(24, status)), false, status);
+  }
+});
+
+test("the 'this' scope resolves to nothing for an occurrence that is no longer editable", async () => {
+  const upcoming = occurrenceIn(24);
+
+  assert.deepEqual(await appointmentSeriesService.getScopedOccurrences(upcoming, 'this'), [upcoming]);
+  assert.deepEqual(await appointmentSeriesService.getScopedOccurrences(occurrenceIn(24, 'cancelled'), 'this'), []);
+  assert.deepEqual(await appointmentSeriesService.getScopedOccurrences(occurrenceIn(-2), 'this'), []);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, quoteParam, foldLine, formatDateTime, buildEvent, buildCalendar } = require('../lib/ics');
+
+test('escapeText escapes backslashes, semicolons, commas and newlines', () => {
+  assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  assert.equal(escapeText(null), '');
+  assert.equal(escapeText(undefined), '');
+  assert.equal(escapeText(42), '42');
+});
+
+test('quoteParam quotes parameter values without backslash escapes', () => {
+  assert.equal(quoteParam('Dr. Cruz, MD; Psychiatry: Adults'), '"Dr. Cruz, MD; Psychiatry: Adults"');
+  assert.equal(quoteParam('Maria "Mia" Santos\r\n'), '"Maria Mia Santos"');
+  assert.equal(quoteParam('C:\\path'), '"C:\\path"');
+  assert.equal(quoteParam(null), '""');
+});
+
+test('foldLine leaves lines of up to 75 octets alone', () => {
+  const line = `SUMMARY:${'x'.repeat(67)}`;
+  assert.equal(Buffer.byteLength(line), 75);
+  assert.equal(foldLine(line), line);
+});
+
+test('foldLine folds long lines into 75-octet lines continued with a space', () => {
+  const line = `DESCRIPTION:${'a'.repeat(200)}`;
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+
+  assert.ok(parts.length > 1);
+  assert.equal(Buffer.byteLength(parts[0]), 75);
+  parts.slice(1).forEach(part => {
+    assert.ok(part.startsWith(' '));
+    assert.ok(Buffer.byteLength(part) <= 75);
+  });
+  // Unfolding gives the original line back
+  assert.equal(folded.replace(/\r\n /g, ''), line);
+});
+
+test('foldLine never splits a multi-byte character', () => {
+  const line = `SUMMARY:${'é'.repeat(60)}${'😀'.repeat(20)}`;
+  const parts = foldLine(line).split('\r\n');
+
+  parts.forEach(part => {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.ok(!part.includes('�'));
+  });
+  assert.equal(parts.map((part, index) => (index ? part.slice(1) : part)).join(''), line);
+});
+
+test('formatDateTime gives a UTC DATE-TIME without separators', () => {
+  assert.equal(formatDateTime('2025-01-15T02:00:00.000Z'), '20250115T020000Z');
+});
+
+test('buildEvent escapes text properties and quotes the organizer name', () => {
+  const lines = buildEvent({
+    uid: 'abc@mindyou.health',
+    start: '2025-01-15T02:00:00Z',
+    end: '2025-01-15T03:00:00Z',
+    summary: 'Session; follow-up, week 2',
+    description: 'Line one\nLine two',
+    organizer: { name: 'Dr. Cruz, MD; "Psychiatry"', email: 'cruz@example.com' },
+    updatedAt: '2025-01-10T00:00:00Z'
+  });
+
+  assert.equal(lines[0], 'BEGIN:VEVENT');
+  assert.ok(lines.includes('SUMMARY:Session\\; follow-up\\, week 2'));
+  assert.ok(lines.includes('DESCRIPTION:Line one\\nLine two'));
+  assert.ok(lines.includes('DTSTART:20250115T020000Z'));
+  assert.ok(lines.includes('ORGANIZER;CN="Dr. Cruz, MD; Psychiatry":mailto:cruz@example.com'));
+  assert.equal(lines[lines.length - 1], 'END:VEVENT');
+});
+
+test('buildCalendar joins folded lines with CRLF and ends with CRLF', () => {
+  const calendar = buildCalendar([{
+    uid: 'abc@mindyou.health',
+    start: '2025-01-15T02:00:00Z',
+    end: '2025-01-15T03:00:00Z',
+    summary: 'x'.repeat(100)
+  }], { name: 'My appointments' });
+
+  assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(calendar.includes('X-WR-CALNAME:My appointments\r\n'));
+  assert.ok(!/[^\r]\n/.test(calendar));
+  calendar.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+});
@@ -0,0 +1,128 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The limiter loads the auth middleware, which needs a Supabase client (never called here)
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+const { rateLimit, setRateLimitStore, isIpAllowed } = require('../middleware/rateLimit');
+const { createMemoryStore } = require('../lib/memoryStore');
+
+// Helper function to run a limiter once for a client IP; resolves to the response state
+const hit = async (limiter, ip = '203.0.113.10') => {
+  const req = { ip, headers: {} };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { passed, req, res };
+};
+
+beforeEach(() => {
+  setRateLimitStore(createMemoryStore());
+});
+
+test('allows a full bucket of requests, then answers 429 with Retry-After', async (t) => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const limiter = rateLimit({ name: 'test', limit: 3, windowSeconds: 60 });
+
+  for (let remaining = 2; remaining >= 0; remaining--) {
+    const { passed, res } = await hit(limiter);
+    assert.equal(passed, true);
+    assert.equal(res.headers['RateLimit-Remaining'], String(remaining));
+    assert.equal(res.headers['RateLimit-Limit'], '3');
+    assert.equal(res.headers['RateLimit-Policy'], '3;w=60');
+  }
+
+  const { passed, res } = await hit(limiter);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.error, 'Too Many Requests');
+  // One token comes back every 20 seconds
+  assert.equal(res.headers['Retry-After'], '20');
+});
+
+test('refills tokens gradually over the window', async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = rateLimit({ name: 'test', limit: 3, windowSeconds: 60 });
+
+  for (let i = 0; i < 3; i++) await hit(limiter);
+  assert.equal((await hit(limiter)).passed, false);
+
+  now += 20_000;
+  assert.equal((await hit(limiter)).passed, true);
+  assert.equal((await hit(limiter)).passed, false);
+
+  // A whole window refills the bucket, but never past the limit
+  now += 10 * 60_000;
+  const { res } = await hit(limiter);
+  assert.equal(res.headers['RateLimit-Remaining'], '2');
+});
+
+test('keeps a separate bucket per client and per limiter', async (t) => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const login = rateLimit({ name: 'login', limit: 1, windowSeconds: 60 });
+  const api = rateLimit({ name: 'api', limit: 1, windowSeconds: 60 });
+
+  assert.equal((await hit(login, '203.0.113.10')).passed, true);
+  assert.equal((await hit(login, '203.0.113.10')).passed, false);
+  assert.equal((await hit(login, '::ffff:198.51.100.7')).passed, true);
+  assert.equal((await hit(api, '203.0.113.10')).passed, true);
+});
+
+test('lets allow-listed sources through this and later limiters', async () => {
+  const trusted = rateLimit({ name: 'trusted', limit: 1, windowSeconds: 60, allowList: ['10.0.0.0/8'] });
+  const strict = rateLimit({ name: 'strict', limit: 1, windowSeconds: 60 });
+
+  for (let i = 0; i < 3; i++) {
+    const { passed, req, res } = await hit(trusted, '10.1.2.3');
+    assert.equal(passed, true);
+    assert.equal(req.rateLimitTrusted, true);
+
+    let passedStrict = false;
+    await strict(req, res, () => { passedStrict = true; });
+    assert.equal(passedStrict, true);
+  }
+
+  assert.equal((await hit(trusted, '203.0.113.10')).passed, true);
+  assert.equal((await hit(trusted, '203.0.113.10')).passed, false);
+});
+
+test('does not block requests when the store fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setRateLimitStore({
+    get: async () => { throw new Error('store down'); },
+    set: async () => {},
+    delete: async () => {}
+  });
+
+  const { passed } = await hit(rateLimit({ name: 'test', limit: 1, windowSeconds: 60 }));
+  assert.equal(passed, true);
+});
+
+test('isIpAllowed matches exact addresses and IPv4 CIDR ranges', () => {
+  const allowList = ['198.51.100.7', '203.0.113.0/24'];
+
+  assert.equal(isIpAllowed('198.51.100.7', allowList), true);
+  assert.equal(isIpAllowed('203.0.113.200', allowList), true);
+  assert.equal(isIpAllowed('203.0.114.1', allowList), false);
+  assert.equal(isIpAllowed('not-an-ip', ['0.0.0.0/0']), false);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, base32Decode, generateSecret, counterAt, generateCode, verifyCode } = require('../lib/totp');
+
+// Shared secret of the RFC 4226 and RFC 6238 test vectors ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+test('base32Encode matches the RFC 4648 test vectors (without padding)', () => {
+  const vectors = [
+    ['', ''],
+    ['f', 'MY'],
+    ['fo', 'MZXQ'],
+    ['foo', 'MZXW6'],
+    ['foob', 'MZXW6YQ'],
+    ['fooba', 'MZXW6YTB'],
+    ['foobar', 'MZXW6YTBOI']
+  ];
+
+  for (const [input, expected] of vectors) {
+    assert.equal(base32Encode(Buffer.from(input, 'ascii')), expected);
+  }
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+});
+
+test('base32Decode ignores case, spaces and padding', () => {
+  assert.equal(base32Decode('MZXW6YTBOI').toString('ascii'), 'foobar');
+  assert.equal(base32Decode('mzxw 6ytb oi======').toString('ascii'), 'foobar');
+  assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character: 1/);
+});
+
+test('base32 round-trips generated secrets', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(base32Encode(base32Decode(secret)), secret);
+});
+
+test('generateCode matches the RFC 4226 HOTP test vectors', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+  expected.forEach((code, counter) => {
+    assert.equal(generateCode(RFC_SECRET, counter), code);
+  });
+});
+
+test('TOTP codes match the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+
+  for (const [seconds, code] of vectors) {
+    assert.equal(generateCode(RFC_SECRET, counterAt(seconds * 1000)), code);
+  }
+});
+
+test('verifyCode returns the matching time step within the drift window', () => {
+  const at = 1111111111 * 1000;
+  const current = counterAt(at);
+
+  assert.equal(verifyCode(RFC_SECRET, '050471', { at }), current);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current - 1), { at }), current - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current + 1), { at }), current + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current + 2), { at }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current - 1), { at, window: 0 }), null);
+});
+
+test('verifyCode rejects malformed codes and accepts spaced ones', () => {
+  const at = 59 * 1000;
+
+  assert.equal(verifyCode(RFC_SECRET, '287 082', { at }), 1);
+  assert.equal(verifyCode(RFC_SECRET, '28708', { at }), null);
+  assert.equal(verifyCode(RFC_SECRET, '28708a', { at }), null);
+  assert.equal(verifyCode(RFC_SECRET, null, { at }), null);
+});
@@ -0,0 +1,87 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service loads the Supabase client; the tests replace supabase.from with a users table in memory
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+const { supabase } = require('../config/supabase');
+const twoFactorService = require('../services/twoFactorService');
+const { generateSecret, generateCode, counterAt } = require('../lib/totp');
+
+const SECRET = generateSecret();
+let storedRow;
+
+// Helper function to answer the conditional two_factor_last_counter update the way PostgREST
+// would: the row is updated only when the stored step is null or below the new one
+const mockUsersTable = (t) => {
+  t.mock.method(supabase, 'from', () => {
+    let changes = null;
+    const chain = {
+      update: (values) => {
+        changes = values;
+        return chain;
+      },
+      eq: () => chain,
+      or: () => chain,
+      select: () => chain,
+      maybeSingle: async () => {
+        const last = storedRow.two_factor_last_counter;
+        if (last !== null && last >= changes.two_factor_last_counter) {
+          return { data: null, error: null };
+        }
+        storedRow = { ...storedRow, ...changes };
+        return { data: { id: storedRow.id }, error: null };
+      }
+    };
+    return chain;
+  });
+};
+
+beforeEach(() => {
+  storedRow = {
+    id: 'user-1',
+    two_factor_secret: twoFactorService.encryptSecret(SECRET),
+    two_factor_enabled_at: '2025-01-01T00:00:00Z',
+    two_factor_last_counter: null
+  };
+});
+
+test('accepts a valid code once and rejects replaying it', async (t) => {
+  mockUsersTable(t);
+  const code = generateCode(SECRET, counterAt());
+
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow }, code), true);
+  assert.equal(storedRow.two_factor_last_counter, counterAt());
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow }, code), false);
+});
+
+test('rejects a replayed code even when the caller passes a stale user row', async (t) => {
+  mockUsersTable(t);
+  const staleRow = { ...storedRow };
+  const code = generateCode(SECRET, counterAt());
+
+  assert.equal(await twoFactorService.verifyTotp(staleRow, code), true);
+  assert.equal(await twoFactorService.verifyTotp(staleRow, code), false);
+
+  const { two_factor_last_counter, ...withoutCounter } = staleRow;
+  assert.equal(await twoFactorService.verifyTotp(withoutCounter, code), false);
+});
+
+test('rejects codes from steps before the last accepted one', async (t) => {
+  mockUsersTable(t);
+  const current = counterAt();
+
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow }, generateCode(SECRET, current)), true);
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow }, generateCode(SECRET, current - 1)), false);
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow }, generateCode(SECRET, current + 1)), true);
+});
+
+test('rejects wrong codes and users without two-factor authentication', async (t) => {
+  mockUsersTable(t);
+  const code = generateCode(SECRET, counterAt());
+
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow }, code === '000000' ? '111111' : '000000'), false);
+  assert.equal(await twoFactorService.verifyTotp({ ...storedRow, two_factor_enabled_at: null }, code), false);
+  assert.equal(storedRow.two_factor_last_counter, null);
+});